@@ -0,0 +1,360 @@
+#!/usr/bin/env node
+
+// BLAKE3 - pure JS hash with keyed-hash, derive-key and XOF (extendable output) modes
+// Port of the reference implementation; checked against blake3-vectors.json
+
+import fs from 'fs';
+import crypto from 'crypto';
+import { performance } from 'perf_hooks';
+
+const OUT_LEN = 32;
+const KEY_LEN = 32;
+const BLOCK_LEN = 64;
+const CHUNK_LEN = 1024;
+
+const CHUNK_START = 1 << 0;
+const CHUNK_END = 1 << 1;
+const PARENT = 1 << 2;
+const ROOT = 1 << 3;
+const KEYED_HASH = 1 << 4;
+const DERIVE_KEY_CONTEXT = 1 << 5;
+const DERIVE_KEY_MATERIAL = 1 << 6;
+
+const IV = new Uint32Array([
+  0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a,
+  0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+]);
+
+// Message word order for each of the 7 rounds (permutation applied per round)
+const MSG_PERMUTATION = [2, 6, 3, 10, 7, 0, 4, 13, 1, 11, 12, 5, 9, 14, 15, 8];
+const SCHEDULE = [];
+for (let round = 0, order = [...Array(16).keys()]; round < 7; round++) {
+  SCHEDULE.push(...order);
+  order = MSG_PERMUTATION.map(i => order[i]);
+}
+
+function blake3Error(message) {
+  const error = new Error(message);
+  error.code = 'ERR_IRL_BLAKE3';
+  return error;
+}
+
+// Compress one block; writes 16 words (8 for a chaining value) into out.
+// State lives in locals - typed array round trips cost ~3x
+function compress(cv, m, counter, blockLen, flags, out, outLen = 16) {
+  let s0 = cv[0], s1 = cv[1], s2 = cv[2], s3 = cv[3], s4 = cv[4], s5 = cv[5], s6 = cv[6], s7 = cv[7];
+  let s8 = IV[0], s9 = IV[1], s10 = IV[2], s11 = IV[3];
+  let s12 = counter | 0, s13 = Math.floor(counter / 0x100000000) | 0, s14 = blockLen, s15 = flags;
+  const s = SCHEDULE;
+
+  for (let r = 0; r < 7 * 16; r += 16) {
+    s0 = (s0 + s4 + m[s[r]]) | 0; s12 ^= s0; s12 = (s12 >>> 16) | (s12 << 16);
+    s8 = (s8 + s12) | 0; s4 ^= s8; s4 = (s4 >>> 12) | (s4 << 20);
+    s0 = (s0 + s4 + m[s[r + 1]]) | 0; s12 ^= s0; s12 = (s12 >>> 8) | (s12 << 24);
+    s8 = (s8 + s12) | 0; s4 ^= s8; s4 = (s4 >>> 7) | (s4 << 25);
+    s1 = (s1 + s5 + m[s[r + 2]]) | 0; s13 ^= s1; s13 = (s13 >>> 16) | (s13 << 16);
+    s9 = (s9 + s13) | 0; s5 ^= s9; s5 = (s5 >>> 12) | (s5 << 20);
+    s1 = (s1 + s5 + m[s[r + 3]]) | 0; s13 ^= s1; s13 = (s13 >>> 8) | (s13 << 24);
+    s9 = (s9 + s13) | 0; s5 ^= s9; s5 = (s5 >>> 7) | (s5 << 25);
+    s2 = (s2 + s6 + m[s[r + 4]]) | 0; s14 ^= s2; s14 = (s14 >>> 16) | (s14 << 16);
+    s10 = (s10 + s14) | 0; s6 ^= s10; s6 = (s6 >>> 12) | (s6 << 20);
+    s2 = (s2 + s6 + m[s[r + 5]]) | 0; s14 ^= s2; s14 = (s14 >>> 8) | (s14 << 24);
+    s10 = (s10 + s14) | 0; s6 ^= s10; s6 = (s6 >>> 7) | (s6 << 25);
+    s3 = (s3 + s7 + m[s[r + 6]]) | 0; s15 ^= s3; s15 = (s15 >>> 16) | (s15 << 16);
+    s11 = (s11 + s15) | 0; s7 ^= s11; s7 = (s7 >>> 12) | (s7 << 20);
+    s3 = (s3 + s7 + m[s[r + 7]]) | 0; s15 ^= s3; s15 = (s15 >>> 8) | (s15 << 24);
+    s11 = (s11 + s15) | 0; s7 ^= s11; s7 = (s7 >>> 7) | (s7 << 25);
+    s0 = (s0 + s5 + m[s[r + 8]]) | 0; s15 ^= s0; s15 = (s15 >>> 16) | (s15 << 16);
+    s10 = (s10 + s15) | 0; s5 ^= s10; s5 = (s5 >>> 12) | (s5 << 20);
+    s0 = (s0 + s5 + m[s[r + 9]]) | 0; s15 ^= s0; s15 = (s15 >>> 8) | (s15 << 24);
+    s10 = (s10 + s15) | 0; s5 ^= s10; s5 = (s5 >>> 7) | (s5 << 25);
+    s1 = (s1 + s6 + m[s[r + 10]]) | 0; s12 ^= s1; s12 = (s12 >>> 16) | (s12 << 16);
+    s11 = (s11 + s12) | 0; s6 ^= s11; s6 = (s6 >>> 12) | (s6 << 20);
+    s1 = (s1 + s6 + m[s[r + 11]]) | 0; s12 ^= s1; s12 = (s12 >>> 8) | (s12 << 24);
+    s11 = (s11 + s12) | 0; s6 ^= s11; s6 = (s6 >>> 7) | (s6 << 25);
+    s2 = (s2 + s7 + m[s[r + 12]]) | 0; s13 ^= s2; s13 = (s13 >>> 16) | (s13 << 16);
+    s8 = (s8 + s13) | 0; s7 ^= s8; s7 = (s7 >>> 12) | (s7 << 20);
+    s2 = (s2 + s7 + m[s[r + 13]]) | 0; s13 ^= s2; s13 = (s13 >>> 8) | (s13 << 24);
+    s8 = (s8 + s13) | 0; s7 ^= s8; s7 = (s7 >>> 7) | (s7 << 25);
+    s3 = (s3 + s4 + m[s[r + 14]]) | 0; s14 ^= s3; s14 = (s14 >>> 16) | (s14 << 16);
+    s9 = (s9 + s14) | 0; s4 ^= s9; s4 = (s4 >>> 12) | (s4 << 20);
+    s3 = (s3 + s4 + m[s[r + 15]]) | 0; s14 ^= s3; s14 = (s14 >>> 8) | (s14 << 24);
+    s9 = (s9 + s14) | 0; s4 ^= s9; s4 = (s4 >>> 7) | (s4 << 25);
+  }
+
+  out[0] = s0 ^ s8; out[1] = s1 ^ s9; out[2] = s2 ^ s10; out[3] = s3 ^ s11;
+  out[4] = s4 ^ s12; out[5] = s5 ^ s13; out[6] = s6 ^ s14; out[7] = s7 ^ s15;
+  if (outLen === 16) {
+    out[8] = s8 ^ cv[0]; out[9] = s9 ^ cv[1]; out[10] = s10 ^ cv[2]; out[11] = s11 ^ cv[3];
+    out[12] = s12 ^ cv[4]; out[13] = s13 ^ cv[5]; out[14] = s14 ^ cv[6]; out[15] = s15 ^ cv[7];
+  }
+  return out;
+}
+
+function wordsFromBytes(bytes, offset, words, count) {
+  for (let i = 0; i < count; i++, offset += 4) {
+    words[i] = bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16) | (bytes[offset + 3] << 24);
+  }
+  return words;
+}
+
+function toBytes(input) {
+  if (typeof input === 'string') return Buffer.from(input, 'utf8');
+  if (input instanceof Uint8Array) return input;
+  if (ArrayBuffer.isView(input)) return new Uint8Array(input.buffer, input.byteOffset, input.byteLength);
+  if (input instanceof ArrayBuffer) return new Uint8Array(input);
+  throw blake3Error(`Cannot hash ${typeof input} - expected a string, Buffer or Uint8Array`);
+}
+
+// Everything needed to produce a chaining value or root output bytes
+class Output {
+  constructor(cv, block, counter, blockLen, flags) {
+    this.cv = cv;
+    this.block = block;
+    this.counter = counter;
+    this.blockLen = blockLen;
+    this.flags = flags;
+  }
+
+  chainingValue() {
+    return compress(this.cv, this.block, this.counter, this.blockLen, this.flags, new Uint32Array(8), 8);
+  }
+
+  // Root output blocks are independent, so any byte range can be produced
+  rootBytes(length, position = 0) {
+    const out = Buffer.alloc(length);
+    const words = new Uint32Array(16);
+    const block = Buffer.alloc(BLOCK_LEN);
+    let written = 0;
+    let counter = Math.floor(position / BLOCK_LEN);
+    let skip = position % BLOCK_LEN;
+
+    while (written < length) {
+      compress(this.cv, this.block, counter++, this.blockLen, this.flags | ROOT, words);
+      for (let i = 0; i < 16; i++) block.writeUInt32LE(words[i], i * 4);
+      const take = Math.min(BLOCK_LEN - skip, length - written);
+      block.copy(out, written, skip, skip + take);
+      written += take;
+      skip = 0;
+    }
+    return out;
+  }
+}
+
+class ChunkState {
+  constructor(key, counter, flags) {
+    this.cv = new Uint32Array(key);
+    this.counter = counter;
+    this.flags = flags;
+    this.block = new Uint8Array(BLOCK_LEN);
+    this.blockLen = 0;
+    this.blocksCompressed = 0;
+    this.words = new Uint32Array(16);
+  }
+
+  get length() {
+    return this.blocksCompressed * BLOCK_LEN + this.blockLen;
+  }
+
+  startFlag() {
+    return this.blocksCompressed === 0 ? CHUNK_START : 0;
+  }
+
+  update(bytes, offset, end) {
+    while (offset < end) {
+      // A full block is only compressed once more input arrives - the last
+      // block of a chunk needs CHUNK_END
+      if (this.blockLen === BLOCK_LEN) {
+        wordsFromBytes(this.block, 0, this.words, 16);
+        compress(this.cv, this.words, this.counter, BLOCK_LEN, this.flags | this.startFlag(), this.words, 8);
+        this.cv.set(this.words.subarray(0, 8));
+        this.blocksCompressed++;
+        this.blockLen = 0;
+      }
+      const take = Math.min(BLOCK_LEN - this.blockLen, end - offset);
+      this.block.set(bytes.subarray(offset, offset + take), this.blockLen);
+      this.blockLen += take;
+      offset += take;
+    }
+  }
+
+  output() {
+    const block = new Uint8Array(BLOCK_LEN);
+    block.set(this.block.subarray(0, this.blockLen));
+    return new Output(new Uint32Array(this.cv), wordsFromBytes(block, 0, new Uint32Array(16), 16),
+      this.counter, this.blockLen, this.flags | this.startFlag() | CHUNK_END);
+  }
+}
+
+function parentOutput(left, right, key, flags) {
+  const block = new Uint32Array(16);
+  block.set(left, 0);
+  block.set(right, 8);
+  return new Output(key, block, 0, BLOCK_LEN, flags | PARENT);
+}
+
+// Incremental hasher, like crypto.createHash: update() then digest().
+// options.key (32 bytes) selects keyed hashing, options.context derive-key mode
+class Blake3 {
+  constructor(options = {}) {
+    if (options.key !== undefined && options.context !== undefined) {
+      throw blake3Error('Use either key or context, not both');
+    }
+
+    if (options.key !== undefined) {
+      const key = toBytes(options.key);
+      if (key.length !== KEY_LEN) throw blake3Error(`Key must be ${KEY_LEN} bytes, got ${key.length}`);
+      this.init(wordsFromBytes(key, 0, new Uint32Array(8), 8), KEYED_HASH);
+    } else if (options.context !== undefined) {
+      const contextKey = new Blake3().init(IV, DERIVE_KEY_CONTEXT).update(options.context).digest();
+      this.init(wordsFromBytes(contextKey, 0, new Uint32Array(8), 8), DERIVE_KEY_MATERIAL);
+    } else {
+      this.init(IV, 0);
+    }
+  }
+
+  init(key, flags) {
+    this.key = new Uint32Array(key);
+    this.flags = flags;
+    this.chunk = new ChunkState(this.key, 0, flags);
+    this.stack = [];   // chaining values of completed subtrees
+    return this;
+  }
+
+  // Merge completed subtrees: one merge per trailing zero bit of the chunk count
+  pushChunk(cv, totalChunks) {
+    while ((totalChunks & 1) === 0) {
+      cv = parentOutput(this.stack.pop(), cv, this.key, this.flags).chainingValue();
+      totalChunks /= 2;
+    }
+    this.stack.push(cv);
+  }
+
+  update(input) {
+    const bytes = toBytes(input);
+    let offset = 0;
+
+    while (offset < bytes.length) {
+      if (this.chunk.length === CHUNK_LEN) {
+        const cv = this.chunk.output().chainingValue();
+        const total = this.chunk.counter + 1;
+        this.pushChunk(cv, total);
+        this.chunk = new ChunkState(this.key, total, this.flags);
+      }
+      const take = Math.min(CHUNK_LEN - this.chunk.length, bytes.length - offset);
+      this.chunk.update(bytes, offset, offset + take);
+      offset += take;
+    }
+    return this;
+  }
+
+  finalOutput() {
+    let output = this.chunk.output();
+    for (let i = this.stack.length - 1; i >= 0; i--) {
+      output = parentOutput(this.stack[i], output.chainingValue(), this.key, this.flags);
+    }
+    return output;
+  }
+
+  // Does not consume the hasher - more input may follow. length > 32 is XOF output
+  digest(encoding, length = OUT_LEN) {
+    if (!Number.isInteger(length) || length < 0) throw blake3Error(`Output length must be a non-negative integer, got ${length}`);
+    const out = this.finalOutput().rootBytes(length);
+    return encoding ? out.toString(encoding) : out;
+  }
+
+  // Extendable output reader: read(n) returns the next n bytes of the stream
+  xof() {
+    const output = this.finalOutput();
+    let position = 0;
+    return {
+      read(length) {
+        const out = output.rootBytes(length, position);
+        position += length;
+        return out;
+      },
+      seek(offset) {
+        position = offset;
+        return this;
+      }
+    };
+  }
+}
+
+// One-shot hashing: options { key, context, length }
+function blake3(input, options = {}) {
+  return new Blake3(options).update(input).digest(undefined, options.length ?? OUT_LEN);
+}
+
+function blake3Hex(input, options = {}) {
+  return blake3(input, options).toString('hex');
+}
+
+// KDF: context should be a hardcoded, globally unique, application-specific string
+function deriveKey(context, material, length = OUT_LEN) {
+  return blake3(material, { context, length });
+}
+
+// Check against the official vectors; returns { passed, failed, failures }
+function selfTest(file = new URL('./blake3-vectors.json', import.meta.url)) {
+  const vectors = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const failures = [];
+  let passed = 0;
+
+  for (const c of vectors.cases) {
+    const input = Uint8Array.from({ length: c.input_len }, (_, i) => i % 251);
+    const modes = {
+      hash: {},
+      keyed_hash: { key: vectors.key },
+      derive_key: { context: vectors.context_string }
+    };
+
+    for (const [mode, options] of Object.entries(modes)) {
+      const expected = c[mode];
+      const full = blake3Hex(input, { ...options, length: expected.length / 2 });
+      const short = blake3Hex(input, options);
+      const reader = new Blake3(options).update(input).xof();
+      const streamed = [reader.read(7), reader.read(57), reader.read(expected.length / 2 - 64)]
+        .map(b => b.toString('hex')).join('');
+
+      if (full === expected && short === expected.slice(0, OUT_LEN * 2) && streamed === expected) {
+        passed++;
+      } else {
+        failures.push(`${mode} input_len=${c.input_len}`);
+      }
+    }
+  }
+
+  return { passed, failed: failures.length, failures };
+}
+
+// Export for use
+export { Blake3, blake3, blake3Hex, deriveKey, selfTest, OUT_LEN, KEY_LEN };
+
+// CLI interface: node blake3.js [text...]
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const args = process.argv.slice(2);
+
+  if (args.length > 0) {
+    args.forEach(text => console.log(`${blake3Hex(text)}  ${JSON.stringify(text)}`));
+  } else {
+    const result = selfTest();
+    console.log(`BLAKE3 test vectors: ${result.passed}/${result.passed + result.failed}`);
+    result.failures.forEach(f => console.log(`  ✗ ${f}`));
+
+    // Throughput on registry-sized inputs (short sources) and 1MB
+    for (const [label, input, n] of [['64B', 'x'.repeat(64), 20000], ['1MB', Buffer.alloc(1 << 20, 7), 5]]) {
+      const time = fn => {
+        const start = performance.now();
+        for (let i = 0; i < n; i++) fn();
+        return (performance.now() - start) / n;
+      };
+      const b3 = time(() => blake3Hex(input));
+      const sha = time(() => crypto.createHash('sha256').update(input).digest('hex'));
+      console.log(`  ${label.padEnd(4)} blake3 ${(b3 * 1000).toFixed(2)}µs  sha256 (native) ${(sha * 1000).toFixed(2)}µs`);
+    }
+
+    console.log(result.failed === 0 ? '\n✅ PASS' : '\n❌ FAIL');
+    if (result.failed > 0) process.exitCode = 1;
+  }
+}
\ No newline at end of file
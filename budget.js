@@ -0,0 +1,210 @@
+#!/usr/bin/env node
+
+// Budget - one source of performance budgets, enforced per stage
+// Async stages are cancelled via AbortSignal; sync stages are measured.
+// Overruns emit 'budget-exceeded' { stage, hash, elapsed, budget, aborted }
+
+import fs from 'fs';
+import { EventEmitter } from 'events';
+import { performance } from 'perf_hooks';
+
+const PERF_BUDGET = {
+  L0_SYNTAX: 0.1,    // ms - Blake3 only
+  L1_CANONICAL: 10,  // ms - egg with timeout
+  L2_SEMANTIC: 50,   // ms - WL-hash, depth 3
+  CTC_ANALYSIS: 1,   // ms - max 5 iterations
+  COMPILE: 5,        // ms - WASM compilation
+  COLD_START: 250,   // ms - first compile or sandbox setup, plus that first run
+  EXECUTE: 10,       // ms - single WASM execution
+  PROOF: 500,        // ms - L0/L1 proof generation
+  PLUGIN: 5,         // ms - one plugin hook call
+  INGEST: 1000,      // ms - one ingest() call, all modules
+  TOTAL_MAX: 30      // ms - hard ceiling
+};
+
+// Stage -> budget key. A stage name can also be configured directly, and
+// 'request:prove' falls back to 'request' before its key
+const STAGES = {
+  hash: 'L2_SEMANTIC',
+  ctc: 'CTC_ANALYSIS',
+  lookup: 'TOTAL_MAX',
+  cold: 'COLD_START',
+  run: 'EXECUTE',
+  execute: 'TOTAL_MAX',
+  register: 'TOTAL_MAX',
+  prove: 'PROOF',
+  request: 'TOTAL_MAX',
+  plugin: 'PLUGIN',
+  ingest: 'INGEST'
+};
+
+const ENV_PREFIX = 'IRL_BUDGET_';
+
+function budgetError(code, message, fields = {}) {
+  const error = new Error(message);
+  error.code = code;
+  return Object.assign(error, fields);
+}
+
+class BudgetManager extends EventEmitter {
+  // Precedence: defaults < options.file / IRL_BUDGET_FILE < IRL_BUDGET_<KEY> env < options.budgets
+  constructor(options = {}) {
+    super();
+    const env = options.env || process.env;
+
+    this.budgets = { ...PERF_BUDGET };
+    this.sources = Object.fromEntries(Object.keys(PERF_BUDGET).map(key => [key, 'default']));
+
+    const file = options.file || env[`${ENV_PREFIX}FILE`];
+    if (file) this.configure(BudgetManager.readFile(file), `file:${file}`);
+    this.configure(BudgetManager.fromEnv(env), 'env');
+    if (options.budgets) this.configure(options.budgets, 'constructor');
+
+    this.stages = new Map();   // stage -> { runs, exceeded, aborted, total, max }
+  }
+
+  static readFile(file) {
+    let doc;
+    try {
+      doc = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+      throw budgetError('ERR_IRL_BUDGET_CONFIG', `Cannot read budget file ${file}: ${e.message}`);
+    }
+    return doc.budgets || doc;
+  }
+
+  // IRL_BUDGET_TOTAL_MAX=50, IRL_BUDGET_LOOKUP=5
+  static fromEnv(env) {
+    const budgets = {};
+    for (const [name, value] of Object.entries(env)) {
+      if (!name.startsWith(ENV_PREFIX) || name === `${ENV_PREFIX}FILE`) continue;
+      const key = name.slice(ENV_PREFIX.length);
+      budgets[key in PERF_BUDGET ? key : key.toLowerCase()] = value;
+    }
+    return budgets;
+  }
+
+  configure(budgets, source = 'runtime') {
+    for (const [key, value] of Object.entries(budgets)) {
+      const ms = Number(value);
+      if (!(ms > 0)) {
+        throw budgetError('ERR_IRL_BUDGET_CONFIG', `Budget ${key} must be a positive number of ms, got ${value}`);
+      }
+      this.budgets[key] = ms;
+      this.sources[key] = source;
+    }
+  }
+
+  // Budget in ms for a stage (or a PERF_BUDGET key)
+  limit(stage) {
+    const base = stage.split(':')[0];
+    return this.budgets[stage] ?? this.budgets[base] ?? this.budgets[STAGES[base]] ?? this.budgets.TOTAL_MAX;
+  }
+
+  // Run an async stage under its budget. fn gets an AbortSignal that fires on
+  // overrun (or when options.signal aborts); the returned promise rejects with
+  // ERR_IRL_BUDGET without waiting for fn to notice
+  async run(stage, fn, options = {}) {
+    const limit = options.budget ?? this.limit(stage);
+    const start = performance.now();
+    const controller = new AbortController();
+    const parent = options.signal;
+
+    if (parent?.aborted) throw parent.reason;
+    const onParentAbort = () => controller.abort(parent.reason);
+    parent?.addEventListener('abort', onParentAbort, { once: true });
+
+    const timer = Number.isFinite(limit)
+      ? setTimeout(() => controller.abort(budgetError('ERR_IRL_BUDGET',
+          `${stage}${options.hash ? ` ${options.hash}` : ''} exceeded ${limit}ms budget`,
+          { stage, hash: options.hash, budget: limit, elapsed: performance.now() - start })), Math.max(0, limit))
+      : null;
+
+    const aborted = new Promise((_, reject) => {
+      controller.signal.addEventListener('abort', () => reject(controller.signal.reason), { once: true });
+    });
+
+    try {
+      return await Promise.race([fn(controller.signal), aborted]);
+    } finally {
+      clearTimeout(timer);
+      parent?.removeEventListener('abort', onParentAbort);
+      this.observe(stage, performance.now() - start, {
+        hash: options.hash,
+        budget: limit,
+        aborted: controller.signal.aborted && controller.signal.reason?.code === 'ERR_IRL_BUDGET'
+      });
+    }
+  }
+
+  // Record a finished (usually sync) stage; emits when it overran
+  observe(stage, elapsed, options = {}) {
+    const limit = options.budget ?? this.limit(stage);
+
+    let s = this.stages.get(stage);
+    if (!s) {
+      s = { runs: 0, exceeded: 0, aborted: 0, total: 0, max: 0 };
+      this.stages.set(stage, s);
+    }
+    s.runs++;
+    s.total += elapsed;
+    if (elapsed > s.max) s.max = elapsed;
+
+    if (elapsed <= limit && !options.aborted) return true;
+
+    s.exceeded++;
+    if (options.aborted) s.aborted++;
+    this.emit('budget-exceeded', {
+      stage,
+      hash: options.hash ?? null,
+      elapsed,
+      budget: limit,
+      aborted: Boolean(options.aborted),
+      at: new Date().toISOString()
+    });
+    return false;
+  }
+
+  // Per-stage compliance: share of runs within budget
+  report() {
+    const stages = {};
+    let runs = 0, exceeded = 0;
+
+    for (const [stage, s] of this.stages) {
+      runs += s.runs;
+      exceeded += s.exceeded;
+      stages[stage] = {
+        budget: this.limit(stage),
+        runs: s.runs,
+        exceeded: s.exceeded,
+        aborted: s.aborted,
+        compliance: s.runs > 0 ? 1 - s.exceeded / s.runs : 1,
+        mean: s.runs > 0 ? s.total / s.runs : 0,
+        max: s.max
+      };
+    }
+
+    return {
+      budgets: { ...this.budgets },
+      sources: { ...this.sources },
+      stages,
+      overall: { runs, exceeded, compliance: runs > 0 ? 1 - exceeded / runs : 1 }
+    };
+  }
+
+  reset() {
+    this.stages.clear();
+  }
+}
+
+// Export for use
+export { BudgetManager, PERF_BUDGET, STAGES };
+
+// CLI interface: print effective budgets (after file/env overrides)
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const budget = new BudgetManager({ file: process.argv[2] });
+  console.log('Effective budgets:\n');
+  for (const [key, ms] of Object.entries(budget.budgets)) {
+    console.log(`  ${key.padEnd(14)} ${String(ms).padStart(6)}ms  (${budget.sources[key]})`);
+  }
+}
\ No newline at end of file
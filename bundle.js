@@ -0,0 +1,298 @@
+#!/usr/bin/env node
+
+// Bundle - registered functions as one generated ES or CommonJS module + .d.ts
+// Deps are inlined before their dependents; every function keeps its hash in a comment
+
+import { locateFunction } from './sandbox.js';
+import { inferParamTypes } from './property-test.js';
+import { parseHash } from './hash-format.js';
+import { isIdentifier } from './module-ingest.js';
+import { S0FractalIRL } from './index.js';
+
+const FORMATS = ['esm', 'cjs'];
+
+// inferParamTypes() names -> TypeScript
+const TS_TYPES = {
+  any: 'any',
+  number: 'number',
+  string: 'string',
+  boolean: 'boolean',
+  object: 'Record<string, any>',
+  array: 'any[]',
+  function: '(...args: any[]) => any'
+};
+
+const COMPARISON_OPS = ['==', '!=', '===', '!==', '<', '>', '<=', '>=', 'in', 'instanceof'];
+const NUMERIC_OPS = ['-', '*', '/', '%', '**', '<<', '>>', '>>>', '&', '|', '^'];
+const MAX_RECURSION_PASSES = 4;   // return type re-inference rounds for recursive functions
+const RETURNS = { String: 'string', Number: 'number', Boolean: 'boolean', parseInt: 'number', parseFloat: 'number', isNaN: 'boolean' };
+
+function bundleError(code, message, fields = {}) {
+  const error = new Error(message);
+  error.code = code;
+  return Object.assign(error, fields);
+}
+
+// Module-level binding for a hash: 1e05-717b2e13-717b-3008 -> $1e05_717b2e13_717b_3008
+function bindingFor(hash) {
+  return `$${hash.replace(/-/g, '_')}`;
+}
+
+// lodash/isNil@stable -> isNil, math.add -> math_add
+function exportNameFor(tag) {
+  const name = tag.replace(/@.*$/, '').split('/').pop().replace(/[^\w$]/g, '_');
+  return isIdentifier(name) ? name : `_${name}`;
+}
+
+// Type of an expression, or null when it can't be told.
+// scope: { params: Map(name -> type), calls: { depName: return type } }
+function expressionType(node, scope) {
+  switch (node?.type) {
+    case 'Literal':
+      if (node.value === null) return 'null';
+      if (node.regex) return 'RegExp';
+      return ['number', 'string', 'boolean', 'bigint'].includes(typeof node.value) ? typeof node.value : null;
+    case 'TemplateLiteral':
+      return 'string';
+    case 'Identifier':
+      if (node.name === 'undefined') return 'undefined';
+      if (node.name === 'NaN' || node.name === 'Infinity') return 'number';
+      return scope.params.get(node.name) ?? null;
+    case 'ArrayExpression':
+      return 'any[]';
+    case 'ObjectExpression':
+      return TS_TYPES.object;
+    case 'ArrowFunctionExpression':
+    case 'FunctionExpression':
+      return TS_TYPES.function;
+    case 'UnaryExpression':
+      if (node.operator === '!' || node.operator === 'delete') return 'boolean';
+      if (node.operator === 'typeof') return 'string';
+      if (node.operator === 'void') return 'undefined';
+      return 'number';
+    case 'UpdateExpression':
+      return 'number';
+    case 'BinaryExpression': {
+      if (COMPARISON_OPS.includes(node.operator)) return 'boolean';
+      if (NUMERIC_OPS.includes(node.operator)) return 'number';
+      const left = expressionType(node.left, scope);
+      const right = expressionType(node.right, scope);
+      if (left === 'string' || right === 'string') return 'string';
+      if (left === 'never' || right === 'never') return 'never';
+      return left === 'number' && right === 'number' ? 'number' : null;
+    }
+    case 'LogicalExpression':
+      return unionOf([expressionType(node.left, scope), expressionType(node.right, scope)]);
+    case 'ConditionalExpression':
+      return unionOf([expressionType(node.consequent, scope), expressionType(node.alternate, scope)]);
+    case 'MemberExpression':
+      return !node.computed && node.property.name === 'length' ? 'number' : null;
+    case 'CallExpression': {
+      const callee = node.callee;
+      if (callee.type === 'Identifier') return scope.calls[callee.name] ?? RETURNS[callee.name] ?? null;
+      if (callee.type === 'MemberExpression' && callee.object.name === 'Math') return 'number';
+      if (callee.type === 'MemberExpression' && callee.object.name === 'Array' && callee.property.name === 'isArray') return 'boolean';
+      return null;
+    }
+    default:
+      return null;
+  }
+}
+
+// 'number' | 'number' -> 'number'; anything unknown makes the whole union any.
+// never (a recursive call not typed yet) drops out unless it is all there is
+function unionOf(types) {
+  if (types.length === 0 || types.includes(null)) return null;
+  const members = [...new Set(types.flatMap(type => type.split(' | ')))];
+  const known = members.filter(type => type !== 'never');
+  return (known.length > 0 ? known : members).join(' | ');
+}
+
+// Name a function calls itself by: its own id, or the declared const/function name
+function ownName(fnNode, source) {
+  if (fnNode.id) return fnNode.id.name;
+  try {
+    return locateFunction(source).name ?? null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Return expressions of a function, not descending into nested functions
+function returnExpressions(fnNode) {
+  if (fnNode.expression) return [fnNode.body];
+
+  const found = [];
+  const visit = node => {
+    if (!node || typeof node !== 'object') return;
+    if (Array.isArray(node)) return node.forEach(visit);
+    if (node.type === 'ReturnStatement') found.push(node.argument ?? { type: 'Identifier', name: 'undefined' });
+    if (node !== fnNode.body && /Function/.test(node.type)) return;
+    for (const key in node) {
+      if (key !== 'type' && node[key] && typeof node[key] === 'object') visit(node[key]);
+    }
+  };
+  visit(fnNode.body);
+  return found;
+}
+
+// { params: ['a: number', 'b?: any'], returns: 'number' } from a function's source.
+// calls: return types of its deps by name
+function inferSignature(prover, source, calls = {}) {
+  const { fnNode } = prover.analyze(source);
+  if (!fnNode) return { params: ['...args: any[]'], returns: 'any' };
+
+  const types = inferParamTypes(fnNode).map(type => TS_TYPES[type] || 'any');
+  const byName = new Map();
+  const params = fnNode.params.map((param, i) => {
+    if (param.type === 'Identifier') {
+      byName.set(param.name, types[i]);
+      return `${param.name}: ${types[i]}`;
+    }
+    if (param.type === 'AssignmentPattern' && param.left.type === 'Identifier') {
+      const type = expressionType(param.right, { params: byName, calls }) || 'any';
+      byName.set(param.left.name, type);
+      return `${param.left.name}?: ${type}`;
+    }
+    if (param.type === 'RestElement' && param.argument.type === 'Identifier') return `...${param.argument.name}: any[]`;
+    return `arg${i}: any`;
+  });
+
+  // A recursive function's own calls start as never, then take the return type
+  // inferred so far until it stops changing
+  const expressions = returnExpressions(fnNode);
+  const self = ownName(fnNode, source);
+  const returnType = own => unionOf(expressions.map(e =>
+    expressionType(e, { params: byName, calls: self ? { ...calls, [self]: own } : calls })));
+
+  let returns = expressions.length === 0 ? 'void' : returnType('never');
+  for (let i = 0, previous; self && returns && returns !== previous; i++) {
+    previous = returns;
+    returns = i < MAX_RECURSION_PASSES ? returnType(returns) : null;
+  }
+  returns = returns || 'any';
+  return { params, returns: fnNode.async ? `Promise<${returns}>` : returns };
+}
+
+// Standalone expression for one entry, deps bound under the names its source uses
+function functionCode(entry) {
+  const { expression, name } = locateFunction(entry.source);
+  const deps = Object.entries(entry.deps || {});
+
+  if (deps.length === 0 && expression) return `(${entry.source})`;
+
+  const lines = ['(() => {'];
+  if (deps.length > 0) lines.push(`  const ${deps.map(([dep, hash]) => `${dep} = ${bindingFor(hash)}`).join(', ')};`);
+  lines.push(expression ? `  return (${entry.source});` : `  ${entry.source}\n  return ${name};`);
+  lines.push('})()');
+  return lines.join('\n');
+}
+
+// refs: array of tags/hashes (export names from tags), or { exportName: ref }.
+// Returns { format, code, types, exports: { name: hash }, functions: [hash] } -
+// functions in the order they are defined (deps first)
+async function buildBundle(registry, refs, options = {}) {
+  const format = options.format || 'esm';
+  if (!FORMATS.includes(format)) {
+    throw bundleError('ERR_IRL_BAD_OPTION', `Bundle format must be one of: ${FORMATS.join(', ')}`);
+  }
+
+  const requested = Array.isArray(refs) ? refs.map(ref => [null, ref]) : Object.entries(refs || {});
+  if (requested.length === 0) throw bundleError('ERR_IRL_BUNDLE', 'Nothing to bundle');
+
+  // Export names: explicit, else the tag used, else the first tag on the hash
+  const exports = {};
+  for (const [explicit, ref] of requested) {
+    const hash = registry.findHash(ref);
+    const tag = registry.tags.has(ref) ? ref : registry.tagsFor(hash).sort()[0];
+    const name = explicit ?? (tag ? exportNameFor(tag) : `fn_${parseHash(hash).semantic}`);
+    if (name !== 'default' && !isIdentifier(name)) {
+      throw bundleError('ERR_IRL_BUNDLE', `Export name ${name} is not a valid identifier`, { name });
+    }
+
+    if (exports[name] && exports[name] !== hash) {
+      throw bundleError('ERR_IRL_BUNDLE', `Export name ${name} used for both ${exports[name]} and ${hash}`,
+        { name, hashes: [exports[name], hash] });
+    }
+    exports[name] = hash;
+  }
+
+  // Post-order walk: every dep is defined before the functions that use it
+  const entries = new Map();
+  const visit = async (hash, path = []) => {
+    if (entries.has(hash)) return;
+    if (path.includes(hash)) throw bundleError('ERR_IRL_BUNDLE', `Dependency cycle: ${[...path, hash].join(' -> ')}`);
+    const entry = await registry.lookup.get(hash);
+    if (!entry) throw bundleError('ERR_IRL_UNKNOWN_HASH', `Function not found: ${hash}`);
+    for (const dep of Object.values(entry.deps || {})) await visit(registry.canonical(dep), [...path, hash]);
+    entries.set(hash, entry);
+  };
+  for (const hash of Object.values(exports)) await visit(hash);
+
+  const header = [
+    `// Generated by s0fractal-IRL (${format}) - do not edit`,
+    `// ${entries.size} functions, ${Object.keys(exports).length} exports`
+  ];
+
+  const code = [...header, ''];
+  if (format === 'cjs') code.push("'use strict';", '');
+  for (const [hash, entry] of entries) {
+    const deps = Object.entries(entry.deps || {});
+    code.push(`// ${hash}${deps.length > 0 ? ` (${deps.map(([name, dep]) => `${name}: ${dep}`).join(', ')})` : ''}`);
+    code.push(`const ${bindingFor(hash)} = ${functionCode(entry)};`, '');
+  }
+
+  const names = Object.entries(exports);
+  if (format === 'esm') {
+    code.push(`export {\n${names.map(([name, hash]) => `  ${bindingFor(hash)} as ${name}`).join(',\n')}\n};`);
+  } else {
+    code.push(`module.exports = {\n${names.map(([name, hash]) => `  ${name}: ${bindingFor(hash)}`).join(',\n')}\n};`);
+  }
+
+  // Compositions take g's params and return f's result
+  const signatureOf = hash => {
+    const entry = entries.get(hash);
+    if (!entry.compose) {
+      const calls = Object.fromEntries(Object.entries(entry.deps || {})
+        .map(([name, dep]) => [name, signatureOf(registry.canonical(dep)).returns]));
+      return inferSignature(registry.prover, entry.source, calls);
+    }
+    const [f, g] = entry.compose.map(part => signatureOf(registry.canonical(part)));
+    return { params: g.params, returns: f.returns };
+  };
+
+  const types = [...header, ''];
+  for (const [name, hash] of names) {
+    const { params, returns } = signatureOf(hash);
+    types.push(`/** ${hash} */`);
+    types.push(name === 'default'
+      ? `declare function _default(${params.join(', ')}): ${returns};\nexport default _default;`
+      : `export declare function ${name}(${params.join(', ')}): ${returns};`);
+  }
+
+  return {
+    format,
+    code: code.join('\n') + '\n',
+    types: types.join('\n') + '\n',
+    exports,
+    functions: [...entries.keys()]
+  };
+}
+
+// Export for use
+export { buildBundle, inferSignature, exportNameFor, bindingFor, FORMATS };
+
+// CLI interface: node bundle.js [esm|cjs] - bundle a small demo registry
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const registry = new S0FractalIRL();
+
+  const inc = await registry.register('x => x + 1');
+  const dbl = await registry.register('function double(n) { return n * 2 }');
+  registry.tag('math/inc', inc);
+  registry.tag('math/incDouble', await registry.compose(inc, dbl));
+  registry.tag('text/greet', await registry.register('(name, greeting = "Hello") => `${greeting}, ${name}!`'));
+
+  const bundle = await buildBundle(registry, ['math/inc', 'math/incDouble', 'text/greet'], { format: process.argv[2] });
+  console.log(bundle.code);
+  console.log(bundle.types);
+}
\ No newline at end of file
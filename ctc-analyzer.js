@@ -5,12 +5,15 @@
 
 import crypto from 'crypto';
 import { performance } from 'perf_hooks';
+import { PERF_BUDGET } from './budget.js';
+import { hashBody } from './hash-format.js';
 
-const CTC_BUDGET_MS = 1;
+const CTC_BUDGET_MS = PERF_BUDGET.CTC_ANALYSIS;
 const CTC_MAX_ITERATIONS = 5;
 
 class CTCAnalyzer {
-  constructor() {
+  constructor(options = {}) {
+    this.budget = options.budget || null;   // shared BudgetManager - 'ctc' stage
     this.cache = new Map(); // Cache analysis results
     this.stats = {
       analyzed: 0,
@@ -31,7 +34,7 @@ class CTCAnalyzer {
       return this.cache.get(funcHash);
     }
 
-    const deadline = performance.now() + CTC_BUDGET_MS;
+    const deadline = performance.now() + this.limit();
     let state = 0;
     const seen = new Map(); // Map state hash to iteration number
 
@@ -100,6 +103,10 @@ class CTCAnalyzer {
     return result;
   }
 
+  limit() {
+    return this.budget ? this.budget.limit('ctc') : CTC_BUDGET_MS;
+  }
+
   // Fast state hashing using only first 8 chars
   hashState(state) {
     // Convert state to string and hash
@@ -112,7 +119,7 @@ class CTCAnalyzer {
   step(state, funcHash) {
     // Mock computation - in reality would execute the function
     // Using simple deterministic transform based on hash
-    const hashNum = parseInt(funcHash.slice(0, 4), 16) || 1;
+    const hashNum = parseInt(hashBody(funcHash).slice(0, 4), 16) || 1;
     return (state * 31 + hashNum) % 1000;
   }
 
@@ -124,7 +131,7 @@ class CTCAnalyzer {
     // Apply function to itself repeatedly
     let current = funcHash;
     for (let i = 0; i < depth; i++) {
-      if (performance.now() - start > CTC_BUDGET_MS) {
+      if (performance.now() - start > this.limit()) {
         return {
           type: 'timeout',
           depth: i,
@@ -184,13 +191,9 @@ class CTCAnalyzer {
 
     return {
       ...this.stats,
-      avgAnalysisTime: avgTime.toFixed(3) + 'ms',
-      timeoutRate: this.stats.analyzed > 0
-        ? ((this.stats.timeouts / this.stats.analyzed) * 100).toFixed(1) + '%'
-        : '0%',
-      loopRate: this.stats.analyzed > 0
-        ? ((this.stats.loops / this.stats.analyzed) * 100).toFixed(1) + '%'
-        : '0%',
+      avgAnalysisTime: avgTime,   // ms
+      timeoutRate: this.stats.analyzed > 0 ? this.stats.timeouts / this.stats.analyzed : 0,
+      loopRate: this.stats.analyzed > 0 ? this.stats.loops / this.stats.analyzed : 0,
       cacheSize: this.cache.size
     };
   }
@@ -295,7 +298,7 @@ if (import.meta.url === `file://${process.argv[1]}`) {
     });
 
     // Check performance
-    const avgTime = parseFloat(stats.avgAnalysisTime);
+    const avgTime = stats.avgAnalysisTime;
     console.log(`\n✅ ${avgTime <= CTC_BUDGET_MS ? 'PASS' : 'FAIL'} - Target ≤${CTC_BUDGET_MS}ms average`);
   })();
 }
\ No newline at end of file
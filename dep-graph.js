@@ -0,0 +1,149 @@
+#!/usr/bin/env node
+
+// Dependency Graph - B2 rule (max 2 deps) + cycle detection
+// Forward edges from entry.deps, reverse index for dependents() queries
+
+const B2_MAX_DEPS = 2;
+
+class DependencyGraph {
+  constructor(options = {}) {
+    this.maxDeps = options.maxDeps ?? B2_MAX_DEPS;
+    this.forward = new Map();   // hash -> { name: depHash }
+    this.reverse = new Map();   // depHash -> Set(hash)
+  }
+
+  // Throw if deps break the B2 rule
+  checkB2(deps = {}) {
+    const names = Object.keys(deps);
+    if (names.length > this.maxDeps) {
+      const error = new Error(
+        `B2 rule violated: ${names.length} dependencies (${names.join(', ')}), max ${this.maxDeps}`
+      );
+      error.code = 'ERR_IRL_B2';
+      throw error;
+    }
+  }
+
+  // Record (or replace) the deps of an entry
+  set(hash, deps = {}) {
+    this.delete(hash);
+    if (Object.keys(deps).length === 0) return;
+
+    this.forward.set(hash, { ...deps });
+    for (const dep of Object.values(deps)) {
+      if (!this.reverse.has(dep)) this.reverse.set(dep, new Set());
+      this.reverse.get(dep).add(hash);
+    }
+  }
+
+  delete(hash) {
+    const deps = this.forward.get(hash);
+    if (!deps) return;
+
+    for (const dep of Object.values(deps)) {
+      const users = this.reverse.get(dep);
+      users?.delete(hash);
+      if (users?.size === 0) this.reverse.delete(dep);
+    }
+    this.forward.delete(hash);
+  }
+
+  // Would giving `hash` these deps close a cycle? Returns the cycle path or null
+  findCycleVia(hash, deps = {}) {
+    for (const dep of Object.values(deps)) {
+      if (dep === hash) return [hash, hash];
+
+      const path = this.pathTo(dep, hash);
+      if (path) return [hash, ...path];
+    }
+    return null;
+  }
+
+  // DFS along forward edges from `from` to `to`
+  pathTo(from, to) {
+    const stack = [[from, [from]]];
+    const seen = new Set();
+
+    while (stack.length > 0) {
+      const [node, path] = stack.pop();
+      if (node === to) return path;
+      if (seen.has(node)) continue;
+      seen.add(node);
+
+      for (const next of Object.values(this.forward.get(node) || {})) {
+        stack.push([next, [...path, next]]);
+      }
+    }
+    return null;
+  }
+
+  // All cycles in the graph (one path per strongly connected loop found)
+  findCycles() {
+    const WHITE = 0, GREY = 1, BLACK = 2;
+    const color = new Map();
+    const cycles = [];
+
+    const visit = (node, path) => {
+      color.set(node, GREY);
+      path.push(node);
+
+      for (const next of Object.values(this.forward.get(node) || {})) {
+        const c = color.get(next) || WHITE;
+        if (c === GREY) {
+          cycles.push([...path.slice(path.indexOf(next)), next]);
+        } else if (c === WHITE) {
+          visit(next, path);
+        }
+      }
+
+      path.pop();
+      color.set(node, BLACK);
+    };
+
+    for (const node of this.forward.keys()) {
+      if (!color.has(node)) visit(node, []);
+    }
+    return cycles;
+  }
+
+  dependencies(hash, options = {}) {
+    return this.walk(hash, node => Object.values(this.forward.get(node) || {}), options);
+  }
+
+  dependents(hash, options = {}) {
+    return this.walk(hash, node => [...(this.reverse.get(node) || [])], options);
+  }
+
+  // Breadth-first walk, nearest first, each hash once
+  walk(hash, edges, options = {}) {
+    if (!options.transitive) return [...new Set(edges(hash))];
+
+    const result = [];
+    const seen = new Set([hash]);
+    const queue = [hash];
+
+    while (queue.length > 0) {
+      for (const next of edges(queue.shift())) {
+        if (seen.has(next)) continue;
+        seen.add(next);
+        result.push(next);
+        queue.push(next);
+      }
+    }
+    return result;
+  }
+
+  getStats() {
+    let edges = 0;
+    for (const deps of this.forward.values()) edges += Object.keys(deps).length;
+
+    return {
+      nodes: this.forward.size,
+      edges,
+      referenced: this.reverse.size
+    };
+  }
+}
+
+// Export for use
+export { DependencyGraph, B2_MAX_DEPS };
\ No newline at end of file
@@ -5,6 +5,8 @@
 
 import crypto from 'crypto';
 import { performance } from 'perf_hooks';
+import { Blake3 } from './blake3.js';
+import { irlValidator, SchemaValidationError } from './schema-validator.js';
 
 // Simple LRU Cache implementation
 class LRU {
@@ -36,8 +38,22 @@ class LRU {
   has(key) {
     return this.cache.has(key);
   }
+
+  delete(key) {
+    return this.cache.delete(key);
+  }
+}
+
+// Lookups of a tombstoned hash fail with this instead of returning null
+function removedError(hash, tombstone) {
+  const error = new Error(`Function removed: ${hash} (${tombstone.reason || 'unregistered'} at ${tombstone.removedAt})`);
+  error.code = 'ERR_IRL_REMOVED';
+  return Object.assign(error, { hash, tombstone });
 }
 
+// Bit positions are derived with this scheme (persisted as index.bloomHashing)
+const BLOOM_HASHING = 'blake3-xof';
+
 // Simple Bloom Filter implementation
 class BloomFilter {
   constructor(size = 100000, falsePositiveRate = 0.001) {
@@ -47,16 +63,19 @@ class BloomFilter {
     this.itemCount = 0;
   }
 
-  _hash(item, seed) {
-    const hash = crypto.createHash('sha256');
-    hash.update(item + seed.toString());
-    const digest = hash.digest();
-    return digest.readUInt32BE(0) % this.size;
+  // All k bit positions from one BLAKE3 XOF read (4 bytes each) instead of
+  // k seeded SHA-256 digests
+  _indexes(item) {
+    const digest = new Blake3().update(String(item)).digest(undefined, 4 * this.numHashes);
+    const indexes = new Array(this.numHashes);
+    for (let i = 0; i < this.numHashes; i++) {
+      indexes[i] = digest.readUInt32LE(4 * i) % this.size;
+    }
+    return indexes;
   }
 
   add(item) {
-    for (let i = 0; i < this.numHashes; i++) {
-      const index = this._hash(item, i);
+    for (const index of this._indexes(item)) {
       const byteIndex = Math.floor(index / 8);
       const bitIndex = index % 8;
       this.bits[byteIndex] |= (1 << bitIndex);
@@ -65,8 +84,7 @@ class BloomFilter {
   }
 
   mightContain(item) {
-    for (let i = 0; i < this.numHashes; i++) {
-      const index = this._hash(item, i);
+    for (const index of this._indexes(item)) {
       const byteIndex = Math.floor(index / 8);
       const bitIndex = index % 8;
       if (!(this.bits[byteIndex] & (1 << bitIndex))) {
@@ -82,14 +100,45 @@ class BloomFilter {
     const n = this.itemCount;
     return Math.pow(1 - Math.exp(-k * n / m), k);
   }
+
+  // Serialize bit array for the registry document (index.bloom)
+  toBase64() {
+    return Buffer.from(this.bits).toString('base64');
+  }
+
+  // OR stored bits into the filter, so items already added stay members.
+  // Returns false if the stored filter has a different size or was built
+  // with other hash functions
+  mergeBase64(data, itemCount = 0, hashing = null) {
+    if (hashing !== BLOOM_HASHING) return false;
+    const bits = Buffer.from(data, 'base64');
+    if (bits.length !== this.bits.length) return false;
+    for (let i = 0; i < bits.length; i++) this.bits[i] |= bits[i];
+    this.itemCount += itemCount;
+    return true;
+  }
 }
 
 class FastLookup {
   constructor(options = {}) {
     this.hotCache = new LRU(options.cacheSize || 10000);       // L1: Hot functions
-    this.bloom = new BloomFilter(options.bloomSize || 100000, options.fpr || 0.001);  // L2: FPR 0.1%
+    this.fpr = options.fpr || 0.001;
+    this.bloom = new BloomFilter(options.bloomSize || 100000, this.fpr);  // L2: FPR 0.1%
     this.sieve = new Set();                                    // L3: Definite exists
     this.negative = new Set();                                 // L4: Definite NOT exists
+    this.tombstones = new Map();                               // Removed: hash -> { removedAt, reason, actor }
+
+    // Entries are checked against irl-schema.json functionEntry
+    this.validator = options.validate === false ? null : (options.validator || irlValidator);
+
+    // Optional shared Metrics - lookup latency histogram
+    this.metrics = options.metrics || null;
+
+    // Optional shared BudgetManager - remote fetches run under the 'lookup' budget
+    this.budget = options.budget || null;
+
+    // Optional check for fetched (non-local) entries - may throw to refuse one
+    this.verify = options.verify || null;
 
     // Mock index - in production would be actual storage
     this.index = new Map();
@@ -99,6 +148,7 @@ class FastLookup {
       lookups: 0,
       hotHits: 0,
       negativeHits: 0,
+      removedHits: 0,
       sieveHits: 0,
       bloomHits: 0,
       fetches: 0,
@@ -107,11 +157,17 @@ class FastLookup {
     };
   }
 
-  async get(hash) {
+  async get(hash, options = {}) {
     const start = performance.now();
     this.stats.lookups++;
 
     try {
+      // 0.001ms - Removed on purpose - say so rather than "not found"
+      if (this.tombstones.has(hash)) {
+        this.stats.removedHits++;
+        throw removedError(hash, this.tombstones.get(hash));
+      }
+
       // 0.01ms - Memory cache
       if (this.hotCache.has(hash)) {
         this.stats.hotHits++;
@@ -127,7 +183,7 @@ class FastLookup {
       // 0.001ms - Positive sieve
       if (this.sieve.has(hash)) {
         this.stats.sieveHits++;
-        const result = await this.fetchFromIndex(hash);
+        const result = await this.fetch(hash, options.signal);
         this.hotCache.set(hash, result);
         return result;
       }
@@ -142,7 +198,7 @@ class FastLookup {
       // Bloom said maybe - need to actually fetch
       this.stats.bloomHits++;
       this.stats.fetches++;
-      const result = await this.fetchFromIndex(hash);
+      const result = await this.fetch(hash, options.signal);
 
       if (result) {
         // Found it - add to positive sieve
@@ -159,19 +215,45 @@ class FastLookup {
       return result;
 
     } finally {
-      this.stats.totalTime += performance.now() - start;
+      const elapsed = performance.now() - start;
+      this.stats.totalTime += elapsed;
+      this.metrics?.record('lookup', elapsed);
     }
   }
 
-  async fetchFromIndex(hash) {
-    // Simulate network fetch (10-50ms)
-    await new Promise(r => setTimeout(r, Math.random() * 40 + 10));
+  // Authoritative existence check - never trusts bloom alone
+  has(hash) {
+    if (this.negative.has(hash)) return false;
+    if (!this.sieve.has(hash) && !this.bloom.mightContain(hash)) return false;
+    return this.index.has(hash);
+  }
+
+  async fetch(hash, signal) {
+    if (this.index.has(hash)) return this.fetchFromIndex(hash, signal);
+
+    const entry = this.budget
+      ? await this.budget.run('lookup', s => this.fetchFromIndex(hash, s), { hash, signal })
+      : await this.fetchFromIndex(hash, signal);
+    if (entry && this.verify) this.verify(entry);
+    return entry;
+  }
 
-    // Mock index lookup
+  async fetchFromIndex(hash, signal) {
+    // Entries loaded from a local registry file are already in memory
     if (this.index.has(hash)) {
       return this.index.get(hash);
     }
 
+    // Simulate network fetch (10-50ms) - cancelled when signal aborts
+    await new Promise((resolve, reject) => {
+      if (signal?.aborted) return reject(signal.reason);
+      const timer = setTimeout(resolve, Math.random() * 40 + 10);
+      signal?.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      }, { once: true });
+    });
+
     // 10% chance of false positive from bloom
     if (Math.random() < 0.1) {
       return null;
@@ -188,18 +270,51 @@ class FastLookup {
 
   // Add function to registry
   async add(hash, data) {
+    if (this.validator) {
+      const { errors } = this.validator.validateEntry(data);
+      if (data?.hash !== hash) {
+        errors.push({ path: '/hash', keyword: 'const', message: `must equal key ${hash}` });
+      }
+      if (errors.length > 0) throw new SchemaValidationError(errors, 'function entry');
+    }
+
     // Add to all positive caches
     this.bloom.add(hash);
     this.sieve.add(hash);
     this.hotCache.set(hash, data);
 
-    // Remove from negative if it was there
+    // Remove from negative if it was there; re-adding a removed hash revives it
     this.negative.delete(hash);
+    this.tombstones.delete(hash);
 
     // Store in index
     this.index.set(hash, data);
   }
 
+  // Remove an entry and leave a tombstone. The bloom filter can't forget, so
+  // its bits stay set until rebuild() - has() still answers from the index
+  remove(hash, tombstone = {}) {
+    const existed = this.index.delete(hash);
+    this.sieve.delete(hash);
+    this.hotCache.delete(hash);
+    this.negative.delete(hash);
+    this.tombstones.set(hash, { removedAt: new Date().toISOString(), ...tombstone });
+    return existed;
+  }
+
+  // Tombstone of a removed hash, or null
+  removed(hash) {
+    return this.tombstones.get(hash) || null;
+  }
+
+  // Fresh bloom filter and sieve from the live index (drops removed hashes' bits)
+  rebuild() {
+    this.bloom = new BloomFilter(this.bloom.size, this.fpr);
+    this.sieve = new Set(this.index.keys());
+    for (const hash of this.index.keys()) this.bloom.add(hash);
+    return { items: this.index.size, fpr: this.bloom.estimateFPR() };
+  }
+
   // Bulk preload for startup
   async preload(hashes) {
     const start = performance.now();
@@ -220,6 +335,43 @@ class FastLookup {
     console.log(`Estimated FPR: ${(this.bloom.estimateFPR() * 100).toFixed(2)}%`);
   }
 
+  // Snapshot of the lookup layers for persistence (schema: index)
+  exportIndex() {
+    return {
+      bloom: this.bloom.toBase64(),
+      bloomHashing: BLOOM_HASHING,
+      sieve: [...this.sieve],
+      negative: [...this.negative]
+    };
+  }
+
+  // Restore entries and lookup layers from a persisted document
+  importIndex(registry = {}, index = {}) {
+    const hashes = Object.keys(registry);
+    const added = hashes.filter(hash => !this.index.has(hash));
+
+    for (const hash of hashes) {
+      this.index.set(hash, registry[hash]);
+      this.sieve.add(hash);
+      this.negative.delete(hash);
+    }
+
+    // Rebuild bloom if the stored one is missing, sized differently or
+    // built with older hash functions (pre-BLAKE3 documents)
+    if (!index.bloom || !this.bloom.mergeBase64(index.bloom, added.length, index.bloomHashing)) {
+      added.forEach(hash => this.bloom.add(hash));
+    }
+
+    (index.sieve || []).forEach(hash => {
+      if (this.index.has(hash)) this.sieve.add(hash);
+    });
+    (index.negative || []).forEach(hash => {
+      if (!this.index.has(hash)) this.negative.add(hash);
+    });
+
+    return hashes.length;
+  }
+
   getStats() {
     const avgTime = this.stats.lookups > 0
       ? this.stats.totalTime / this.stats.lookups
@@ -227,13 +379,12 @@ class FastLookup {
 
     return {
       ...this.stats,
-      avgLookupTime: avgTime.toFixed(3) + 'ms',
-      cacheHitRate: this.stats.lookups > 0
-        ? ((this.stats.hotHits / this.stats.lookups) * 100).toFixed(1) + '%'
-        : '0%',
+      avgLookupTime: avgTime,   // ms
+      cacheHitRate: this.stats.lookups > 0 ? this.stats.hotHits / this.stats.lookups : 0,
       negativeCacheSize: this.negative.size,
+      tombstones: this.tombstones.size,
       sieveSize: this.sieve.size,
-      bloomFPR: (this.bloom.estimateFPR() * 100).toFixed(3) + '%'
+      bloomFPR: this.bloom.estimateFPR()
     };
   }
 
@@ -246,14 +397,15 @@ class FastLookup {
 }
 
 // Export for use
-export { FastLookup, BloomFilter, LRU };
+export { FastLookup, BloomFilter, LRU, BLOOM_HASHING, removedError };
 
 // CLI demo
 if (import.meta.url === `file://${process.argv[1]}`) {
   (async () => {
     console.log('FastLookup Performance Test\n');
 
-    const lookup = new FastLookup();
+    // Demo data uses short mock hashes - skip schema validation
+    const lookup = new FastLookup({ validate: false });
 
     // Preload some hashes
     const knownHashes = Array.from({ length: 1000 }, (_, i) =>
@@ -304,7 +456,7 @@ if (import.meta.url === `file://${process.argv[1]}`) {
     });
 
     // Check performance target
-    const avgTime = parseFloat(stats.avgLookupTime);
+    const avgTime = stats.avgLookupTime;
     console.log(`\n✅ ${avgTime < 30 ? 'PASS' : 'FAIL'} - Target <30ms average`);
   })();
 }
\ No newline at end of file
@@ -0,0 +1,117 @@
+#!/usr/bin/env node
+
+// Hash Format - self-describing, versioned function hashes
+// <codec><version>-<semantic>-<structure>-<exact>, e.g. 1e01-3fa2c1d0-9b1e-44aa
+
+import crypto from 'crypto';
+import { blake3Hex } from './blake3.js';
+
+// Digest algorithms by multicodec code (2 hex digits in the prefix)
+const ALGORITHMS = {
+  'sha2-256': { code: 0x12, digest: input => crypto.createHash('sha256').update(input).digest('hex') },
+  'blake3': { code: 0x1e, digest: input => blake3Hex(input) }
+};
+
+const DEFAULT_ALGORITHM = 'blake3';
+
+// Unprefixed HHHHHHHH-HHHH-HHHH hashes predate versioning (and BLAKE3)
+const LEGACY_VERSION = 0;
+const LEGACY_ALGORITHM = 'sha2-256';
+
+const HASH_PATTERN = /^(?:[a-f0-9]{4}-)?[a-f0-9]{8}(-[a-f0-9]{4}){2}$/;
+const PARTS = /^(?:([a-f0-9]{2})([a-f0-9]{2})-)?([a-f0-9]{8})-([a-f0-9]{4})-([a-f0-9]{4})$/;
+
+function hashError(message) {
+  const error = new Error(message);
+  error.code = 'ERR_IRL_HASH_FORMAT';
+  return error;
+}
+
+function algorithmByCode(code) {
+  return Object.keys(ALGORITHMS).find(name => ALGORITHMS[name].code === code);
+}
+
+// '1e01-3fa2c1d0-9b1e-44aa' -> { algorithm, code, version, legacy, prefix, semantic, structure, exact, body }
+function parseHash(hash) {
+  const m = typeof hash === 'string' ? hash.match(PARTS) : null;
+  if (!m) throw hashError(`Invalid hash ${JSON.stringify(hash)} - expected [CCVV-]HHHHHHHH-HHHH-HHHH`);
+
+  const [, codec, version, semantic, structure, exact] = m;
+  const body = `${semantic}-${structure}-${exact}`;
+
+  if (codec === undefined) {
+    return {
+      hash, algorithm: LEGACY_ALGORITHM, code: ALGORITHMS[LEGACY_ALGORITHM].code,
+      version: LEGACY_VERSION, legacy: true, prefix: null, semantic, structure, exact, body
+    };
+  }
+
+  const code = parseInt(codec, 16);
+  const algorithm = algorithmByCode(code);
+  if (!algorithm) throw hashError(`Unknown hash algorithm code 0x${codec} in ${hash}`);
+  if (parseInt(version, 16) === LEGACY_VERSION) throw hashError(`Hasher version 0 is reserved (${hash})`);
+
+  return {
+    hash, algorithm, code, version: parseInt(version, 16), legacy: false,
+    prefix: codec + version, semantic, structure, exact, body
+  };
+}
+
+function isHash(hash) {
+  try {
+    parseHash(hash);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+function formatPrefix(algorithm, version) {
+  const spec = ALGORITHMS[algorithm];
+  if (!spec) throw hashError(`Unknown hash algorithm ${algorithm} (${Object.keys(ALGORITHMS).join(', ')})`);
+  if (!Number.isInteger(version) || version < 1 || version > 0xff) {
+    throw hashError(`Hasher version must be 1-255, got ${version}`);
+  }
+  return spec.code.toString(16).padStart(2, '0') + version.toString(16).padStart(2, '0');
+}
+
+// Digests (hex) are truncated to 8/4/4 characters
+function formatHash({ algorithm = DEFAULT_ALGORITHM, version, semantic, structure, exact }) {
+  return `${formatPrefix(algorithm, version)}-${semantic.slice(0, 8)}-${structure.slice(0, 4)}-${exact.slice(0, 4)}`;
+}
+
+// Digest segments without the format prefix; other strings pass through
+function hashBody(hash) {
+  return PARTS.test(hash) ? hash.slice(hash.length - 18) : hash;
+}
+
+// Format prefix + semantic segment: '1201-3fa2c1d0-9b1e-44aa' -> '1201-3fa2c1d0'.
+// Semantic digests only compare within one format; legacy hashes give the segment alone
+function semanticKey(hash) {
+  return PARTS.test(hash) ? hash.slice(0, hash.length - 10) : hash;
+}
+
+function digest(algorithm, input) {
+  const spec = ALGORITHMS[algorithm];
+  if (!spec) throw hashError(`Unknown hash algorithm ${algorithm} (${Object.keys(ALGORITHMS).join(', ')})`);
+  return spec.digest(input);
+}
+
+// Export for use
+export {
+  parseHash, isHash, formatHash, formatPrefix, hashBody, semanticKey, digest,
+  ALGORITHMS, DEFAULT_ALGORITHM, LEGACY_VERSION, LEGACY_ALGORITHM, HASH_PATTERN
+};
+
+// CLI interface: node hash-format.js <hash>...
+if (import.meta.url === `file://${process.argv[1]}`) {
+  for (const hash of process.argv.slice(2)) {
+    try {
+      const info = parseHash(hash);
+      console.log(`${hash}: ${info.algorithm}, hasher v${info.version}${info.legacy ? ' (legacy, unprefixed)' : ''}`);
+    } catch (e) {
+      console.log(`${hash}: ${e.message}`);
+      process.exitCode = 1;
+    }
+  }
+}
\ No newline at end of file
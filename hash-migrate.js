@@ -0,0 +1,118 @@
+#!/usr/bin/env node
+
+// Hash Migration - re-hash a registry document under the current hash format
+// Old hashes keep resolving through aliases (old -> new); tags are moved
+
+import { S0FractalIRL, irlError } from './index.js';
+import { isHash, parseHash, formatPrefix } from './hash-format.js';
+import { TagRegistry } from './tag-registry.js';
+
+// Returns { document, map: { old: new }, prefix, migrated, merged, unchanged, resigned, unsigned, from }.
+// options.algorithm picks the digest; the hasher version is always the current one.
+// A new hash breaks the entry's signature: options.signer re-signs it, otherwise
+// the provenance block is dropped
+function migrateDocument(doc, options = {}) {
+  const hasher = new S0FractalIRL({ hashAlgorithm: options.algorithm });
+  const prefix = formatPrefix(hasher.hashFormat.algorithm, hasher.hashFormat.version);
+  const at = options.at || new Date().toISOString();
+  const entries = doc.registry || {};
+
+  // Deps are part of the exact segment, so they are re-hashed first
+  const map = new Map();
+  const visiting = new Set();
+  const rehash = hash => {
+    if (map.has(hash)) return map.get(hash);
+    const entry = entries[hash];
+    if (!entry) return hash;
+    if (visiting.has(hash)) throw irlError('ERR_IRL_DEPS', `Dependency cycle at ${hash} - cannot migrate`);
+
+    visiting.add(hash);
+    const deps = mapValues(entry.deps || {}, rehash);
+    visiting.delete(hash);
+
+    const next = hasher.generateHash(entry.source, deps);
+    map.set(hash, next);
+    return next;
+  };
+  Object.keys(entries).forEach(rehash);
+
+  const registry = {};
+  const aliases = {};
+  const from = {};
+  let migrated = 0, merged = 0, resigned = 0, unsigned = 0;
+
+  for (const [old, entry] of Object.entries(entries)) {
+    const hash = map.get(old);
+    const format = isHash(old) ? parseHash(old).prefix || 'legacy' : 'unknown';
+    from[format] = (from[format] || 0) + 1;
+
+    if (hash !== old) {
+      aliases[old] = hash;
+      migrated++;
+    }
+    // Entries that now hash the same collapse into one (the first wins)
+    if (registry[hash]) {
+      merged++;
+      continue;
+    }
+
+    const next = { ...entry, hash };
+    if (entry.deps) next.deps = mapValues(entry.deps, dep => map.get(dep) ?? dep);
+    if (entry.compose) next.compose = entry.compose.map(part => map.get(part) ?? part);
+    if (entry.provenance && hash !== old) {
+      delete next.provenance;
+      if (options.signer) {
+        next.provenance = options.signer.sign(next, { at });
+        resigned++;
+      } else {
+        unsigned++;
+      }
+    }
+    registry[hash] = next;
+  }
+
+  // Earlier merge aliases keep pointing at the same function
+  for (const [alias, target] of Object.entries(doc.aliases || {})) {
+    aliases[alias] = map.get(target) ?? target;
+  }
+
+  const tags = new TagRegistry();
+  tags.load(doc.tags || {}, () => true);
+  for (const name of Object.keys(doc.tags || {})) {
+    const hash = tags.get(name);
+    if (hash && map.has(hash) && map.get(hash) !== hash) {
+      tags.set(name, map.get(hash), { move: true, reason: `hash migration to ${prefix}`, actor: 'hash-migrate', at });
+    }
+  }
+
+  const document = {
+    ...doc,
+    registry,
+    aliases,
+    tags: tags.toJSON(),
+    index: {},   // bloom/sieve are rebuilt from the entries on load
+    migrations: migrated > 0
+      ? [...(doc.migrations || []), { to: prefix, at, from, migrated, merged }]
+      : doc.migrations
+  };
+  if (!document.migrations) delete document.migrations;
+
+  return {
+    document,
+    map: Object.fromEntries([...map].filter(([old, hash]) => old !== hash)),
+    prefix,
+    migrated,
+    merged,
+    unchanged: Object.keys(entries).length - migrated,
+    resigned,
+    unsigned,
+    from
+  };
+}
+
+function mapValues(obj, fn) {
+  return Object.fromEntries(Object.entries(obj).map(([key, value]) => [key, fn(value)]));
+}
+
+// Export for use
+export { migrateDocument };
\ No newline at end of file
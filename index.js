@@ -4,30 +4,116 @@
 // Main entry point with performance benchmarking
 
 import { performance } from 'perf_hooks';
+import { EventEmitter } from 'events';
 import crypto from 'crypto';
 import { WASMExecutor } from './wasm-canon.js';
-import { FastLookup } from './fast-lookup.js';
+import { FastLookup, removedError } from './fast-lookup.js';
 import { CTCAnalyzer } from './ctc-analyzer.js';
 import { SimpleSemanticHasher } from './simple-semantic-hash.js';
+import { RegistryStore, STORE_VERSION } from './registry-store.js';
+import { parseHash, isHash, formatHash, hashBody, semanticKey, digest, DEFAULT_ALGORITHM, HASH_PATTERN } from './hash-format.js';
+import { irlFullValidator, SchemaValidationError } from './schema-validator.js';
+import { DependencyGraph } from './dep-graph.js';
+import { FunctionSandbox } from './sandbox.js';
+import { PropertyTester } from './property-test.js';
+import { SymbolicVerifier } from './symbolic-verifier.js';
+import { SimilarityIndex } from './similarity-index.js';
+import { TagRegistry } from './tag-registry.js';
+import { Metrics } from './metrics.js';
+import { BudgetManager, PERF_BUDGET } from './budget.js';
+import { PluginManager } from './plugins.js';
+import { Signer, TrustStore, verifyProvenance, POLICIES } from './provenance.js';
+import { ingestPath } from './module-ingest.js';
+import { buildBundle } from './bundle.js';
 
-const PERF_BUDGET = {
-  L0_SYNTAX: 0.1,    // ms - Blake3 only
-  L1_CANONICAL: 10,  // ms - egg with timeout
-  L2_SEMANTIC: 50,   // ms - WL-hash, depth 3
-  CTC_ANALYSIS: 1,   // ms - max 5 iterations
-  TOTAL_MAX: 30      // ms - hard ceiling
+// Canonical pick for a duplicate cluster - comparators, best first
+const byAge = (a, b) => a.created < b.created ? -1 : a.created > b.created ? 1 : (a.hash < b.hash ? -1 : 1);
+const proofRank = entry => entry.proofs?.L2 ? 3 : entry.proofs?.L1 ? 2 : entry.proofs?.L0 ? 1 : 0;
+
+const CANONICAL_PICKS = {
+  oldest: byAge,
+  'most-executed': (a, b) => (b.perf?.executions || 0) - (a.perf?.executions || 0) || byAge(a, b),
+  'strongest-proof': (a, b) => proofRank(b) - proofRank(a) || byAge(a, b)
 };
 
-class S0FractalIRL {
-  constructor() {
-    this.lookup = new FastLookup();
-    this.executor = new WASMExecutor();
-    this.ctc = new CTCAnalyzer();
-    this.hasher = new SimpleSemanticHasher();
+// Source of every composed entry - f and g are bound as deps
+const COMPOSE_SOURCE = '(...args) => f(g(...args))';
+
+// Errors carry a stable code for callers (HTTP server, CLI, loader)
+function irlError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Emits 'budget-exceeded' { stage, hash, elapsed, budget, aborted } for any stage overrun,
+// 'plugin-error' { plugin, hook, hash, error } when a plugin hook fails and
+// 'provenance' { hash, status, keyId, reason, policy } for loaded/fetched entries that aren't trusted
+class S0FractalIRL extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.metrics = options.metrics || new Metrics();   // per-operation latency histograms
+
+    // Budgets: defaults < options.budgetFile / IRL_BUDGET_FILE < IRL_BUDGET_* env < options.budgets
+    this.budget = options.budget || new BudgetManager({ budgets: options.budgets, file: options.budgetFile });
+    this.budget.on('budget-exceeded', event => this.emit('budget-exceeded', event));
+
+    // Policy hooks (beforeRegister, afterRegister, beforeExecute, afterExecute, onProof)
+    this.plugins = new PluginManager({ budget: this.budget, registry: this });
+    this.plugins.on('plugin-error', event => this.emit('plugin-error', event));
+    (options.plugins || []).forEach(plugin => this.plugins.use(plugin));
+
+    // Provenance: new entries are signed by options.signer (Signer or private key,
+    // or the PEM file in options.signingKeyFile / IRL_SIGNING_KEY); loaded and fetched
+    // entries are checked against the trust store under options.provenance
+    this.trust = options.trust || new TrustStore({ file: options.trustFile || process.env.IRL_TRUST_STORE });
+    const signingKeyFile = options.signingKeyFile || process.env.IRL_SIGNING_KEY;
+    this.signer = options.signer instanceof Signer ? options.signer
+      : options.signer ? new Signer(options.signer)
+      : signingKeyFile ? Signer.readFile(signingKeyFile) : null;
+    if (this.signer) this.trust.add(this.signer.publicKey, { name: 'signer' });
+    this.provenancePolicy = options.provenance || process.env.IRL_PROVENANCE || 'flag';
+    if (!POLICIES.includes(this.provenancePolicy)) {
+      throw irlError('ERR_IRL_BAD_OPTION', `Unknown provenance policy ${this.provenancePolicy} (${POLICIES.join(', ')})`);
+    }
+    this.provenanceFlags = new Map();   // hash -> { status, keyId, reason } for untrusted entries
+
+    this.lookup = new FastLookup({
+      ...options.lookup,
+      metrics: this.metrics,
+      budget: this.budget,
+      verify: entry => this.checkProvenance(entry)
+    });
+    this.executor = new WASMExecutor({ metrics: this.metrics, budget: this.budget });
+    this.ctc = new CTCAnalyzer({ budget: this.budget });
+    // Hash format: digest algorithm + hasher version, encoded in every hash prefix
+    const algorithm = options.hashAlgorithm || DEFAULT_ALGORITHM;
+    this.digest = input => digest(algorithm, input);
+    this.hasher = new SimpleSemanticHasher({ digest: this.digest });
+    this.hashFormat = { algorithm, version: this.hasher.version };
+    this.deps = new DependencyGraph();
+    this.prover = new PropertyTester({ hasher: this.hasher, ...options.propertyTest });
+    this.verifier = new SymbolicVerifier({ hasher: this.hasher, ...options.symbolic });
+    this.similarity = new SimilarityIndex({ hasher: this.hasher, ...options.similarity });
+    this.similarityIndexed = false;
+    this.sandboxes = new Map();
+    this.aliases = new Map();   // merged duplicate -> canonical hash
+    this.tags = new TagRegistry();   // human-readable names -> hash
+    this.migrations = [];   // hash format migrations applied to the persisted registry
     this.proofCache = new Map();
 
+    // Persistence - options.persist is the registry file path
+    this.store = options.persist ? new RegistryStore(options.persist) : null;
+    this.autoPersist = Boolean(this.store && options.autoPersist);
+    this.autoPersistDelay = options.autoPersistDelay ?? 50;
+    this.pendingSave = null;
+
     this.stats = {
       registered: 0,
+      unregistered: 0,
+      collected: 0,
+      loaded: 0,
+      rejected: 0,
       executed: 0,
       proved: 0,
       totalHashTime: 0,
@@ -35,31 +121,49 @@ class S0FractalIRL {
     };
   }
 
+  // Create a registry and load its persisted state (if any)
+  static async open(filePath, options = {}) {
+    const registry = new S0FractalIRL({ autoPersist: true, ...options, persist: filePath });
+    await registry.load();
+    return registry;
+  }
+
   // Generate multi-layer hash with REAL semantic deduplication
-  generateHash(code) {
+  generateHash(code, deps = {}, semantic = null) {
     const start = performance.now();
 
     // Use our WORKING semantic hasher!
-    const semantic = this.hasher.hash(code);
+    semantic = semantic || this.hasher.hash(code);
 
-    // L0: Semantic hash (normalized operations)
+    // L0: Semantic hash (Merkle tree of the normalized AST, commutative operands sorted)
     const h0 = semantic.hash;
 
-    // L1: AST structure hash
-    const h1 = this.blake3Hash(JSON.stringify(semantic.signature));
+    // L1: AST structure hash (same tree, operands in source order)
+    const h1 = semantic.structure;
 
-    // L2: Raw code hash (for exact match)
-    const h2 = this.blake3Hash(this.normalizeAST(code));
+    // L2: Raw code hash (for exact match) - bound deps are part of identity
+    const h2 = this.exactDigest(code, deps);
 
-    this.stats.totalHashTime += performance.now() - start;
+    // Format: codec+version prefix, then semantic-structure-exact
+    const hash = formatHash({ ...this.hashFormat, semantic: h0, structure: h1, exact: h2 });
+
+    const elapsed = performance.now() - start;
+    this.stats.totalHashTime += elapsed;
+    this.metrics.record('hash', elapsed);
+    this.budget.observe('hash', elapsed, { hash });
+
+    return hash;
+  }
 
-    // Format: semantic-structure-exact
-    return `${h0.slice(0, 8)}-${h1.slice(0, 4)}-${h2.slice(0, 4)}`;
+  exactDigest(code, deps = {}, algorithm = this.hashFormat.algorithm) {
+    return digest(algorithm, this.normalizeAST(code) + this.depsKey(deps));
   }
 
-  // Mock hash functions for demo
-  blake3Hash(str) {
-    return crypto.createHash('sha256').update(str).digest('hex');
+  // Stable encoding of deps (name order independent); empty for no deps
+  depsKey(deps = {}) {
+    const names = Object.keys(deps).sort();
+    if (names.length === 0) return '';
+    return '\0deps:' + names.map(name => `${name}=${deps[name]}`).join(',');
   }
 
   normalizeAST(code) {
@@ -79,16 +183,34 @@ class S0FractalIRL {
     return hash;
   }
 
-  // Register a function
-  async register(code) {
+  // Register a function, optionally with deps: { name: hash } (B2: max 2).
+  // beforeRegister plugins may veto (ERR_IRL_VETO) or annotate the new entry
+  async register(code, options = {}) {
+    const deps = options.deps || {};
+
+    this.checkDeps(deps);
+    const { annotations } = await this.plugins.run('beforeRegister', { source: code, deps: { ...deps } });
+
     const start = performance.now();
-    const hash = this.generateHash(code);
+    const semantic = this.hasher.hash(code);
+    const hash = this.generateHash(code, deps, semantic);
+
+    // Already registered: keep its created/perf/proofs/annotations/provenance
+    if (this.lookup.has(hash)) return hash;
+
+    const cycle = this.deps.findCycleVia(hash, deps);
+    if (cycle) {
+      throw irlError('ERR_IRL_DEPS', `Dependency cycle: ${cycle.join(' -> ')}`);
+    }
 
     // Check CTC properties
+    const ctcStart = performance.now();
     const ctcResult = this.ctc.analyze(hash);
+    const ctcTime = performance.now() - ctcStart;
+    this.metrics.record('ctc', ctcTime);
+    this.budget.observe('ctc', ctcTime, { hash });
 
-    // Store in lookup
-    await this.lookup.add(hash, {
+    const entry = {
       hash,
       source: code,
       wasm: Buffer.from('mock-wasm').toString('base64'),
@@ -97,82 +219,976 @@ class S0FractalIRL {
       perf: {
         hashTime: performance.now() - start
       }
-    });
+    };
+    if (Object.keys(deps).length > 0) entry.deps = { ...deps };
+    if (options.compose) entry.compose = [...options.compose];
+    if (Object.keys(annotations).length > 0) entry.annotations = annotations;
+    if (this.signer) entry.provenance = this.signer.sign(entry);
+
+    // Store in lookup
+    await this.lookup.add(hash, entry);
+    this.deps.set(hash, deps);
+    if (this.similarityIndexed) this.similarity.add(hash, code, semantic);
 
     this.stats.registered++;
+    this.budget.observe('register', performance.now() - start, { hash });
+    this.markDirty();
+
+    const after = await this.plugins.run('afterRegister', { hash, entry: Object.freeze({ ...entry }) });
+    this.annotate(entry, after.annotations);
+    return hash;
+  }
+
+  // Register the exported functions of a module file or every module under a
+  // directory (ES or CommonJS). Module-local helpers they call become deps.
+  // Returns { exports: { file: { name: hash } }, helpers, failed: [{ file, name, line, reason }], ... }
+  async ingest(pathOrDir, options = {}) {
+    return ingestPath(this, pathOrDir, options);
+  }
+
+  // One generated module (format 'esm' | 'cjs') with the given functions and
+  // their deps, plus matching .d.ts typings. refs: tags/hashes, or { exportName: ref }.
+  // Returns { format, code, types, exports: { name: hash }, functions }
+  async exportBundle(hashesOrTags, options = {}) {
+    return buildBundle(this, hashesOrTags, options);
+  }
+
+  // Remove a function. Refuses (ERR_IRL_DEPENDENTS) while other entries list it
+  // in deps. Leaves a tombstone, so later lookups fail with ERR_IRL_REMOVED; tags
+  // pointing at it are deleted (audited) and merge aliases to it are dropped
+  unregister(ref, options = {}) {
+    const hash = this.findHash(ref);
+
+    const dependents = this.dependents(hash);
+    if (dependents.length > 0) {
+      const error = irlError('ERR_IRL_DEPENDENTS', `Cannot unregister ${hash}: required by ${dependents.join(', ')}`);
+      throw Object.assign(error, { hash, dependents });
+    }
+
+    const tombstone = this.removeEntry(hash, { reason: options.reason || 'unregistered', actor: options.actor });
+    this.stats.unregistered++;
+    this.markDirty();
+    return { hash, ...tombstone };
+  }
+
+  // Mark-and-sweep: entries not reachable from a tag (or options.keep) through
+  // deps are removed with a tombstone, then the bloom filter and sieve are
+  // rebuilt. options.dryRun only reports. With no roots at all nothing is
+  // collected - an untagged registry is not all garbage
+  gc(options = {}) {
+    const start = performance.now();
+    const roots = new Set([
+      ...this.tags.names().map(name => this.tags.get(name)),
+      ...(options.keep || []).map(ref => this.findHash(ref))
+    ]);
+
+    if (roots.size === 0) {
+      return {
+        dryRun: Boolean(options.dryRun),
+        roots: 0,
+        removed: [],
+        kept: this.lookup.index.size,
+        bloom: { before: this.lookup.bloom.estimateFPR(), after: null },
+        warning: 'gc: no tags or keep roots - nothing collected',
+        timeUsed: performance.now() - start
+      };
+    }
+
+    const live = new Set();
+    for (const root of roots) {
+      live.add(root);
+      this.dependencies(root, { transitive: true }).forEach(hash => live.add(hash));
+    }
+    const garbage = [...this.lookup.index.keys()].filter(hash => !live.has(hash));
+
+    const report = {
+      dryRun: Boolean(options.dryRun),
+      roots: roots.size,
+      removed: garbage,
+      kept: this.lookup.index.size - garbage.length,
+      bloom: { before: this.lookup.bloom.estimateFPR(), after: null }
+    };
+
+    if (!options.dryRun) {
+      const at = new Date().toISOString();
+      for (const hash of garbage) {
+        this.removeEntry(hash, { reason: 'garbage collected', actor: options.actor, at });
+      }
+      report.bloom.after = this.lookup.rebuild().fpr;
+      this.stats.collected += garbage.length;
+      this.markDirty();
+    }
+
+    report.timeUsed = performance.now() - start;
+    return report;
+  }
+
+  // Drop an entry from every index and cache; returns its tombstone
+  removeEntry(hash, { reason, actor, at = new Date().toISOString() }) {
+    for (const name of this.tags.names(hash)) {
+      this.tags.delete(name, { reason: `${reason}: ${hash}`, actor, at });
+    }
+    for (const [alias, target] of this.aliases) {
+      if (target === hash) this.aliases.delete(alias);
+    }
+
+    this.lookup.remove(hash, { removedAt: at, reason, ...(actor ? { actor } : {}) });
+    this.deps.delete(hash);
+    this.similarity.remove(hash);
+    this.sandboxes.delete(hash);
+    this.ctc.cache.delete(hash);
+    this.executor.aotCache.delete(hash);
+    this.provenanceFlags.delete(hash);
+    for (const key of this.proofCache.keys()) {
+      if (key.startsWith(`${hash}:`)) this.proofCache.delete(key);
+    }
+    return this.lookup.removed(hash);
+  }
+
+  // Install a plugin - see plugins.js for the hook contract
+  use(plugin) {
+    this.plugins.use(plugin);
+    return this;
+  }
+
+  // Merge plugin annotations into a stored entry (schema: functionEntry.annotations)
+  annotate(entry, annotations) {
+    if (!entry || Object.keys(annotations).length === 0) return;
+    entry.annotations = entry.annotations || {};
+    for (const [name, data] of Object.entries(annotations)) {
+      entry.annotations[name] = { ...entry.annotations[name], ...data };
+    }
+    this.markDirty();
+  }
+
+  // B2 rule + every dependency must already be registered
+  checkDeps(deps) {
+    if (!deps || typeof deps !== 'object' || Array.isArray(deps)) {
+      throw irlError('ERR_IRL_DEPS', 'deps must be an object of { name: hash }');
+    }
+
+    this.deps.checkB2(deps);
+
+    for (const [name, dep] of Object.entries(deps)) {
+      if (!this.lookup.has(dep)) {
+        throw irlError('ERR_IRL_DEPS', `Unknown dependency ${name}: ${dep}`);
+      }
+    }
+  }
+
+  // Register f ∘ g: x => f(g(x)). Same inputs always give the same hash
+  async compose(hashF, hashG) {
+    const f = this.canonical(hashF);
+    const g = this.canonical(hashG);
+    const deps = { f, g };
+
+    this.checkDeps(deps);
+    const hash = this.generateHash(COMPOSE_SOURCE, deps);
+    if (this.lookup.has(hash)) return hash;
+
+    return this.register(COMPOSE_SOURCE, { deps, compose: [f, g] });
+  }
+
+  // Left-to-right composition: pipe(a, b, c) = x => c(b(a(x))).
+  // Built from nested compose() entries so each one stays within B2
+  async pipe(...hashes) {
+    if (hashes.length === 0) throw irlError('ERR_IRL_DEPS', 'pipe() needs at least one function');
+
+    let hash = this.canonical(hashes[0]);
+    if (!this.lookup.has(hash)) throw irlError('ERR_IRL_UNKNOWN_HASH', 'Function not found: ' + hashes[0]);
+
+    for (const next of hashes.slice(1)) {
+      hash = await this.compose(next, hash);
+    }
     return hash;
   }
 
-  // Execute a function
-  async execute(hash, inputs = []) {
+  // Direct (or transitive) dependencies of a function
+  dependencies(hash, options = {}) {
+    return this.deps.dependencies(hash, options);
+  }
+
+  // Functions that depend on this one (directly or transitively)
+  dependents(hash, options = {}) {
+    return this.deps.dependents(hash, options);
+  }
+
+  // Execute a function under the 'execute' budget. On overrun it rejects with
+  // ERR_IRL_BUDGET and aborts the pending lookup; options.signal cancels too.
+  // A cold first run (compile or sandbox setup) gets the larger 'cold:execute' budget
+  async execute(hash, inputs = [], options = {}) {
+    hash = this.resolve(hash);
+    const cold = !this.executor.aotCache.has(hash) && !this.sandboxes.has(hash);
+    return this.budget.run(cold ? 'cold:execute' : 'execute', signal => this.executeEntry(hash, inputs, signal), {
+      hash,
+      signal: options.signal
+    });
+  }
+
+  // beforeExecute plugins may veto or replace inputs, afterExecute ones the result
+  async executeEntry(hash, inputs, signal) {
     const start = performance.now();
 
-    const func = await this.lookup.get(hash);
-    if (!func) throw new Error('Function not found: ' + hash);
+    const func = await this.lookup.get(hash, { signal });
+    if (!func) throw irlError('ERR_IRL_UNKNOWN_HASH', 'Function not found: ' + hash);
+
+    const before = await this.plugins.run('beforeExecute',
+      { hash, inputs, entry: Object.freeze({ ...func }) }, { signal });
+    inputs = before.inputs;
+
+    // Composed entries run their parts' source in the proof sandbox (deps f and g
+    // bound by name) - chaining executor results would only chain the mock's output
+    let result = func.compose
+      ? (await this.loadFunction(hash)).call(...inputs)
+      : await this.executor.execute(hash, inputs, { signal });
 
-    const result = await this.executor.execute(hash, inputs);
+    const after = await this.plugins.run('afterExecute',
+      { hash, inputs, result, elapsed: performance.now() - start, entry: Object.freeze({ ...func }) }, { signal });
+    result = after.result;
+    this.annotate(func, { ...before.annotations, ...after.annotations });
+
+    const elapsed = performance.now() - start;
 
     this.stats.executed++;
-    this.stats.totalExecTime += performance.now() - start;
+    this.stats.totalExecTime += elapsed;
+    this.metrics.record('execute', elapsed);
+
+    // Per-function usage (schema: perf.executions, perf.execTime running average)
+    const perf = func.perf || (func.perf = {});
+    perf.executions = (perf.executions || 0) + 1;
+    perf.execTime = (perf.execTime || 0) + (elapsed - (perf.execTime || 0)) / perf.executions;
+    this.markDirty();
 
     return result;
   }
 
-  // Get proof (cached)
-  async prove(hash, level = 'L0') {
+  // Get proof (cached). options (seed, runs, properties, ...) bypass the cache;
+  // time budgets (maxTime, timeout, signal) don't, but cut-short results aren't cached
+  async prove(hash, level = 'L0', options = {}) {
+    const start = performance.now();
+    hash = this.resolve(hash);
     const cacheKey = `${hash}:${level}`;
+    const { maxTime, timeout, signal, ...proofOptions } = options;
+    const cacheable = Object.keys(proofOptions).length === 0;
 
-    if (this.proofCache.has(cacheKey)) {
+    if (cacheable && this.proofCache.has(cacheKey)) {
       const cached = this.proofCache.get(cacheKey);
       if (Date.now() - cached.timestamp < 3600 * 1000) {
+        this.metrics.record('prove', performance.now() - start);
         return cached.result;
       }
     }
 
-    const result = await this.generateProof(hash, level);
+    // Proof runs are bounded by maxTime/timeout; the 'prove' budget caps the whole stage
+    const generated = await this.budget.run('prove',
+      () => this.generateProof(hash, level, { ...proofOptions, maxTime, timeout }), { hash, signal });
 
-    this.proofCache.set(cacheKey, {
-      result,
-      timestamp: Date.now()
-    });
+    // onProof plugins see fresh proofs only and may replace them before caching
+    const entry = this.lookup.index.get(hash);
+    const { proof: result, annotations } = await this.plugins.run('onProof',
+      { hash, level, proof: generated, entry: entry && Object.freeze({ ...entry }) }, { signal });
+    this.annotate(entry, annotations);
+
+    // Inconclusive proofs (out of time, unsupported) are neither cached nor recorded
+    const decisive = result && !result.exhausted && !['unknown', 'inconclusive'].includes(result.status);
+    if (cacheable && decisive) {
+      this.proofCache.set(cacheKey, {
+        result,
+        timestamp: Date.now()
+      });
+    }
+
+    // Record outcome on the entry (schema: functionEntry.proofs)
+    if (entry && decisive) {
+      entry.proofs = { ...entry.proofs, [level]: Boolean(result.valid) };
+      this.markDirty();
+    }
 
     this.stats.proved++;
+    this.metrics.record('prove', performance.now() - start);
     return result;
   }
 
-  async generateProof(hash, level) {
+  async generateProof(hash, level, options = {}) {
     switch (level) {
-      case 'L0': return { valid: true, type: 'property-test' };
-      case 'L1': return this.runSMT(hash, 100);
+      case 'L0': return this.runPropertyTests(hash, options);
+      case 'L1': return this.runSymbolic(hash, options);
       case 'L2': return null; // Not supported in v4
-      default: throw new Error('Invalid proof level');
+      default: throw irlError('ERR_IRL_PROOF_LEVEL', 'Invalid proof level');
+    }
+  }
+
+  // L0: seeded property-based testing of the function's source
+  async runPropertyTests(hash, options = {}) {
+    const entry = await this.lookup.get(hash);
+    if (!entry) throw irlError('ERR_IRL_UNKNOWN_HASH', 'Function not found: ' + hash);
+
+    const sandbox = await this.loadFunction(hash);
+
+    // Default seed derives from the hash so proofs are reproducible
+    const seed = options.seed ?? parseInt(hashBody(hash).slice(0, 8), 16);
+    return this.prover.run(sandbox, entry.source, { ...options, seed });
+  }
+
+  // Sandboxed JS function for an entry, with its deps bound by name
+  async loadFunction(hash, loading = new Set()) {
+    if (this.sandboxes.has(hash)) return this.sandboxes.get(hash);
+    if (loading.has(hash)) throw new Error(`Dependency cycle at ${hash}`);
+    loading.add(hash);
+
+    const entry = await this.lookup.get(hash);
+    if (!entry) throw irlError('ERR_IRL_UNKNOWN_HASH', 'Function not found: ' + hash);
+
+    const globals = {};
+    for (const [name, dep] of Object.entries(entry.deps || {})) {
+      // Raw fn - runs under the caller's vm timeout
+      globals[name] = (await this.loadFunction(dep, loading)).fn;
+    }
+
+    const sandbox = new FunctionSandbox(entry.source, { globals, filename: `irl:${hash}` });
+    this.sandboxes.set(hash, sandbox);
+    return sandbox;
+  }
+
+  // L1: bounded symbolic verification (postcondition, equivalence or finiteness)
+  async runSymbolic(hash, options = {}) {
+    const entry = await this.lookup.get(hash);
+    if (!entry) throw irlError('ERR_IRL_UNKNOWN_HASH', 'Function not found: ' + hash);
+
+    // equivalentTo may name a registered hash instead of source
+    let equivalentTo = options.equivalentTo;
+    if (equivalentTo && this.lookup.has(equivalentTo)) {
+      equivalentTo = (await this.lookup.get(equivalentTo)).source;
+    }
+
+    return this.verifier.verifyWithSolver(entry.source, { ...options, equivalentTo });
+  }
+
+  // Registered functions ranked by graded structural similarity.
+  // codeOrHash is source, or a tag/hash/alias/prefix (excluded from its own results)
+  findSimilar(codeOrHash, options = {}) {
+    let hash = null;
+    let source = codeOrHash;
+    if (this.tags.has(codeOrHash) || /^[a-f0-9-]{4,23}$/.test(codeOrHash)) {
+      hash = this.findHash(codeOrHash);
+      source = this.lookup.index.get(hash).source;
+    }
+
+    this.indexSimilarity();
+    return this.similarity.query(source, {
+      limit: options.limit,
+      minScore: options.minScore,
+      exclude: other => other === hash || this.aliases.has(other)
+    }).map(match => ({ ...match, source: this.lookup.index.get(match.hash).source }));
+  }
+
+  // Build the similarity index on first use, then keep it current on register()
+  indexSimilarity() {
+    if (this.similarityIndexed) return;
+    for (const [hash, entry] of this.lookup.index) {
+      if (!this.similarity.has(hash)) this.similarity.add(hash, entry.source);
+    }
+    this.similarityIndexed = true;
+  }
+
+  // Point a name (lodash/add, lodash/isNil@stable) at a function.
+  // Moving an existing name needs options.move; options.reason/actor are audited
+  tag(name, ref, options = {}) {
+    const hash = this.findHash(ref);
+    this.tags.set(name, hash, options);
+    this.markDirty();
+    return hash;
+  }
+
+  untag(name, options = {}) {
+    const removed = this.tags.delete(name, options);
+    if (removed) this.markDirty();
+    return removed;
+  }
+
+  // Audit trail of a name: [{ action, hash, from, at, reason, actor }]
+  tagHistory(name) {
+    return this.tags.history(name);
+  }
+
+  // Names currently pointing at a hash
+  tagsFor(hash) {
+    return this.tags.names(this.canonical(hash));
+  }
+
+  // Tag name or hash/alias -> canonical hash (prefixes need findHash)
+  resolve(ref) {
+    if (this.tags.has(ref)) return this.canonical(this.tags.get(ref));
+    if (typeof ref === 'string' && !/^[a-f0-9-]+$/.test(ref)) {
+      throw irlError('ERR_IRL_UNKNOWN_TAG', `Unknown tag: ${ref}`);
+    }
+    return this.canonical(ref);
+  }
+
+  // Resolve a tag, full hash, alias or unique prefix to a registered hash
+  findHash(ref) {
+    const hash = this.resolve(ref);
+    if (this.lookup.has(hash)) return hash;
+
+    const tombstone = this.lookup.removed(hash);
+    if (tombstone) throw removedError(hash, tombstone);
+
+    // Prefixes match with or without the format prefix (1e01-3fa2 or 3fa2)
+    const matches = ref.length >= 4
+      ? [...this.lookup.index.keys()].filter(h => h.startsWith(ref) || hashBody(h).startsWith(ref))
+      : [];
+
+    if (matches.length === 1) return matches[0];
+
+    if (matches.length === 0) throw irlError('ERR_IRL_UNKNOWN_HASH', `Unknown hash: ${ref}`);
+
+    const error = irlError('ERR_IRL_AMBIGUOUS_HASH',
+      `Ambiguous hash prefix ${ref}: matches ${matches.slice(0, 5).join(', ')}` +
+      (matches.length > 5 ? ` (+${matches.length - 5} more)` : ''));
+    error.matches = matches;
+    throw error;
+  }
+
+  // Does the entry's content still hash to its full stored hash? Only this
+  // hasher version can recompute one (under any algorithm); hashes of other
+  // versions commit to 16 bits of content, too few to trust - they fail
+  verifyEntry(entry) {
+    let parsed;
+    try {
+      parsed = parseHash(entry.hash);
+    } catch (e) {
+      return false;
+    }
+
+    if (parsed.legacy || parsed.version !== this.hashFormat.version) return false;
+    if (this.exactDigest(entry.source, entry.deps, parsed.algorithm).slice(0, 4) !== parsed.exact) return false;
+    return parsed.algorithm === this.hashFormat.algorithm
+      ? this.generateHash(entry.source, entry.deps) === entry.hash
+      : this.hashAs(parsed.algorithm, entry.source, entry.deps) === entry.hash;
+  }
+
+  // Hash of code under another digest algorithm (same hasher version)
+  hashAs(algorithm, code, deps = {}) {
+    const hasher = new SimpleSemanticHasher({ digest: input => digest(algorithm, input) });
+    const semantic = hasher.hash(code);
+    return formatHash({
+      algorithm,
+      version: hasher.version,
+      semantic: semantic.hash,
+      structure: semantic.structure,
+      exact: this.exactDigest(code, deps, algorithm)
+    });
+  }
+
+  // Was the hash made with this registry's algorithm and hasher version?
+  isCurrentFormat(hash) {
+    const parsed = typeof hash === 'string' ? parseHash(hash) : hash;
+    return !parsed.legacy &&
+      parsed.algorithm === this.hashFormat.algorithm &&
+      parsed.version === this.hashFormat.version;
+  }
+
+  // Hash count per format prefix ('legacy' for unprefixed) - anything but the
+  // current prefix needs hash-migrate.js
+  hashFormats() {
+    const formats = {};
+    for (const hash of this.lookup.index.keys()) {
+      const prefix = isHash(hash) ? parseHash(hash).prefix || 'legacy' : 'unknown';
+      formats[prefix] = (formats[prefix] || 0) + 1;
+    }
+    return formats;
+  }
+
+  // Check an entry's signature against the trust store. Entries that aren't
+  // trusted are flagged (and emit 'provenance'); under 'reject' they throw ERR_IRL_PROVENANCE
+  checkProvenance(entry) {
+    if (this.provenancePolicy === 'off') return null;
+
+    const result = verifyProvenance(entry, this.trust);
+    if (result.status === 'trusted') {
+      this.provenanceFlags.delete(entry.hash);
+      return result;
+    }
+
+    this.provenanceFlags.set(entry.hash, result);
+    this.emit('provenance', { hash: entry.hash, ...result, policy: this.provenancePolicy });
+    if (this.provenancePolicy === 'reject') {
+      const error = irlError('ERR_IRL_PROVENANCE', `${entry.hash} is ${result.status}: ${result.reason}`);
+      throw Object.assign(error, { hash: entry.hash, status: result.status, keyId: result.keyId });
+    }
+    return result;
+  }
+
+  // Provenance of every entry: counts per status plus the entries that aren't trusted
+  provenanceReport() {
+    const counts = { trusted: 0, unsigned: 0, untrusted: 0, invalid: 0 };
+    const entries = [];
+    for (const [hash, entry] of this.lookup.index) {
+      const result = verifyProvenance(entry, this.trust);
+      counts[result.status]++;
+      if (result.status !== 'trusted') entries.push({ hash, ...result });
+    }
+    return {
+      policy: this.provenancePolicy,
+      signer: this.signer?.keyId || null,
+      trustedKeys: this.trust.list(),
+      counts,
+      entries
+    };
+  }
+
+  // Follow merge aliases to the canonical hash
+  canonical(hash) {
+    const seen = new Set();
+    while (this.aliases.has(hash) && !seen.has(hash)) {
+      seen.add(hash);
+      hash = this.aliases.get(hash);
+    }
+    return hash;
+  }
+
+  // Semantic equivalence: signature + differential testing + bounded symbolic proof.
+  // Only identical hashes are 'equivalent'; a symbolic proof covers bounded
+  // integers only, so it gives 'equivalent-bounded', which never merges
+  async equivalent(hashA, hashB, options = {}) {
+    const start = performance.now();
+    const a = this.resolve(hashA);
+    const b = this.resolve(hashB);
+
+    const [entryA, entryB] = await Promise.all([this.lookup.get(a), this.lookup.get(b)]);
+    if (!entryA) throw irlError('ERR_IRL_UNKNOWN_HASH', 'Function not found: ' + hashA);
+    if (!entryB) throw irlError('ERR_IRL_UNKNOWN_HASH', 'Function not found: ' + hashB);
+
+    const result = {
+      status: 'unknown',
+      method: null,
+      witness: null,
+      hashes: [a, b]
+    };
+
+    if (a === b) {
+      return { ...result, status: 'equivalent', method: 'identical', canonical: a, timeUsed: performance.now() - start };
+    }
+
+    result.signature = {
+      sameSemanticHash: semanticKey(a) === semanticKey(b),
+      similarity: this.hasher.compare(this.hasher.hash(entryA.source), this.hasher.hash(entryB.source))
+    };
+
+    // 1. Differential testing - cheap way to find a witness
+    const [fnA, fnB] = await Promise.all([this.loadFunction(a), this.loadFunction(b)]);
+    const seed = options.seed ?? (parseInt(hashBody(a).slice(0, 8), 16) ^ parseInt(hashBody(b).slice(0, 8), 16)) >>> 0;
+    const differential = this.prover.differential(fnA, entryA.source, fnB, entryB.source, {
+      seed,
+      runs: options.runs,
+      maxTime: options.maxTime
+    });
+    result.differential = {
+      agreed: differential.agreed,
+      runs: differential.runs,
+      seed,
+      argTypes: differential.argTypes,
+      exhausted: differential.exhausted
+    };
+
+    if (!differential.agreed) {
+      Object.assign(result, { status: 'different', method: 'differential', witness: differential.witness });
+    } else if (options.symbolic !== false) {
+      // 2. Bounded symbolic proof where the functions are in the supported subset
+      const symbolic = this.verifier.verify(entryA.source, { ...options.symbolic, equivalentTo: entryB.source });
+      result.symbolic = { status: symbolic.status, reason: symbolic.reason, domain: symbolic.domain };
+
+      if (symbolic.status === 'valid') {
+        Object.assign(result, { status: 'equivalent-bounded', method: 'symbolic' });
+      } else if (symbolic.status === 'counterexample') {
+        const { args, results } = symbolic.counterexample;
+        Object.assign(result, {
+          status: 'different',
+          method: 'symbolic',
+          witness: { args, results: results.map(value => ({ value })) }
+        });
+      }
+    }
+
+    if (options.merge && result.status === 'equivalent') {
+      result.canonical = this.merge(a, b, options);
+    }
+
+    result.timeUsed = performance.now() - start;
+    return result;
+  }
+
+  // Merge two entries under one canonical hash (oldest wins unless options.canonical)
+  merge(hashA, hashB, options = {}) {
+    const a = this.canonical(hashA);
+    const b = this.canonical(hashB);
+    if (!this.lookup.has(a)) throw irlError('ERR_IRL_UNKNOWN_HASH', 'Function not found: ' + hashA);
+    if (!this.lookup.has(b)) throw irlError('ERR_IRL_UNKNOWN_HASH', 'Function not found: ' + hashB);
+    if (a === b) return a;
+
+    let canonical = options.canonical ? this.canonical(options.canonical) : null;
+    if (canonical && canonical !== a && canonical !== b) {
+      throw new Error(`Canonical hash must be one of the merged hashes: ${options.canonical}`);
+    }
+    if (!canonical) {
+      const [ea, eb] = [this.lookup.index.get(a), this.lookup.index.get(b)];
+      canonical = byAge(ea, eb) < 0 ? a : b;
+    }
+
+    const alias = canonical === a ? b : a;
+    this.aliases.set(alias, canonical);
+
+    // Re-point anything that was already an alias of the merged hash
+    for (const [from, to] of this.aliases) {
+      if (to === alias) this.aliases.set(from, canonical);
+    }
+
+    this.markDirty();
+    return canonical;
+  }
+
+  // Duplicate clusters: same semantic hash (and deps), optionally joined by
+  // similarity >= options.threshold. options.canonical picks each cluster's
+  // representative: 'oldest' (default), 'most-executed' or 'strongest-proof'
+  duplicates(options = {}) {
+    const start = performance.now();
+    const threshold = options.threshold ?? 1;
+    const strategy = options.canonical || 'oldest';
+    const pick = CANONICAL_PICKS[strategy];
+    if (!pick) throw irlError('ERR_IRL_BAD_OPTION', `Unknown canonical strategy: ${strategy}`);
+
+    const hashes = [...this.lookup.index.keys()].filter(hash => !this.aliases.has(hash));
+
+    // Union-find over hashes
+    const parent = new Map(hashes.map(hash => [hash, hash]));
+    const find = hash => {
+      while (parent.get(hash) !== hash) {
+        parent.set(hash, parent.get(parent.get(hash)));
+        hash = parent.get(hash);
+      }
+      return hash;
+    };
+    const union = (a, b) => parent.set(find(b), find(a));
+
+    const bySemantic = new Map();
+    for (const hash of hashes) {
+      const key = semanticKey(hash) + this.depsKey(this.lookup.index.get(hash).deps);
+      if (bySemantic.has(key)) union(bySemantic.get(key), hash);
+      else bySemantic.set(key, hash);
+    }
+
+    if (threshold < 1) {
+      this.indexSimilarity();
+      for (const hash of bySemantic.values()) {
+        const matches = this.similarity.query(this.lookup.index.get(hash).source, {
+          minScore: threshold,
+          limit: options.maxMatches ?? 50,
+          exclude: other => other === hash || this.aliases.has(other)
+        });
+        for (const match of matches) union(hash, match.hash);
+      }
+    }
+
+    const groups = new Map();
+    for (const hash of hashes) {
+      const root = find(hash);
+      if (!groups.has(root)) groups.set(root, []);
+      groups.get(root).push(this.lookup.index.get(hash));
+    }
+
+    const clusters = [];
+    for (const entries of groups.values()) {
+      if (entries.length < 2) continue;
+
+      entries.sort(pick);
+      const canonical = entries[0];
+      const target = this.hasher.hash(canonical.source);
+
+      clusters.push({
+        canonical: canonical.hash,
+        size: entries.length,
+        duplicates: entries.length - 1,
+        dedupRatio: (entries.length - 1) / entries.length,
+        semanticHashes: [...new Set(entries.map(e => semanticKey(e.hash)))],
+        members: entries.map(entry => ({
+          hash: entry.hash,
+          source: entry.source,
+          created: entry.created,
+          executions: entry.perf?.executions || 0,
+          proof: ['L2', 'L1', 'L0'].find(level => entry.proofs?.[level]) || null,
+          similarity: entry === canonical ? 1 : this.hasher.compare(target, this.hasher.hash(entry.source))
+        }))
+      });
+    }
+    clusters.sort((a, b) => b.size - a.size || (a.canonical < b.canonical ? -1 : 1));
+
+    const duplicates = clusters.reduce((sum, c) => sum + c.duplicates, 0);
+    return {
+      strategy,
+      threshold,
+      total: hashes.length,
+      unique: hashes.length - duplicates,
+      duplicates,
+      dedupRatio: hashes.length > 0 ? duplicates / hashes.length : 0,
+      clusters,
+      timeUsed: performance.now() - start
+    };
+  }
+
+  // Run fn(signal) under an ad-hoc budget - rejects with ERR_IRL_BUDGET after ms
+  withTimeout(fn, ms, stage = 'custom') {
+    return this.budget.run(stage, fn, { budget: ms });
+  }
+
+  // Per-stage budget compliance (runs, exceeded, aborted, mean/max ms)
+  budgetReport() {
+    return this.budget.report();
+  }
+
+  // Build an irl-schema.json document from the current state
+  toDocument() {
+    const index = this.lookup.exportIndex();
+
+    return {
+      version: STORE_VERSION,
+      registry: Object.fromEntries(this.lookup.index),
+      aliases: Object.fromEntries(this.aliases),
+      tags: this.tags.toJSON(),
+      ...(this.migrations.length > 0 ? { migrations: this.migrations } : {}),
+      ...(this.lookup.tombstones.size > 0 ? { tombstones: Object.fromEntries(this.lookup.tombstones) } : {}),
+      index: {
+        bloom: index.bloom,
+        bloomHashing: index.bloomHashing,
+        sieve: index.sieve.filter(hash => HASH_PATTERN.test(hash)),
+        negative: index.negative.filter(hash => HASH_PATTERN.test(hash))
+      },
+      metrics: this.getMetrics()
+    };
+  }
+
+  // Restore state from an irl-schema.json document.
+  // Invalid entries are dropped (or throw with options.strict). Validation
+  // is uncapped: an entry past the 20th error must still be checked
+  fromDocument(doc, options = {}) {
+    const result = irlFullValidator.validate(doc);
+    const rejected = new Map();
+
+    for (const error of result.errors) {
+      const [, section, key] = error.path.split('/');
+      if (section === 'registry' && key !== undefined) {
+        const hash = key.replace(/~1/g, '/').replace(/~0/g, '~');
+        if (!rejected.has(hash)) rejected.set(hash, []);
+        rejected.get(hash).push(error);
+      } else if (!['index', 'metrics', 'aliases', 'tags', 'migrations', 'tombstones'].includes(section)) {
+        // Document-level damage - nothing can be trusted
+        throw new SchemaValidationError(result.errors, 'registry document');
+      }
+    }
+
+    // Entries stored under the wrong key are corrupt too
+    for (const [hash, entry] of Object.entries(doc.registry || {})) {
+      if (entry?.hash !== hash && !rejected.has(hash)) {
+        rejected.set(hash, [{ path: `/registry/${hash}/hash`, keyword: 'const', message: `must equal key ${hash}` }]);
+      }
+    }
+
+    if (rejected.size > 0) {
+      const errors = [...rejected.values()].flat();
+      if (options.strict) throw new SchemaValidationError(errors, 'registry document');
+      console.warn(`Rejected ${rejected.size} invalid entries: ${[...rejected.keys()].join(', ')}`);
+      this.stats.rejected += rejected.size;
+    }
+
+    // Tombstones win over entries - a removed function doesn't come back on import
+    if (!result.errors.some(e => e.path.startsWith('/tombstones'))) {
+      for (const [hash, tombstone] of Object.entries(doc.tombstones || {})) {
+        if (!this.lookup.index.has(hash)) this.lookup.tombstones.set(hash, tombstone);
+      }
+    }
+    const removed = Object.keys(doc.registry || {}).filter(hash => this.lookup.tombstones.has(hash));
+    if (removed.length > 0) console.warn(`Skipped ${removed.length} removed entries: ${removed.join(', ')}`);
+
+    let registry = Object.fromEntries(
+      Object.entries(doc.registry || {}).filter(([hash]) => !rejected.has(hash) && !this.lookup.tombstones.has(hash))
+    );
+
+    // Provenance: 'reject' drops entries not signed by a trusted key, 'flag' keeps them
+    const distrusted = [];
+    for (const entry of Object.values(registry)) {
+      try {
+        this.checkProvenance(entry);
+      } catch (e) {
+        if (e.code !== 'ERR_IRL_PROVENANCE') throw e;
+        distrusted.push(e);
+      }
+    }
+    if (distrusted.length > 0) {
+      if (options.strict) throw distrusted[0];
+      console.warn(`Rejected ${distrusted.length} entries failing provenance: ` +
+        distrusted.map(e => `${e.hash} (${e.status})`).join(', '));
+      this.stats.rejected += distrusted.length;
+      const dropped = new Set(distrusted.map(e => e.hash));
+      registry = Object.fromEntries(Object.entries(registry).filter(([hash]) => !dropped.has(hash)));
+    }
+    const tampered = Object.keys(registry).filter(hash => this.provenanceFlags.get(hash)?.status === 'invalid');
+    if (tampered.length > 0) {
+      console.warn(`Flagged ${tampered.length} entries with invalid signatures: ${tampered.join(', ')}`);
+    }
+    // Damaged index is rebuilt from the entries
+    const index = result.errors.some(e => e.path.startsWith('/index')) ? {} : doc.index;
+    const loaded = this.lookup.importIndex(registry, index);
+
+    for (const [hash, entry] of Object.entries(registry)) {
+      if (entry.deps) this.deps.set(hash, entry.deps);
+    }
+
+    for (const [alias, canonical] of Object.entries(doc.aliases || {})) {
+      if (HASH_PATTERN.test(alias) && this.lookup.index.has(canonical)) {
+        this.aliases.set(alias, canonical);
+      }
+    }
+
+    // Tags with schema errors or pointing at dropped entries are skipped
+    const badTags = new Set(result.errors
+      .filter(e => e.path.startsWith('/tags/'))
+      .map(e => e.path.split('/')[2].replace(/~1/g, '/').replace(/~0/g, '~')));
+    const tags = doc.tags && typeof doc.tags === 'object' && !Array.isArray(doc.tags) ? doc.tags : {};
+    const skipped = this.tags.load(
+      Object.fromEntries(Object.entries(tags).filter(([name]) => !badTags.has(name))),
+      hash => this.lookup.index.has(hash)
+    );
+    if (skipped.length + badTags.size > 0) {
+      console.warn(`Skipped ${skipped.length + badTags.size} invalid tags: ${[...badTags, ...skipped].join(', ')}`);
+    }
+
+    if (Array.isArray(doc.migrations) && !result.errors.some(e => e.path.startsWith('/migrations'))) {
+      this.migrations = doc.migrations;
+    }
+
+    const cycles = this.deps.findCycles();
+    if (cycles.length > 0) {
+      console.warn(`Registry contains ${cycles.length} dependency cycle(s): ` +
+        cycles.map(c => c.join(' -> ')).join('; '));
+    }
+
+    // Seed CTC cache so results survive restarts
+    for (const [hash, entry] of Object.entries(registry)) {
+      if (entry.ctc) this.ctc.cache.set(hash, entry.ctc);
+    }
+
+    this.stats.loaded += loaded;
+    return loaded;
+  }
+
+  async save(filePath) {
+    const store = this.storeFor(filePath);
+    if (!store) throw new Error('No registry path - pass one to save() or set options.persist');
+
+    const written = store.write(this.toDocument());
+
+    // An explicit save to the registry file also satisfies a pending auto-save
+    const pending = this.pendingSave;
+    if (pending && store === this.store) {
+      clearTimeout(pending.timer);
+      this.pendingSave = null;
+      written.then(pending.resolve, pending.reject);
     }
+
+    return written;
+  }
+
+  async load(filePath, options = {}) {
+    const store = this.storeFor(filePath);
+    if (!store) throw new Error('No registry path - pass one to load() or set options.persist');
+
+    const doc = await store.read();
+    return doc ? this.fromDocument(doc, options) : 0;
+  }
+
+  storeFor(filePath) {
+    if (!filePath) return this.store;
+    if (this.store && this.store.path === new RegistryStore(filePath).path) return this.store;
+    return new RegistryStore(filePath);
+  }
+
+  // Schedule a debounced save when auto-persist is on
+  markDirty() {
+    if (!this.autoPersist || this.pendingSave) return;
+
+    let resolve, reject;
+    const done = new Promise((res, rej) => { resolve = res; reject = rej; });
+    const timer = setTimeout(() => {
+      this.pendingSave = null;
+      this.store.write(this.toDocument()).then(resolve, reject);
+    }, this.autoPersistDelay);
+
+    // Surface failures through flush() - don't crash on unhandled rejection
+    done.catch(() => {});
+    this.pendingSave = { timer, done, resolve, reject };
   }
 
-  async runSMT(hash, timeout) {
-    // Mock SMT verification
-    await new Promise(r => setTimeout(r, Math.random() * timeout));
-    return { valid: true, type: 'smt-verified' };
+  // Write any pending auto-persist save now
+  async flush() {
+    if (this.pendingSave) return this.save();
+    if (this.store) await this.store.writing;
+  }
+
+  // Schema metrics block. Median/p99 cover the serving path (lookup + execute)
+  getMetrics() {
+    const serving = this.metrics.merged(['lookup', 'execute']);
+    const lookup = this.lookup.stats;
+
+    return {
+      totalFunctions: this.lookup.index.size,
+      medianLatency: serving.percentile(50),
+      p99Latency: serving.percentile(99),
+      cacheHitRate: lookup.lookups > 0 ? lookup.hotHits / lookup.lookups : 0,
+      latency: this.metrics.snapshot()
+    };
   }
 
-  withTimeout(fn, ms) {
-    // For synchronous operations, just run them
-    // Real implementation would use Promise.race for async ops
-    return fn();
+  // Prometheus text exposition: latency histograms plus registry gauges/counters
+  prometheus(options = {}) {
+    const metrics = this.getMetrics();
+    return this.metrics.toPrometheus({
+      ...options,
+      extra: [
+        { name: 'functions', help: 'Registered functions.', value: metrics.totalFunctions },
+        { name: 'aliases', help: 'Merged duplicate hashes.', value: this.aliases.size },
+        { name: 'tags', help: 'Live tags.', value: this.tags.size },
+        { name: 'registered_total', type: 'counter', help: 'Functions registered by this process.', value: this.stats.registered },
+        { name: 'executed_total', type: 'counter', help: 'Executions.', value: this.stats.executed },
+        { name: 'proved_total', type: 'counter', help: 'Proof requests.', value: this.stats.proved },
+        { name: 'lookup_cache_hit_ratio', help: 'Hot cache hit rate 0-1.', value: metrics.cacheHitRate },
+        { name: 'latency_median_seconds', help: 'Median lookup + execute latency.', value: metrics.medianLatency / 1000 },
+        { name: 'latency_p99_seconds', help: 'p99 lookup + execute latency.', value: metrics.p99Latency / 1000 },
+        ...(options.extra || [])
+      ]
+    });
   }
 
   getStats() {
     return {
       ...this.stats,
-      avgHashTime: this.stats.registered > 0
-        ? (this.stats.totalHashTime / this.stats.registered).toFixed(2) + 'ms'
-        : '0ms',
-      avgExecTime: this.stats.executed > 0
-        ? (this.stats.totalExecTime / this.stats.executed).toFixed(2) + 'ms'
-        : '0ms',
+      avgHashTime: this.stats.registered > 0 ? this.stats.totalHashTime / this.stats.registered : 0,   // ms
+      avgExecTime: this.stats.executed > 0 ? this.stats.totalExecTime / this.stats.executed : 0,       // ms
+      latency: this.metrics.snapshot(),
+      hashFormats: this.hashFormats(),
+      budget: this.budget.report(),
+      plugins: this.plugins.getStats(),
+      provenance: {
+        policy: this.provenancePolicy,
+        signer: this.signer?.keyId || null,
+        trustedKeys: this.trust.keys.size,
+        flagged: this.provenanceFlags.size
+      },
       lookup: this.lookup.getStats(),
       executor: this.executor.getStats(),
-      ctc: this.ctc.getStats()
+      ctc: this.ctc.getStats(),
+      deps: this.deps.getStats(),
+      similarity: this.similarity.getStats(),
+      tags: this.tags.getStats(),
+      store: this.store ? this.store.getStats() : null
     };
   }
 }
@@ -181,14 +1197,16 @@ class S0FractalIRL {
 async function benchmark() {
   console.log('s0fractal-IRL v4 Performance Benchmark\n');
   console.log('=' .repeat(50));
+
+  const registry = new S0FractalIRL();
+  const budgets = registry.budget.budgets;
+
   console.log('\nPerformance Budgets:');
-  Object.entries(PERF_BUDGET).forEach(([key, value]) => {
+  Object.entries(budgets).forEach(([key, value]) => {
     console.log(`  ${key}: ${value}ms`);
   });
   console.log('\n' + '='.repeat(50) + '\n');
 
-  const registry = new S0FractalIRL();
-
   // Test functions
   const functions = [
     'const identity = x => x',
@@ -253,23 +1271,28 @@ async function benchmark() {
   console.log('\nOverall Statistics:');
   const stats = registry.getStats();
   console.log(`  Functions registered: ${stats.registered}`);
-  console.log(`  Average hash time: ${stats.avgHashTime}`);
-  console.log(`  Average exec time: ${stats.avgExecTime}`);
+  console.log(`  Average hash time: ${stats.avgHashTime.toFixed(2)}ms`);
+  console.log(`  Average exec time: ${stats.avgExecTime.toFixed(2)}ms`);
+
+  console.log('\nBudget Compliance:');
+  Object.entries(stats.budget.stages).forEach(([stage, s]) => {
+    console.log(`  ${stage}: ${(s.compliance * 100).toFixed(1)}% of ${s.runs} within ${s.budget}ms`);
+  });
 
   // Performance check
   const medianTotal = median([...lookupTimes, ...execTimes]);
   console.log('\n' + '='.repeat(50));
-  console.log(`\n✅ ${medianTotal < PERF_BUDGET.TOTAL_MAX ? 'PASS' : 'FAIL'} - Median ${medianTotal.toFixed(2)}ms < ${PERF_BUDGET.TOTAL_MAX}ms target\n`);
+  console.log(`\n✅ ${medianTotal < budgets.TOTAL_MAX ? 'PASS' : 'FAIL'} - Median ${medianTotal.toFixed(2)}ms < ${budgets.TOTAL_MAX}ms target\n`);
 
   return {
-    passed: medianTotal < PERF_BUDGET.TOTAL_MAX,
+    passed: medianTotal < budgets.TOTAL_MAX,
     median: medianTotal,
     p99: p99([...lookupTimes, ...execTimes])
   };
 }
 
 // Export for use
-export { S0FractalIRL, PERF_BUDGET };
+export { S0FractalIRL, PERF_BUDGET, CANONICAL_PICKS, irlError };
 
 // CLI interface
 if (import.meta.url === `file://${process.argv[1]}`) {
@@ -277,5 +1300,8 @@ if (import.meta.url === `file://${process.argv[1]}`) {
     if (!result.passed) {
       process.exit(1);
     }
+  }, e => {
+    console.error('Benchmark failed:', e);
+    process.exit(1);
   });
 }
\ No newline at end of file
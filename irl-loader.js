@@ -0,0 +1,124 @@
+#!/usr/bin/env node
+
+// IRL Loader - Node ESM hooks for hash-addressed imports
+//
+//   import add from 'irl:1e01-3fa2c1d0-9b1e-44aa';  // function source
+//   import addWasm from 'irl:3fa2c1d0?wasm';        // WASMExecutor-backed wrapper
+//
+// Register with: node --import ./irl-register.js app.js
+// Registry file: IRL_REGISTRY env var, or ./registry.json
+
+import fs from 'fs';
+import path from 'path';
+import { S0FractalIRL, irlError } from './index.js';
+import { locateFunction } from './sandbox.js';
+import { parseHash } from './hash-format.js';
+
+const SCHEME = 'irl:';
+
+let registryPath = process.env.IRL_REGISTRY || 'registry.json';
+let cached = null;   // { path, mtimeMs, registry }
+
+// module.register() data: { registry: '/path/to/registry.json' }
+async function initialize(data = {}) {
+  if (data.registry) registryPath = data.registry;
+}
+
+async function resolve(specifier, context, nextResolve) {
+  if (!specifier.startsWith(SCHEME)) return nextResolve(specifier, context);
+
+  const { ref, query } = parseSpecifier(specifier);
+  const registry = await openRegistry();
+  const hash = registry.findHash(ref);
+
+  return {
+    url: `${SCHEME}${hash}${query}`,
+    format: 'module',
+    shortCircuit: true
+  };
+}
+
+async function load(url, context, nextLoad) {
+  if (!url.startsWith(SCHEME)) return nextLoad(url, context);
+
+  const { ref: hash, query } = parseSpecifier(url);
+  const registry = await openRegistry();
+  const entry = await registry.lookup.get(hash);
+
+  if (!entry || entry.hash !== hash) {
+    throw irlError('ERR_IRL_UNKNOWN_HASH', `Unknown hash: ${hash}`);
+  }
+
+  // Never serve content that no longer matches its address (or can't be checked)
+  if (!registry.verifyEntry(entry)) {
+    const { version } = parseHash(hash);
+    throw irlError('ERR_IRL_HASH_MISMATCH', version === registry.hashFormat.version
+      ? `Content of ${hash} does not match its hash - registry entry modified?`
+      : `${hash} was made by hasher version ${version} and can't be verified - run irl migrate`);
+  }
+
+  const source = new URLSearchParams(query.slice(1)).has('wasm')
+    ? wasmModuleSource(entry)
+    : functionModuleSource(entry);
+
+  return { format: 'module', source, shortCircuit: true };
+}
+
+function parseSpecifier(specifier) {
+  const rest = specifier.slice(SCHEME.length);
+  const q = rest.indexOf('?');
+  return q === -1
+    ? { ref: rest, query: '' }
+    : { ref: rest.slice(0, q), query: rest.slice(q) };
+}
+
+// Reopen only when the registry file changes
+async function openRegistry() {
+  const file = path.resolve(registryPath);
+
+  let mtimeMs;
+  try {
+    mtimeMs = fs.statSync(file).mtimeMs;
+  } catch (e) {
+    throw irlError('ERR_IRL_NO_REGISTRY', `Registry file not found: ${file} (set IRL_REGISTRY)`);
+  }
+
+  if (cached && cached.path === file && cached.mtimeMs === mtimeMs) {
+    return cached.registry;
+  }
+
+  const registry = new S0FractalIRL({ persist: file });
+  await registry.load(file);
+  cached = { path: file, mtimeMs, registry };
+  return registry;
+}
+
+// Function source as an ES module; deps become irl: imports under their names
+function functionModuleSource(entry) {
+  const imports = Object.entries(entry.deps || {})
+    .map(([name, dep]) => `import ${name} from '${SCHEME}${dep}';`);
+
+  const { expression, name } = locateFunction(entry.source);
+  const body = expression
+    ? `export default (${entry.source});`
+    : `${entry.source}\nexport default ${name};`;
+
+  return [`// ${SCHEME}${entry.hash}`, ...imports, body, ''].join('\n');
+}
+
+// Async wrapper that runs the entry through WASMExecutor
+function wasmModuleSource(entry) {
+  const executorUrl = new URL('./wasm-canon.js', import.meta.url).href;
+
+  return [
+    `// ${SCHEME}${entry.hash} (wasm)`,
+    `import { WASMExecutor } from ${JSON.stringify(executorUrl)};`,
+    'const executor = new WASMExecutor();',
+    `export const hash = ${JSON.stringify(entry.hash)};`,
+    'export default (...args) => executor.execute(hash, args);',
+    ''
+  ].join('\n');
+}
+
+// Export hooks (Node calls these) and helpers for reuse
+export { initialize, resolve, load, functionModuleSource, wasmModuleSource };
\ No newline at end of file
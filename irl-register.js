@@ -0,0 +1,9 @@
+// Registers the irl: loader hooks - use with: node --import ./irl-register.js app.js
+// Needs Node >= 20.6 (module.register). Older: node --experimental-loader ./irl-loader.js
+
+import { register } from 'module';
+import path from 'path';
+
+register('./irl-loader.js', import.meta.url, {
+  data: { registry: path.resolve(process.env.IRL_REGISTRY || 'registry.json') }
+});
\ No newline at end of file
@@ -0,0 +1,552 @@
+#!/usr/bin/env node
+
+// irl - command-line tool for a registry file
+// Usage: irl <command> [args] [--registry file] [--json]
+
+import fs from 'fs';
+import { parseArgs } from 'util';
+import { performance } from 'perf_hooks';
+import { S0FractalIRL, CANONICAL_PICKS } from './index.js';
+import { migrateDocument } from './hash-migrate.js';
+import { generateSigningKey, keyIdFor, POLICIES } from './provenance.js';
+import { FORMATS } from './bundle.js';
+
+const EXIT = {
+  OK: 0,
+  ERROR: 1,      // failed command, invalid proof
+  USAGE: 2,
+  BUDGET: 3      // command finished but broke its time budget
+};
+
+// Budget key per command (resolved against the registry's budgets, so
+// IRL_BUDGET_* / IRL_BUDGET_FILE apply); null = unbudgeted. Override with --budget
+const COMMAND_BUDGETS = {
+  register: 'TOTAL_MAX',
+  ingest: 'INGEST',
+  exec: 'TOTAL_MAX',
+  prove: 'PROOF',
+  show: 'TOTAL_MAX',
+  similar: 'TOTAL_MAX',
+  duplicates: null,
+  unregister: null,
+  gc: null,
+  tag: null,
+  untag: null,
+  tags: null,
+  metrics: null,
+  export: null,
+  bundle: null,
+  import: null,
+  migrate: null,
+  keygen: null,
+  trust: null,
+  verify: null,
+  stats: null
+};
+
+const USAGE = `Usage: irl <command> [args] [options]
+
+Commands:
+  register <file|->            Register the function in a file (or stdin)
+  ingest <file|dir>            Register every exported function of ES/CommonJS modules
+  exec <hash> -- [args...]     Execute with JSON-parsed args
+  prove <hash> [--level L0]    Run an L0/L1 proof
+  show <hash>                  Print a registry entry
+  similar <hash|file>          Rank registered functions by similarity
+  duplicates                   Duplicate clusters report (Markdown, or --json)
+  unregister <hash>            Remove a function (refused while others depend on it)
+  gc [--dry-run]               Remove functions no tag reaches; rebuild bloom + sieve
+  tag <name> <hash> [--move]   Point a name (lodash/add@stable) at a hash
+  untag <name>                 Remove a name (history is kept)
+  tags [name]                  List names, or the audit history of one
+  export [file]                Write the registry document (default stdout)
+  bundle <tag|hash...>         One ES/CommonJS module + .d.ts (--format, --out)
+  import <file|->              Merge entries from a registry document
+  migrate [--algorithm a]      Re-hash under the current hash format (old hashes alias)
+  keygen [file]                New Ed25519 signing key (file + file.pub, or stdout)
+  trust <pubkey.pem>           Add a public key to the trust store (--name)
+  verify [hash]                Check entry signatures against the trust store
+  stats                        Registry statistics
+  metrics [file]               Prometheus text metrics (default stdout)
+
+Options:
+  -r, --registry <file>   Registry file (default $IRL_REGISTRY or registry.json)
+  -d, --deps <name=hash>  Dependency for register (repeatable, max 2)
+  -l, --level <level>     Proof level for prove (default L0)
+      --seed <n>          Seed for L0 property tests
+      --runs <n>          Runs for L0 property tests
+  -n, --limit <n>         Results for similar (default 10)
+      --min-score <s>     Minimum similarity score, 0-1 (default 0.5)
+  -t, --threshold <s>     Also cluster duplicates by similarity >= s
+      --canonical <pick>  oldest | most-executed | strongest-proof
+      --move              Let tag move an existing name
+      --reason <text>     Reason recorded in the tag history / tombstone
+      --algorithm <name>  Digest for migrate (default blake3)
+      --dry-run           migrate/gc: report without writing
+      --key <file>        Signing key for new entries (default $IRL_SIGNING_KEY)
+      --trust <file>      Trust store (default $IRL_TRUST_STORE or trust.json)
+      --provenance <p>    off | flag | reject unsigned/untrusted entries (default flag)
+      --name <text>       Name recorded for a trusted key
+      --format <f>        bundle: esm | cjs (default esm)
+  -o, --out <file>        bundle: output file, typings next to it (default stdout)
+      --budget <ms>       Time budget; exit ${EXIT.BUDGET} when exceeded
+      --json              Machine-readable output
+  -h, --help              Show this help`;
+
+const OPTIONS = {
+  registry: { type: 'string', short: 'r' },
+  deps: { type: 'string', short: 'd', multiple: true },
+  level: { type: 'string', short: 'l', default: 'L0' },
+  seed: { type: 'string' },
+  runs: { type: 'string' },
+  limit: { type: 'string', short: 'n', default: '10' },
+  'min-score': { type: 'string', default: '0.5' },
+  threshold: { type: 'string', short: 't', default: '1' },
+  canonical: { type: 'string', default: 'oldest' },
+  move: { type: 'boolean', default: false },
+  reason: { type: 'string' },
+  algorithm: { type: 'string' },
+  'dry-run': { type: 'boolean', default: false },
+  key: { type: 'string' },
+  trust: { type: 'string' },
+  provenance: { type: 'string' },
+  name: { type: 'string' },
+  format: { type: 'string', default: 'esm' },
+  out: { type: 'string', short: 'o' },
+  budget: { type: 'string' },
+  json: { type: 'boolean', default: false },
+  help: { type: 'boolean', short: 'h', default: false }
+};
+
+class UsageError extends Error {}
+
+const commands = {
+  async register(registry, [file], opts) {
+    if (!file) throw new UsageError('register needs a file (or - for stdin)');
+    const source = readInput(file).trim();
+    const hash = await registry.register(source, { deps: parseDeps(opts.deps) });
+    return { result: { hash }, text: hash };
+  },
+
+  async ingest(registry, [target], opts, budget) {
+    if (!target) throw new UsageError('ingest needs a module file or directory');
+    const manifest = await registry.ingest(target, Number.isFinite(budget) ? { budget } : {});
+
+    const lines = [];
+    for (const [file, names] of Object.entries(manifest.exports)) {
+      for (const [name, hash] of Object.entries(names)) lines.push(`${hash}  ${file}#${name}`);
+    }
+    for (const { file, name, line, reason } of manifest.failed) {
+      lines.push(`skipped  ${file}${name ? `#${name}` : ''}${line ? `:${line}` : ''}  ${reason}`);
+    }
+    const exported = Object.values(manifest.exports).reduce((n, names) => n + Object.keys(names).length, 0);
+    lines.push(`${exported} exports from ${manifest.files} files (${manifest.registered} registered ` +
+      `incl. helpers), ${manifest.failed.length} skipped`);
+    return { result: manifest, text: lines.join('\n'), failed: exported === 0 && manifest.failed.length > 0 };
+  },
+
+  async exec(registry, [ref, ...args]) {
+    const hash = registry.findHash(requireRef(ref));
+    const inputs = args.map(parseValue);
+    const result = await registry.execute(hash, inputs);
+    return { result: { hash, inputs, result }, text: format(result) };
+  },
+
+  async prove(registry, [ref], opts, budget) {
+    const hash = registry.findHash(requireRef(ref));
+    const options = {};
+    if (opts.seed !== undefined) options.seed = toInt(opts.seed, '--seed');
+    if (opts.runs !== undefined) options.runs = toInt(opts.runs, '--runs');
+    if (Number.isFinite(budget)) options.maxTime = options.timeout = budget;
+
+    const proof = await registry.prove(hash, opts.level, options);
+    const valid = Boolean(proof?.valid);
+    return {
+      result: { hash, level: opts.level, proof },
+      text: `${hash} ${opts.level}: ${proof ? describeProof(proof) : 'not supported'}`,
+      failed: !valid,
+      exhausted: Boolean(proof?.exhausted)
+    };
+  },
+
+  async show(registry, [ref]) {
+    const hash = registry.findHash(requireRef(ref));
+    const entry = await registry.lookup.get(hash);
+    const aliases = [...registry.aliases].filter(([, to]) => to === hash).map(([from]) => from);
+    const result = {
+      ...entry,
+      aliases,
+      tags: registry.tagsFor(hash),
+      dependents: registry.dependents(hash)
+    };
+    return { result, text: JSON.stringify(result, null, 2) };
+  },
+
+  async similar(registry, [ref], opts) {
+    if (!ref) throw new UsageError('similar needs a hash or a file');
+    const limit = toInt(opts.limit, '--limit');
+    const minScore = Number(opts['min-score']);
+    if (!(minScore >= 0 && minScore <= 1)) throw new UsageError('--min-score expects a number in [0, 1]');
+
+    const target = fs.existsSync(ref) || ref === '-' ? readInput(ref).trim() : ref;
+    const result = registry.findSimilar(target, { limit, minScore });
+
+    return {
+      result,
+      text: result.length > 0
+        ? result.map(m => `${m.score.toFixed(2)}  ${m.hash}  ${m.source}`).join('\n')
+        : 'No similar functions'
+    };
+  },
+
+  async duplicates(registry, args, opts) {
+    const threshold = Number(opts.threshold);
+    if (!(threshold >= 0 && threshold <= 1)) throw new UsageError('--threshold expects a number in [0, 1]');
+    if (!CANONICAL_PICKS[opts.canonical]) {
+      throw new UsageError(`--canonical expects one of: ${Object.keys(CANONICAL_PICKS).join(', ')}`);
+    }
+
+    const report = registry.duplicates({ threshold, canonical: opts.canonical });
+    return { result: report, text: duplicatesMarkdown(report) };
+  },
+
+  async unregister(registry, [ref], opts) {
+    const tombstone = registry.unregister(requireRef(ref), { reason: opts.reason, actor: process.env.USER });
+    return { result: tombstone, text: `Removed ${tombstone.hash}` };
+  },
+
+  async gc(registry, args, opts) {
+    const report = registry.gc({ dryRun: opts['dry-run'], actor: process.env.USER });
+    const lines = report.removed.map(hash => `${report.dryRun ? 'would remove' : 'removed'}  ${hash}`);
+    lines.push(`${report.removed.length} ${report.dryRun ? 'unreachable' : 'removed'}, ${report.kept} kept ` +
+      `(${report.roots} tagged roots)`);
+    if (report.warning) lines.push(report.warning);
+    return { result: report, text: lines.join('\n') };
+  },
+
+  async tag(registry, [name, ref], opts) {
+    if (!name || !ref) throw new UsageError('tag needs <name> and <hash>');
+    const hash = registry.tag(name, ref, { move: opts.move, reason: opts.reason, actor: process.env.USER });
+    return { result: { name, hash }, text: `${name} -> ${hash}` };
+  },
+
+  async untag(registry, [name], opts) {
+    if (!name) throw new UsageError('untag needs <name>');
+    if (!registry.untag(name, { reason: opts.reason, actor: process.env.USER })) {
+      throw Object.assign(new Error(`Unknown tag: ${name}`), { code: 'ERR_IRL_UNKNOWN_TAG' });
+    }
+    return { result: { name, removed: true }, text: `Removed ${name}` };
+  },
+
+  async tags(registry, [name]) {
+    if (name) {
+      const history = registry.tagHistory(name);
+      if (history.length === 0) {
+        throw Object.assign(new Error(`Unknown tag: ${name}`), { code: 'ERR_IRL_UNKNOWN_TAG' });
+      }
+      return {
+        result: { name, hash: registry.tags.get(name) || null, history },
+        text: history.map(h =>
+          `${h.at}  ${h.action.padEnd(6)}  ${h.from ? `${h.from} -> ` : ''}${h.hash || '-'}` +
+          `${h.actor ? `  by ${h.actor}` : ''}${h.reason ? `  (${h.reason})` : ''}`
+        ).join('\n')
+      };
+    }
+
+    const result = registry.tags.names().map(tag => ({ name: tag, hash: registry.tags.get(tag) }));
+    return {
+      result,
+      text: result.length > 0 ? result.map(t => `${t.name}  ${t.hash}`).join('\n') : 'No tags'
+    };
+  },
+
+  async export(registry, [file]) {
+    const doc = registry.toDocument();
+    const count = Object.keys(doc.registry).length;
+
+    if (!file || file === '-') {
+      return { result: doc, text: JSON.stringify(doc, null, 2) };
+    }
+    await registry.save(file);
+    return { result: { file, functions: count }, text: `Exported ${count} functions to ${file}` };
+  },
+
+  async bundle(registry, refs, opts) {
+    if (refs.length === 0) throw new UsageError('bundle needs at least one tag or hash');
+    if (!FORMATS.includes(opts.format)) throw new UsageError(`--format expects one of: ${FORMATS.join(', ')}`);
+
+    const bundle = await registry.exportBundle(refs, { format: opts.format });
+    if (!opts.out || opts.out === '-') return { result: bundle, text: bundle.code.trimEnd() };
+
+    // a.mjs -> a.d.mts, a.cjs -> a.d.cts, a.js -> a.d.ts
+    const types = opts.out.replace(/\.([cm]?)js$/, '') + `.d.${/\.([cm]?)js$/.exec(opts.out)?.[1] ?? ''}ts`;
+    fs.writeFileSync(opts.out, bundle.code);
+    fs.writeFileSync(types, bundle.types);
+    return {
+      result: { file: opts.out, types, exports: bundle.exports, functions: bundle.functions },
+      text: `Wrote ${Object.keys(bundle.exports).length} exports (${bundle.functions.length} functions) to ${opts.out} and ${types}`
+    };
+  },
+
+  async import(registry, [file], opts) {
+    if (!file) throw new UsageError('import needs a file (or - for stdin)');
+    const doc = JSON.parse(readInput(file));
+
+    const before = registry.lookup.index.size;
+    const read = registry.fromDocument(doc, { strict: false });
+    const added = registry.lookup.index.size - before;
+    registry.markDirty();
+
+    return {
+      result: { file, read, added },
+      text: `Imported ${added} new functions (${read} in ${file})`
+    };
+  },
+
+  async migrate(registry, args, opts) {
+    const { document, ...report } = migrateDocument(registry.toDocument(),
+      { algorithm: opts.algorithm, signer: registry.signer });
+    if (!opts['dry-run']) await registry.store.write(document);
+
+    const lines = Object.entries(report.map).map(([old, hash]) => `${old} -> ${hash}`);
+    lines.push(`${opts['dry-run'] ? 'Would migrate' : 'Migrated'} ${report.migrated} hashes to ${report.prefix}` +
+      ` (${report.merged} merged, ${report.unchanged} unchanged)`);
+    if (report.unsigned > 0) lines.push(`${report.unsigned} signatures dropped - pass --key to re-sign`);
+    return { result: { dryRun: opts['dry-run'], ...report }, text: lines.join('\n') };
+  },
+
+  async keygen(registry, [file]) {
+    const key = generateSigningKey();
+    if (!file || file === '-') {
+      return { result: key, text: `${key.privateKey}${key.publicKey}${key.keyId}` };
+    }
+
+    fs.writeFileSync(file, key.privateKey, { mode: 0o600 });
+    fs.writeFileSync(`${file}.pub`, key.publicKey);
+    return {
+      result: { keyId: key.keyId, privateKey: file, publicKey: `${file}.pub` },
+      text: `${key.keyId}\nWrote ${file} (private) and ${file}.pub`
+    };
+  },
+
+  async trust(registry, [file], opts) {
+    if (!file) {
+      const keys = registry.trust.list();
+      return {
+        result: keys,
+        text: keys.length > 0 ? keys.map(k => `${k.keyId}  ${k.name || '-'}  ${k.added}`).join('\n') : 'No trusted keys'
+      };
+    }
+
+    const publicKey = readInput(file);
+    const keyId = keyIdFor(publicKey);
+    registry.trust.add(publicKey, { name: opts.name });
+    registry.trust.save();
+    return { result: { keyId, name: opts.name || null, file: registry.trust.file }, text: `Trusted ${keyId}` };
+  },
+
+  async verify(registry, [ref]) {
+    const report = registry.provenanceReport();
+    if (ref) {
+      const hash = registry.findHash(ref);
+      report.entries = report.entries.filter(entry => entry.hash === hash);
+    }
+
+    const lines = report.entries.map(e => `${e.status.padEnd(9)}  ${e.hash}  ${e.reason}`);
+    const { trusted, unsigned, untrusted, invalid } = report.counts;
+    if (!ref) lines.push(`${trusted} trusted, ${unsigned} unsigned, ${untrusted} untrusted, ${invalid} invalid`);
+    else if (report.entries.length === 0) lines.push(`trusted    ${registry.findHash(ref)}`);
+
+    return { result: report, text: lines.join('\n'), failed: report.entries.length > 0 };
+  },
+
+  async metrics(registry, [file]) {
+    const text = registry.prometheus();
+    if (!file || file === '-') return { result: registry.getMetrics(), text: text.trimEnd() };
+
+    fs.writeFileSync(file, text);
+    return { result: { file, ...registry.getMetrics() }, text: `Wrote metrics to ${file}` };
+  },
+
+  async stats(registry) {
+    const stats = registry.getStats();
+    return {
+      result: stats,
+      text: [
+        `Functions: ${registry.lookup.index.size} (${registry.aliases.size} aliases)`,
+        `Dependencies: ${stats.deps.edges} edges`,
+        `Lookup: ${stats.lookup.lookups} lookups, ${(stats.lookup.cacheHitRate * 100).toFixed(1)}% hot, ` +
+          `bloom FPR ${(stats.lookup.bloomFPR * 100).toFixed(3)}%`,
+        `Store: ${stats.store ? stats.store.path : 'in memory'}`
+      ].join('\n')
+    };
+  }
+};
+
+function readInput(file) {
+  return fs.readFileSync(file === '-' ? 0 : file, 'utf8');
+}
+
+function requireRef(ref) {
+  if (!ref) throw new UsageError('missing <hash>');
+  return ref;
+}
+
+// --deps inc=<hash> --deps dbl=<hash>
+function parseDeps(list = []) {
+  const deps = {};
+  for (const item of list) {
+    const [name, hash] = item.split('=');
+    if (!name || !hash) throw new UsageError(`--deps expects name=hash, got ${item}`);
+    deps[name] = hash;
+  }
+  return deps;
+}
+
+// exec args are JSON when they parse, strings otherwise
+function parseValue(arg) {
+  try {
+    return JSON.parse(arg);
+  } catch (e) {
+    return arg;
+  }
+}
+
+function toInt(value, flag) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 0) throw new UsageError(`${flag} expects a non-negative integer`);
+  return n;
+}
+
+function format(value) {
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+function describeProof(proof) {
+  const status = proof.status || (proof.valid ? 'valid' : 'failed');
+  const detail = proof.counterexample ? ` counterexample ${JSON.stringify(proof.counterexample.args)}` : '';
+  const runs = proof.runs !== undefined ? ` (${proof.runs} runs)` : '';
+  return `${status}${runs}${detail}`;
+}
+
+// Markdown rendering of registry.duplicates()
+function duplicatesMarkdown(report) {
+  const percent = ratio => `${(ratio * 100).toFixed(1)}%`;
+  const code = source => '`' + source.replace(/\s+/g, ' ').replace(/\|/g, '\\|') + '`';
+
+  const lines = [
+    '# Duplicate report',
+    '',
+    `- Functions: ${report.total} (${report.unique} unique, ${report.duplicates} duplicates)`,
+    `- Dedup ratio: ${percent(report.dedupRatio)}`,
+    `- Clustering: semantic hash${report.threshold < 1 ? ` + similarity >= ${report.threshold}` : ''}`,
+    `- Canonical: ${report.strategy}`
+  ];
+
+  report.clusters.forEach((cluster, i) => {
+    lines.push(
+      '',
+      `## ${i + 1}. ${cluster.canonical} (${cluster.size} functions, dedup ${percent(cluster.dedupRatio)})`,
+      '',
+      '| | Hash | Source | Created | Executions | Proof | Similarity |',
+      '|---|---|---|---|---|---|---|'
+    );
+    for (const m of cluster.members) {
+      const mark = m.hash === cluster.canonical ? '★' : '';
+      lines.push(`| ${mark} | ${m.hash} | ${code(m.source)} | ${m.created} | ${m.executions} | ${m.proof || '-'} | ${m.similarity.toFixed(2)} |`);
+    }
+  });
+
+  if (report.clusters.length === 0) lines.push('', 'No duplicates found.');
+  return lines.join('\n');
+}
+
+async function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (e) {
+    console.error(`irl: ${e.message}\n\n${USAGE}`);
+    return EXIT.USAGE;
+  }
+
+  const { values: opts, positionals: [name, ...args] } = parsed;
+  if (opts.help || !name) {
+    console.log(USAGE);
+    return opts.help ? EXIT.OK : EXIT.USAGE;
+  }
+
+  const command = commands[name];
+  if (!command) {
+    console.error(`irl: unknown command ${name}\n\n${USAGE}`);
+    return EXIT.USAGE;
+  }
+
+  const file = opts.registry || process.env.IRL_REGISTRY || 'registry.json';
+
+  try {
+    if (opts.budget !== undefined && Number.isNaN(Number(opts.budget))) {
+      throw new UsageError('--budget expects milliseconds');
+    }
+    if (opts.provenance !== undefined && !POLICIES.includes(opts.provenance)) {
+      throw new UsageError(`--provenance expects one of: ${POLICIES.join(', ')}`);
+    }
+
+    const registry = await S0FractalIRL.open(file, {
+      signingKeyFile: opts.key,
+      trustFile: opts.trust || process.env.IRL_TRUST_STORE || 'trust.json',
+      provenance: opts.provenance
+    });
+    const budget = opts.budget !== undefined
+      ? Number(opts.budget)
+      : COMMAND_BUDGETS[name] ? registry.budget.limit(COMMAND_BUDGETS[name]) : Infinity;
+
+    const start = performance.now();
+    const outcome = await command(registry, args, opts, budget);
+    const elapsed = performance.now() - start;
+    await registry.flush();
+
+    const overBudget = elapsed > budget || Boolean(outcome.exhausted);
+
+    if (opts.json) {
+      console.log(JSON.stringify({
+        command: name,
+        ok: !outcome.failed && !overBudget,
+        ...(Number.isFinite(budget) ? { budget: { limit: budget, elapsed, exceeded: overBudget } } : {}),
+        result: outcome.result
+      }, null, 2));
+    } else {
+      console.log(outcome.text);
+      if (overBudget) {
+        console.error(`irl: ${name} exceeded ${budget}ms budget (${elapsed.toFixed(2)}ms)`);
+      }
+    }
+
+    if (outcome.failed) return EXIT.ERROR;
+    return overBudget ? EXIT.BUDGET : EXIT.OK;
+  } catch (e) {
+    if (e instanceof UsageError) {
+      console.error(`irl: ${e.message}\n\n${USAGE}`);
+      return EXIT.USAGE;
+    }
+
+    if (opts.json) {
+      console.log(JSON.stringify({
+        command: name,
+        ok: false,
+        error: { code: e.code || e.name, message: e.message, ...(e.errors ? { details: e.errors } : {}) }
+      }, null, 2));
+    } else {
+      console.error(`irl: ${e.message}`);
+    }
+    return e.code === 'ERR_IRL_BUDGET' ? EXIT.BUDGET : EXIT.ERROR;
+  }
+}
+
+// Export for use
+export { main, commands, duplicatesMarkdown, EXIT, COMMAND_BUDGETS };
+
+// CLI interface
+if (import.meta.url === `file://${fs.realpathSync(process.argv[1])}`) {
+  process.exitCode = await main(process.argv.slice(2));
+}
\ No newline at end of file
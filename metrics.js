@@ -0,0 +1,173 @@
+#!/usr/bin/env node
+
+// Metrics - HDR-style latency histograms + Prometheus text exposition
+// Values are bucketed in microseconds with ~1% relative precision
+
+const OPERATIONS = ['hash', 'lookup', 'compile', 'execute', 'prove', 'ctc'];
+
+const SUB_BUCKETS = 128;          // linear buckets per power of two (2 significant digits)
+const HALF = SUB_BUCKETS / 2;
+const BUCKET_COUNT = SUB_BUCKETS + 40 * HALF;   // covers up to 2^46 us
+
+// Prometheus histogram boundaries (seconds)
+const PROMETHEUS_BUCKETS = [
+  0.00001, 0.00005, 0.0001, 0.0005, 0.001, 0.005, 0.01, 0.03, 0.05, 0.1, 0.25, 0.5, 1, 5
+];
+
+// Value (us) -> bucket index
+function bucketIndex(us) {
+  if (us < SUB_BUCKETS) return us;
+  const shift = Math.floor(Math.log2(us)) - 6;
+  return SUB_BUCKETS + (shift - 1) * HALF + (Math.floor(us / 2 ** shift) - HALF);
+}
+
+// Bucket index -> highest value (us) it holds
+function bucketUpper(index) {
+  if (index < SUB_BUCKETS) return index;
+  const shift = Math.floor((index - SUB_BUCKETS) / HALF) + 1;
+  const sub = (index - SUB_BUCKETS) % HALF + HALF;
+  return (sub + 1) * 2 ** shift - 1;
+}
+
+class LatencyHistogram {
+  constructor() {
+    this.counts = new Float64Array(BUCKET_COUNT);
+    this.reset();
+  }
+
+  reset() {
+    this.counts.fill(0);
+    this.count = 0;
+    this.sum = 0;
+    this.min = Infinity;
+    this.max = 0;
+  }
+
+  // Record a duration in milliseconds
+  record(ms) {
+    if (!(ms >= 0)) return;
+    const us = Math.min(Math.round(ms * 1000), 2 ** 46 - 1);
+    this.counts[bucketIndex(us)]++;
+    this.count++;
+    this.sum += ms;
+    if (ms < this.min) this.min = ms;
+    if (ms > this.max) this.max = ms;
+  }
+
+  merge(other) {
+    for (let i = 0; i < BUCKET_COUNT; i++) this.counts[i] += other.counts[i];
+    this.count += other.count;
+    this.sum += other.sum;
+    this.min = Math.min(this.min, other.min);
+    this.max = Math.max(this.max, other.max);
+    return this;
+  }
+
+  // Value (ms) at percentile p (0-100), never above the recorded max
+  percentile(p) {
+    if (this.count === 0) return 0;
+    const target = Math.max(1, Math.ceil((p / 100) * this.count));
+
+    let seen = 0;
+    for (let i = 0; i < BUCKET_COUNT; i++) {
+      seen += this.counts[i];
+      if (seen >= target) return Math.min(bucketUpper(i) / 1000, this.max);
+    }
+    return this.max;
+  }
+
+  // Recorded values <= ms (bucket resolution)
+  countAtOrBelow(ms) {
+    const limit = Math.round(ms * 1000);
+    let total = 0;
+    for (let i = 0; i < BUCKET_COUNT && bucketUpper(i) <= limit; i++) total += this.counts[i];
+    return total;
+  }
+
+  snapshot() {
+    return {
+      count: this.count,
+      min: this.count > 0 ? this.min : 0,
+      max: this.max,
+      mean: this.count > 0 ? this.sum / this.count : 0,
+      p50: this.percentile(50),
+      p90: this.percentile(90),
+      p99: this.percentile(99)
+    };
+  }
+}
+
+class Metrics {
+  constructor(operations = OPERATIONS) {
+    this.histograms = new Map(operations.map(op => [op, new LatencyHistogram()]));
+  }
+
+  histogram(op) {
+    if (!this.histograms.has(op)) this.histograms.set(op, new LatencyHistogram());
+    return this.histograms.get(op);
+  }
+
+  record(op, ms) {
+    this.histogram(op).record(ms);
+  }
+
+  // Combined histogram of several operations
+  merged(ops) {
+    const result = new LatencyHistogram();
+    for (const op of ops) result.merge(this.histogram(op));
+    return result;
+  }
+
+  // { op: { count, min, max, mean, p50, p90, p99 } } in ms
+  snapshot() {
+    return Object.fromEntries([...this.histograms].map(([op, h]) => [op, h.snapshot()]));
+  }
+
+  reset() {
+    for (const h of this.histograms.values()) h.reset();
+  }
+
+  // Prometheus text format (0.0.4); extra: [{ name, type, help, value, labels }]
+  toPrometheus(options = {}) {
+    const prefix = options.prefix || 'irl';
+    const name = `${prefix}_operation_duration_seconds`;
+    const lines = [
+      `# HELP ${name} Latency of registry operations.`,
+      `# TYPE ${name} histogram`
+    ];
+
+    for (const [op, h] of this.histograms) {
+      for (const le of PROMETHEUS_BUCKETS) {
+        lines.push(`${name}_bucket{operation="${op}",le="${le}"} ${h.countAtOrBelow(le * 1000)}`);
+      }
+      lines.push(`${name}_bucket{operation="${op}",le="+Inf"} ${h.count}`);
+      lines.push(`${name}_sum{operation="${op}"} ${h.sum / 1000}`);
+      lines.push(`${name}_count{operation="${op}"} ${h.count}`);
+    }
+
+    const quantiles = `${prefix}_operation_duration_quantile_seconds`;
+    lines.push(
+      `# HELP ${quantiles} Latency percentiles of registry operations.`,
+      `# TYPE ${quantiles} gauge`
+    );
+    for (const [op, h] of this.histograms) {
+      for (const [q, p] of [['0.5', 50], ['0.9', 90], ['0.99', 99], ['1', 100]]) {
+        lines.push(`${quantiles}{operation="${op}",quantile="${q}"} ${h.percentile(p) / 1000}`);
+      }
+    }
+
+    for (const metric of options.extra || []) {
+      const full = `${prefix}_${metric.name}`;
+      const labels = metric.labels
+        ? `{${Object.entries(metric.labels).map(([k, v]) => `${k}="${v}"`).join(',')}}`
+        : '';
+      lines.push(`# HELP ${full} ${metric.help}`, `# TYPE ${full} ${metric.type || 'gauge'}`);
+      lines.push(`${full}${labels} ${Number(metric.value) || 0}`);
+    }
+
+    return lines.join('\n') + '\n';
+  }
+}
+
+// Export for use
+export { Metrics, LatencyHistogram, OPERATIONS, PROMETHEUS_BUCKETS };
\ No newline at end of file
@@ -0,0 +1,501 @@
+#!/usr/bin/env node
+
+// Module Ingest - register every exported function of an ES or CommonJS module
+// Module-local helpers a function calls become its deps; everything else is reported
+
+import fs from 'fs';
+import path from 'path';
+import vm from 'vm';
+import { performance } from 'perf_hooks';
+import * as acorn from 'acorn';
+
+const EXTENSIONS = new Set(['.js', '.mjs', '.cjs']);
+const SKIP_DIRS = new Set(['node_modules']);
+
+// Names a registered function may use freely - the sandbox context's builtins
+const BUILTINS = new Set(vm.runInNewContext('Object.getOwnPropertyNames(globalThis)'));
+
+const FUNCTION_TYPES = new Set(['FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression']);
+const NOT_CHILDREN = new Set(['type', 'start', 'end', 'loc', 'range']);
+
+// Usable as a binding name (not a reserved word like 'default')
+function isIdentifier(name) {
+  try {
+    acorn.parse(`(${name}) => 0`, { ecmaVersion: 'latest' });
+    return /^[A-Za-z_$][\w$]*$/.test(name);
+  } catch (e) {
+    return false;
+  }
+}
+
+function ingestError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function parse(code, file) {
+  const options = { ecmaVersion: 'latest', allowHashBang: true, allowReturnOutsideFunction: true };
+  try {
+    return acorn.parse(code, { ...options, sourceType: 'module' });
+  } catch (e) {
+    // Sloppy-mode CommonJS (with, octal literals, ...) only parses as a script
+    try {
+      return acorn.parse(code, { ...options, sourceType: 'script' });
+    } catch (e2) {
+      throw ingestError('ERR_IRL_INGEST', `Cannot parse ${file}: ${e.message}`);
+    }
+  }
+}
+
+function children(node) {
+  const result = [];
+  for (const key of Object.keys(node)) {
+    if (NOT_CHILDREN.has(key)) continue;
+    const value = node[key];
+    if (Array.isArray(value)) value.forEach(child => child?.type && result.push([key, child]));
+    else if (value?.type) result.push([key, value]);
+  }
+  return result;
+}
+
+// Names bound by a pattern: a, { a, b: c }, [a, ...rest], a = 1
+function patternNames(pattern, names = []) {
+  if (!pattern) return names;
+  switch (pattern.type) {
+    case 'Identifier': names.push(pattern.name); break;
+    case 'ObjectPattern': pattern.properties.forEach(p => patternNames(p.type === 'RestElement' ? p.argument : p.value, names)); break;
+    case 'ArrayPattern': pattern.elements.forEach(e => patternNames(e, names)); break;
+    case 'AssignmentPattern': patternNames(pattern.left, names); break;
+    case 'RestElement': patternNames(pattern.argument, names); break;
+  }
+  return names;
+}
+
+// Identifiers a function uses but doesn't declare. Declarations anywhere in the
+// function count (block scoping is ignored - at worst a free name is missed)
+function freeNames(fn) {
+  const declared = new Set(['arguments']);
+  const used = new Set();
+
+  const visit = (node, parent, key) => {
+    switch (node.type) {
+      case 'Identifier':
+        used.add(node.name);
+        return;
+      case 'FunctionDeclaration':
+      case 'FunctionExpression':
+      case 'ArrowFunctionExpression':
+      case 'ClassDeclaration':
+      case 'ClassExpression':
+        if (node.id) declared.add(node.id.name);
+        (node.params || []).forEach(p => patternNames(p, []).forEach(name => declared.add(name)));
+        break;
+      case 'VariableDeclarator':
+        patternNames(node.id).forEach(name => declared.add(name));
+        break;
+      case 'CatchClause':
+        patternNames(node.param).forEach(name => declared.add(name));
+        break;
+      case 'MetaProperty':
+        return;
+    }
+
+    for (const [childKey, child] of children(node)) {
+      // obj.prop, { prop: v }, class { prop() {} }, labels - not references
+      if (childKey === 'property' && node.type === 'MemberExpression' && !node.computed) continue;
+      if (childKey === 'key' && !node.computed &&
+        ['Property', 'MethodDefinition', 'PropertyDefinition'].includes(node.type)) continue;
+      if (childKey === 'label') continue;
+      visit(child, node, childKey);
+    }
+  };
+  visit(fn, null, null);
+
+  return [...used].filter(name => !declared.has(name));
+}
+
+function isRequire(node) {
+  return node?.type === 'CallExpression' && node.callee.type === 'Identifier' && node.callee.name === 'require';
+}
+
+// module.exports.x / exports.x -> 'x'; module.exports -> 'default'; otherwise null
+function cjsExportName(node) {
+  const isModuleExports = n => n?.type === 'MemberExpression' && !n.computed &&
+    n.object.type === 'Identifier' && n.object.name === 'module' && n.property.name === 'exports';
+
+  if (isModuleExports(node)) return 'default';
+  if (node?.type === 'MemberExpression' && !node.computed &&
+    (isModuleExports(node.object) || (node.object.type === 'Identifier' && node.object.name === 'exports'))) {
+    return node.property.name;
+  }
+  return null;
+}
+
+// Top-level bindings and exports of a module.
+// bindings: name -> { kind: 'function' | 'alias' | 'value' | 'class' | 'import', node, target, from }
+// exports: [{ name, local, line }]
+function scanModule(code, file = 'module.js') {
+  const ast = parse(code, file);
+  const bindings = new Map();
+  const exports = [];
+  let inline = 0;
+
+  const lineOf = node => code.slice(0, node.start).split('\n').length;
+
+  // Exported expressions without a local name get a synthetic binding
+  const bindExpression = (name, node) => {
+    if (node.type === 'Identifier') return node.name;
+    let local = isIdentifier(name) ? name : `_${name.replace(/[^\w$]/g, '_')}`;
+    while (bindings.has(local)) local = `_${name.replace(/[^\w$]/g, '_')}${inline++}`;
+    bindDeclarator(local, node);
+    return local;
+  };
+
+  const bindDeclarator = (name, init) => {
+    if (!init) bindings.set(name, { kind: 'value', node: null });
+    else if (FUNCTION_TYPES.has(init.type)) bindings.set(name, { kind: 'function', node: init });
+    else if (init.type === 'Identifier') bindings.set(name, { kind: 'alias', target: init.name, node: init });
+    else if (init.type === 'ClassExpression') bindings.set(name, { kind: 'class', node: init });
+    else if (isRequire(init)) bindings.set(name, { kind: 'import', from: init.arguments[0]?.value, node: init });
+    else bindings.set(name, { kind: 'value', node: init });
+  };
+
+  const declare = decl => {
+    const names = [];
+    if (decl.type === 'FunctionDeclaration') {
+      bindings.set(decl.id.name, { kind: 'function', node: decl });
+      names.push(decl.id.name);
+    } else if (decl.type === 'ClassDeclaration') {
+      bindings.set(decl.id.name, { kind: 'class', node: decl });
+      names.push(decl.id.name);
+    } else if (decl.type === 'VariableDeclaration') {
+      for (const d of decl.declarations) {
+        if (d.id.type === 'Identifier') {
+          bindDeclarator(d.id.name, d.init);
+          names.push(d.id.name);
+        } else {
+          patternNames(d.id).forEach(name => {
+            bindings.set(name, { kind: isRequire(d.init) ? 'import' : 'value', from: d.init?.arguments?.[0]?.value, node: d });
+            names.push(name);
+          });
+        }
+      }
+    }
+    return names;
+  };
+
+  for (const stmt of ast.body) {
+    switch (stmt.type) {
+      case 'ImportDeclaration':
+        stmt.specifiers.forEach(s => bindings.set(s.local.name, { kind: 'import', from: stmt.source.value, node: s }));
+        break;
+
+      case 'FunctionDeclaration':
+      case 'ClassDeclaration':
+      case 'VariableDeclaration':
+        declare(stmt);
+        break;
+
+      case 'ExportNamedDeclaration':
+        if (stmt.declaration) {
+          declare(stmt.declaration).forEach(name => exports.push({ name, local: name, line: lineOf(stmt) }));
+        } else {
+          for (const s of stmt.specifiers) {
+            const name = s.exported.name ?? s.exported.value;
+            exports.push(stmt.source
+              ? { name, local: null, line: lineOf(stmt), reason: `re-exported from ${stmt.source.value}` }
+              : { name, local: s.local.name, line: lineOf(stmt) });
+          }
+        }
+        break;
+
+      case 'ExportDefaultDeclaration': {
+        const decl = stmt.declaration;
+        const local = decl.type === 'FunctionDeclaration' && decl.id
+          ? declare(decl)[0]
+          : bindExpression('default', decl.type === 'FunctionDeclaration' ? { ...decl, type: 'FunctionExpression' } : decl);
+        exports.push({ name: 'default', local, line: lineOf(stmt) });
+        break;
+      }
+
+      case 'ExportAllDeclaration':
+        exports.push({ name: stmt.exported?.name ?? '*', local: null, line: lineOf(stmt), reason: `re-exported from ${stmt.source.value}` });
+        break;
+
+      case 'ExpressionStatement': {
+        const expr = stmt.expression;
+        if (expr.type !== 'AssignmentExpression' || expr.operator !== '=') break;
+        const name = cjsExportName(expr.left);
+        if (!name) break;
+
+        // Reassigning module.exports drops earlier exports.x; exports.x replaces itself
+        for (let i = exports.length - 1; i >= 0; i--) {
+          if (exports[i].cjs && (name === 'default' || exports[i].name === name)) exports.splice(i, 1);
+        }
+
+        // module.exports = { a, b: () => ..., c() {} }
+        if (name === 'default' && expr.right.type === 'ObjectExpression') {
+          for (const prop of expr.right.properties) {
+            if (prop.type !== 'Property' || prop.computed) {
+              exports.push({ name: '?', local: null, line: lineOf(prop), reason: 'computed or spread property', cjs: true });
+              continue;
+            }
+            const key = prop.key.name ?? String(prop.key.value);
+            const value = prop.method ? { ...prop.value, methodName: key } : prop.value;
+            exports.push({ name: key, local: bindExpression(key, value), line: lineOf(prop), cjs: true });
+          }
+        } else {
+          exports.push({ name, local: bindExpression(name, expr.right), line: lineOf(stmt), cjs: true });
+        }
+        break;
+      }
+    }
+  }
+
+  return { ast, bindings, exports };
+}
+
+// Follow `const a = b` aliases to the binding that holds the value
+function resolveBinding(bindings, name, seen = new Set()) {
+  const binding = bindings.get(name);
+  if (binding?.kind !== 'alias' || seen.has(name)) return { name, binding };
+  seen.add(name);
+  return resolveBinding(bindings, binding.target, seen);
+}
+
+// Standalone source for a function binding. Arrows and named functions are
+// kept as written; a function that calls itself by its binding name, and
+// anonymous function expressions, become `const name = ...`
+function functionSource(code, name, node, free) {
+  let text = code.slice(node.start, node.end);
+  if (node.methodName) {
+    text = `${node.async ? 'async ' : ''}function${node.generator ? '*' : ''} ${node.methodName}${text}`;
+    return free.includes(name) && name !== node.methodName ? `const ${name} = ${text}` : text;
+  }
+  if (node.type === 'FunctionDeclaration') return text;
+
+  const needsName = free.includes(name) || (node.type === 'FunctionExpression' && !node.id);
+  return needsName ? `const ${name} = ${text}` : text;
+}
+
+function describe(name, binding) {
+  if (!binding) return `${name}, which is not defined in the module`;
+  if (binding.kind === 'import') return `${name}, imported from ${binding.from ?? 'another module'}`;
+  if (binding.kind === 'class') return `class ${name}`;
+  return `${name}, which is not a function`;
+}
+
+// Plan for one module: per function binding its source, helper deps or failure reason
+function extractFunctions(code, file = 'module.js') {
+  const { bindings, exports } = scanModule(code, file);
+  const functions = new Map();   // local name -> { source, helpers: { depName: localName }, line } or { reason, line, cycle }
+
+  const lineOf = node => code.slice(0, node.start).split('\n').length;
+
+  const plan = (local, stack = []) => {
+    if (functions.has(local)) return functions.get(local);
+
+    const { name, binding } = resolveBinding(bindings, local);
+    if (name !== local) {
+      const target = plan(name, stack);
+      functions.set(local, target);
+      return target;
+    }
+
+    const fail = (reason, line, cycle = null) => {
+      const result = { reason, line, cycle };
+      functions.set(local, result);
+      return result;
+    };
+
+    if (!binding) return fail(`${local} is not defined in the module`);
+    if (binding.kind !== 'function') return fail(`exports ${describe(local, binding)}`, binding.node && lineOf(binding.node));
+
+    const node = binding.node;
+    const line = lineOf(node);
+    if (stack.includes(local)) {
+      const cycle = [...stack.slice(stack.indexOf(local)), local];
+      return fail(`mutual recursion: ${cycle.join(' -> ')}`, line, cycle);
+    }
+
+    const ownName = node.id?.name;
+    const free = freeNames(node).filter(n => n !== ownName);
+    const helpers = {};
+
+    for (const ref of free) {
+      if (ref === local) continue;
+      if (bindings.has(ref)) {
+        const target = resolveBinding(bindings, ref);
+        if (target.binding?.kind !== 'function') {
+          return fail(`uses ${describe(ref, target.binding)}`, line);
+        }
+        const helper = plan(ref, [...stack, local]);
+        if (helper.reason) {
+          // Members of a cycle share its reason; callers of one get 'helper x: ...'
+          return helper.cycle?.includes(local)
+            ? fail(helper.reason, line, helper.cycle)
+            : fail(`helper ${ref}: ${helper.reason}`, line);
+        }
+        helpers[ref] = target.name;
+      } else if (!BUILTINS.has(ref)) {
+        return fail(`uses global ${ref}`, line);
+      }
+    }
+
+    const result = { source: functionSource(code, local, node, free), helpers, line };
+    functions.set(local, result);
+    return result;
+  };
+
+  const manifest = exports.map(exp => exp.reason
+    ? { ...exp, plan: { reason: exp.reason, line: exp.line } }
+    : { ...exp, local: resolveBinding(bindings, exp.local).name, plan: plan(exp.local) });
+
+  return { exports: manifest, functions };
+}
+
+// Every .js/.mjs/.cjs file under a directory (node_modules and dot dirs skipped)
+function listFiles(dir) {
+  const files = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true }).sort((a, b) => a.name < b.name ? -1 : 1)) {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      if (!SKIP_DIRS.has(entry.name) && !entry.name.startsWith('.')) files.push(...listFiles(full));
+    } else if (EXTENSIONS.has(path.extname(entry.name))) {
+      files.push(full);
+    }
+  }
+  return files;
+}
+
+// Register every exported function of a file, or of every module under a directory.
+// Helpers are registered first, one dependency level at a time, each level in
+// parallel (options.concurrency, default 8). Once the 'ingest' budget (or
+// options.budget ms) is spent, the rest is reported as failed.
+// Returns { root, files, exports: { file: { name: hash } }, helpers: { file: { name: hash } },
+//           failed: [{ file, name, line, reason }], registered, timeUsed }
+async function ingestPath(registry, pathOrDir, options = {}) {
+  const start = performance.now();
+  const limit = options.budget ?? registry.budget.limit('ingest');
+  const concurrency = options.concurrency || 8;
+
+  let stat;
+  try {
+    stat = fs.statSync(pathOrDir);
+  } catch (e) {
+    throw ingestError('ERR_IRL_INGEST', `Cannot read ${pathOrDir}: ${e.message}`);
+  }
+  const root = stat.isDirectory() ? pathOrDir : path.dirname(pathOrDir);
+  const files = stat.isDirectory() ? listFiles(pathOrDir) : [pathOrDir];
+
+  const manifest = { root, files: files.length, exports: {}, helpers: {}, failed: [], registered: 0, timeUsed: 0 };
+  const jobs = [];   // { file, local, fn, level }
+
+  for (const file of files) {
+    const rel = path.relative(root, file).split(path.sep).join('/');
+    let extracted;
+    try {
+      extracted = extractFunctions(fs.readFileSync(file, 'utf8'), rel);
+    } catch (e) {
+      manifest.failed.push({ file: rel, name: null, line: null, reason: e.message });
+      continue;
+    }
+
+    // Dependency level: helpers (level 0 if they call nothing) before callers
+    const levels = new Map();
+    const levelOf = local => {
+      if (!levels.has(local)) {
+        const fn = extracted.functions.get(local);
+        levels.set(local, 1 + Math.max(-1, ...Object.values(fn.helpers).map(levelOf)));
+      }
+      return levels.get(local);
+    };
+
+    const exported = new Set();
+    for (const exp of extracted.exports) {
+      if (exp.plan.reason) {
+        manifest.failed.push({ file: rel, name: exp.name, line: exp.plan.line ?? exp.line, reason: exp.plan.reason });
+      } else {
+        exported.add(exp.local);
+      }
+    }
+    const needed = new Set();
+    const collect = local => {
+      if (needed.has(local)) return;
+      needed.add(local);
+      Object.values(extracted.functions.get(local).helpers).forEach(collect);
+    };
+    exported.forEach(collect);
+
+    for (const local of needed) {
+      jobs.push({ file: rel, local, fn: extracted.functions.get(local), level: levelOf(local), extracted });
+    }
+  }
+
+  // Register level by level; hashes are per file + local name
+  const hashes = new Map();
+  const errors = new Map();
+  const key = (file, local) => `${file}\0${local}`;
+  const maxLevel = Math.max(-1, ...jobs.map(job => job.level));
+
+  for (let level = 0; level <= maxLevel; level++) {
+    const batch = jobs.filter(job => job.level === level);
+    for (let i = 0; i < batch.length; i += concurrency) {
+      await Promise.all(batch.slice(i, i + concurrency).map(async job => {
+        const id = key(job.file, job.local);
+        if (options.signal?.aborted) return errors.set(id, 'cancelled');
+        if (performance.now() - start > limit) return errors.set(id, `ingest budget of ${limit}ms exceeded`);
+
+        const deps = {};
+        for (const [name, helper] of Object.entries(job.fn.helpers)) {
+          const failed = errors.get(key(job.file, helper));
+          if (failed) return errors.set(id, `helper ${name}: ${failed}`);
+          deps[name] = hashes.get(key(job.file, helper));
+        }
+
+        try {
+          hashes.set(id, await registry.register(job.fn.source, { deps }));
+          manifest.registered++;
+        } catch (e) {
+          errors.set(id, e.message);
+        }
+      }));
+    }
+  }
+
+  // Manifest: export names of each file, then the helpers they pulled in
+  for (const job of jobs) {
+    const id = key(job.file, job.local);
+    const names = job.extracted.exports.filter(exp => exp.local === job.local && !exp.plan.reason);
+    if (errors.has(id)) {
+      names.forEach(exp => manifest.failed.push({ file: job.file, name: exp.name, line: job.fn.line, reason: errors.get(id) }));
+      continue;
+    }
+    for (const exp of names) (manifest.exports[job.file] ||= {})[exp.name] = hashes.get(id);
+    if (names.length === 0) (manifest.helpers[job.file] ||= {})[job.local] = hashes.get(id);
+  }
+
+  manifest.timeUsed = performance.now() - start;
+  registry.budget.observe('ingest', manifest.timeUsed, { budget: limit });
+  return manifest;
+}
+
+// Export for use
+export { ingestPath, extractFunctions, scanModule, freeNames, listFiles, isIdentifier };
+
+// CLI interface: node module-ingest.js <file> - print what would be registered
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const file = process.argv[2] || new URL(import.meta.url).pathname;
+  const { exports, functions } = extractFunctions(fs.readFileSync(file, 'utf8'), file);
+  console.log(`${file}: ${exports.length} exports\n`);
+  for (const exp of exports) {
+    const fn = exp.plan;
+    console.log(fn.reason
+      ? `  ✗ ${exp.name} (line ${fn.line ?? exp.line}): ${fn.reason}`
+      : `  ✓ ${exp.name}: ${fn.source.replace(/\s+/g, ' ').slice(0, 70)}` +
+        (Object.keys(fn.helpers).length ? `  deps: ${Object.keys(fn.helpers).join(', ')}` : ''));
+  }
+  const helpers = [...functions.keys()].filter(local => !exports.some(exp => exp.local === local) && !functions.get(local).reason);
+  if (helpers.length > 0) console.log(`\n  helpers: ${helpers.join(', ')}`);
+}
\ No newline at end of file
@@ -0,0 +1,154 @@
+#!/usr/bin/env node
+
+// Plugins - policy hooks around register, execute and prove
+// Each hook call runs under its own budget; failures are isolated
+
+import { EventEmitter } from 'events';
+import { BudgetManager } from './budget.js';
+
+// hook -> ctx fields a hook may replace by returning { field: value }
+const HOOKS = {
+  beforeRegister: [],
+  afterRegister: [],
+  beforeExecute: ['inputs'],
+  afterExecute: ['result'],
+  onProof: ['proof']
+};
+
+// Only hooks that run before the operation can veto it
+const VETO_HOOKS = new Set(['beforeRegister', 'beforeExecute']);
+
+function pluginError(code, message, fields = {}) {
+  const error = new Error(message);
+  error.code = code;
+  return Object.assign(error, fields);
+}
+
+// Emits 'plugin-error' { plugin, hook, error } for isolated failures
+class PluginManager extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.budget = options.budget || new BudgetManager();
+    this.registry = options.registry || null;   // exposed to hooks as ctx.registry
+    this.plugins = [];   // sorted by order, then registration
+    this.stats = new Map();   // name -> { calls, errors, timeouts, vetoes }
+    this.added = 0;
+  }
+
+  // plugin: { name, order?, critical?, budget?, beforeRegister?(ctx), ... }
+  // Lower order runs first. critical plugins fail the operation instead of
+  // being skipped; budget (ms) overrides the per-hook PLUGIN budget
+  use(plugin) {
+    if (!plugin || typeof plugin.name !== 'string' || plugin.name === '') {
+      throw pluginError('ERR_IRL_PLUGIN', 'Plugin needs a name');
+    }
+    if (this.stats.has(plugin.name)) {
+      throw pluginError('ERR_IRL_PLUGIN', `Plugin ${plugin.name} is already installed`);
+    }
+    const hooks = Object.keys(HOOKS).filter(hook => typeof plugin[hook] === 'function');
+    if (hooks.length === 0) {
+      throw pluginError('ERR_IRL_PLUGIN', `Plugin ${plugin.name} has no hooks (${Object.keys(HOOKS).join(', ')})`);
+    }
+
+    this.plugins.push({ plugin, order: plugin.order ?? 0, seq: this.added++ });
+    this.plugins.sort((a, b) => a.order - b.order || a.seq - b.seq);
+    this.stats.set(plugin.name, { calls: 0, errors: 0, timeouts: 0, vetoes: 0 });
+    return this;
+  }
+
+  remove(name) {
+    const before = this.plugins.length;
+    this.plugins = this.plugins.filter(p => p.plugin.name !== name);
+    this.stats.delete(name);
+    return this.plugins.length < before;
+  }
+
+  list() {
+    return this.plugins.map(({ plugin, order }) => ({
+      name: plugin.name,
+      order,
+      critical: Boolean(plugin.critical),
+      hooks: Object.keys(HOOKS).filter(hook => typeof plugin[hook] === 'function')
+    }));
+  }
+
+  // Run one hook across plugins in order. Returns the (possibly replaced)
+  // payload fields plus annotations: { pluginName: data }. A hook's
+  // annotations and replacements only apply if it finishes in time
+  async run(hook, payload, options = {}) {
+    const current = { ...payload };
+    const annotations = {};
+
+    for (const { plugin } of this.plugins) {
+      const fn = plugin[hook];
+      if (typeof fn !== 'function') continue;
+
+      const stats = this.stats.get(plugin.name);
+      stats.calls++;
+
+      const notes = {};
+      const ctx = {
+        ...current,
+        hook,
+        plugin: plugin.name,
+        registry: this.registry,
+        annotate: data => { Object.assign(notes, data); }
+      };
+      if (VETO_HOOKS.has(hook)) {
+        ctx.veto = reason => {
+          throw pluginError('ERR_IRL_VETO', `${plugin.name} vetoed ${hook}: ${reason}`,
+            { plugin: plugin.name, hook, reason });
+        };
+      }
+
+      try {
+        const out = await this.budget.run(`plugin:${plugin.name}:${hook}`,
+          signal => fn.call(plugin, { ...ctx, signal }),
+          { hash: payload.hash, budget: plugin.budget, signal: options.signal });
+
+        // Only objects replace fields - other return values are ignored
+        const replaced = {};
+        if (out && typeof out === 'object') {
+          for (const field of HOOKS[hook]) {
+            if (field in out) replaced[field] = out[field];
+          }
+        }
+        if ('inputs' in replaced && !Array.isArray(replaced.inputs)) {
+          throw pluginError('ERR_IRL_PLUGIN', `${plugin.name} returned non-array inputs`);
+        }
+        Object.assign(current, replaced);
+        if (Object.keys(notes).length > 0) {
+          annotations[plugin.name] = { ...annotations[plugin.name], ...notes };
+        }
+      } catch (e) {
+        if (e.code === 'ERR_IRL_VETO') {
+          stats.vetoes++;
+          throw e;
+        }
+        // Caller cancelled - not the plugin's fault
+        if (options.signal?.aborted) throw e;
+
+        stats.errors++;
+        if (e.code === 'ERR_IRL_BUDGET') stats.timeouts++;
+        this.emit('plugin-error', { plugin: plugin.name, hook, hash: payload.hash ?? null, error: e });
+
+        if (plugin.critical) {
+          throw pluginError('ERR_IRL_PLUGIN', `Critical plugin ${plugin.name} failed in ${hook}: ${e.message}`,
+            { plugin: plugin.name, hook, cause: e });
+        }
+      }
+    }
+
+    return { ...current, annotations };
+  }
+
+  getStats() {
+    return {
+      plugins: this.plugins.length,
+      byPlugin: Object.fromEntries(this.stats)
+    };
+  }
+}
+
+// Export for use
+export { PluginManager, HOOKS, VETO_HOOKS };
\ No newline at end of file
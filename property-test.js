@@ -0,0 +1,557 @@
+#!/usr/bin/env node
+
+// Property Tester - L0 proofs by seeded property-based testing
+// Generators inferred from the function's params, counterexamples shrunk
+
+import { performance } from 'perf_hooks';
+import * as acorn from 'acorn';
+import { SimpleSemanticHasher } from './simple-semantic-hash.js';
+import { isTimeout } from './sandbox.js';
+
+const DEFAULT_RUNS = 100;
+const DEFAULT_MAX_TIME = 250;   // ms for the whole proof
+const MAX_SHRINKS = 200;
+
+// mulberry32 - tiny seeded PRNG, reproducible across platforms
+class Random {
+  constructor(seed = 1) {
+    this.state = seed >>> 0;
+  }
+
+  next() {
+    let t = this.state += 0x6D2B79F5;
+    t = Math.imul(t ^ t >>> 15, t | 1);
+    t ^= t + Math.imul(t ^ t >>> 7, t | 61);
+    return ((t ^ t >>> 14) >>> 0) / 4294967296;
+  }
+
+  int(min, max) {
+    return min + Math.floor(this.next() * (max - min + 1));
+  }
+
+  pick(items) {
+    return items[Math.floor(this.next() * items.length)];
+  }
+}
+
+// Pure unary functions used when a param is called as a function
+const FUNCTION_POOL = [
+  { fn: x => x, label: 'x => x' },
+  { fn: x => x + 1, label: 'x => x + 1' },
+  { fn: x => x * 2, label: 'x => x * 2' },
+  { fn: x => String(x), label: 'x => String(x)' },
+  { fn: () => 0, label: '() => 0' }
+];
+
+// Generators: { generate(random, size), shrink(value) -> simpler candidates }
+const Gen = {
+  integer(min = -1000, max = 1000) {
+    return {
+      type: 'integer',
+      generate: (r, size) => {
+        if (r.next() < 0.1) return r.pick([0, 1, -1, min, max].filter(v => v >= min && v <= max));
+        const bound = Math.max(1, Math.min(max, Math.ceil(size * 10)));
+        return Math.max(min, Math.min(max, r.int(-bound, bound)));
+      },
+      shrink: v => unique([0, v < 0 ? -v : null, Math.trunc(v / 2), v - Math.sign(v)])
+        .filter(c => c !== null && c !== v && c >= min && c <= max && Math.abs(c) <= Math.abs(v))
+    };
+  },
+
+  number() {
+    return {
+      type: 'number',
+      generate: (r, size) => {
+        if (r.next() < 0.1) return r.pick([0, 1, -1, 0.5, -0.5]);
+        return (r.next() * 2 - 1) * size * 10;
+      },
+      shrink: v => unique([0, Math.trunc(v), v / 2])
+        .filter(c => c !== v && Math.abs(c) < Math.abs(v))
+    };
+  },
+
+  boolean() {
+    return {
+      type: 'boolean',
+      generate: r => r.next() < 0.5,
+      shrink: v => (v ? [false] : [])
+    };
+  },
+
+  string() {
+    const chars = 'abcxyz ABC019_-';
+    return {
+      type: 'string',
+      generate: (r, size) => {
+        const length = r.int(0, Math.min(20, Math.ceil(size)));
+        let s = '';
+        for (let i = 0; i < length; i++) s += r.pick(chars);
+        return s;
+      },
+      shrink: v => unique(['', v.slice(1), v.slice(0, -1), v.slice(0, Math.floor(v.length / 2))])
+        .filter(c => c.length < v.length)
+    };
+  },
+
+  array(items = Gen.integer()) {
+    return {
+      type: 'array',
+      generate: (r, size) => {
+        const length = r.int(0, Math.min(10, Math.ceil(size)));
+        return Array.from({ length }, () => items.generate(r, size));
+      },
+      shrink: v => {
+        const candidates = v.length > 0 ? [[], v.slice(1), v.slice(0, -1)] : [];
+        v.slice(0, 10).forEach((item, i) => {
+          items.shrink(item).slice(0, 2).forEach(c => {
+            candidates.push([...v.slice(0, i), c, ...v.slice(i + 1)]);
+          });
+        });
+        return candidates;
+      }
+    };
+  },
+
+  object(values = Gen.any(1)) {
+    const keys = ['a', 'b', 'c', 'x', 'y', 'value'];
+    return {
+      type: 'object',
+      generate: (r, size) => {
+        const obj = {};
+        const count = r.int(0, Math.min(keys.length, Math.ceil(size / 2)));
+        for (let i = 0; i < count; i++) obj[r.pick(keys)] = values.generate(r, size);
+        return obj;
+      },
+      shrink: v => {
+        const entries = Object.entries(v);
+        const candidates = entries.length > 0 ? [{}] : [];
+        entries.forEach(([key]) => {
+          const { [key]: _, ...rest } = v;
+          candidates.push(rest);
+        });
+        return candidates;
+      }
+    };
+  },
+
+  func() {
+    return {
+      type: 'function',
+      generate: r => labelled(r.pick(FUNCTION_POOL)),
+      shrink: v => (v.label === 'x => x' ? [] : [labelled(FUNCTION_POOL[0])])
+    };
+  },
+
+  // Typed values half the time, any value otherwise - for params whose type is only a guess
+  widen(typed) {
+    const any = Gen.any();
+    return {
+      type: `${typed.type}|any`,
+      generate: (r, size) => (r.next() < 0.5 ? typed : any).generate(r, size),
+      shrink: v => any.shrink(v)
+    };
+  },
+
+  any(depth = 2) {
+    const leaves = [Gen.integer(), Gen.number(), Gen.string(), Gen.boolean(), constant(null), constant(undefined)];
+    const nested = depth > 0 ? [Gen.array(Gen.any(depth - 1)), Gen.object(Gen.any(depth - 1))] : [];
+    const all = [...leaves, ...nested];
+    const byType = value => {
+      if (Array.isArray(value)) return nested[0];
+      if (typeof value === 'number') return Number.isInteger(value) ? leaves[0] : leaves[1];
+      if (typeof value === 'string') return leaves[2];
+      if (typeof value === 'boolean') return leaves[3];
+      if (value && typeof value === 'object') return nested[1];
+      return null;
+    };
+    return {
+      type: 'any',
+      generate: (r, size) => r.pick(all).generate(r, size),
+      shrink: v => byType(v)?.shrink(v) || []
+    };
+  }
+};
+
+function constant(value) {
+  return { type: 'constant', generate: () => value, shrink: () => [] };
+}
+
+function labelled({ fn, label }) {
+  const wrapper = x => fn(x);
+  wrapper.label = label;
+  wrapper.toJSON = () => label;
+  return wrapper;
+}
+
+// Turn a spec ('integer', { type: 'array', items: 'string' }, ...) into a generator
+function toGen(spec) {
+  if (spec && typeof spec.generate === 'function') return spec;
+  const type = typeof spec === 'string' ? spec : spec?.type;
+
+  switch (type) {
+    case 'integer': return Gen.integer(spec.min, spec.max);
+    case 'number': return Gen.number();
+    case 'boolean': return Gen.boolean();
+    case 'string': return Gen.string();
+    case 'array': return Gen.array(spec.items ? toGen(spec.items) : Gen.integer());
+    case 'object': return Gen.object();
+    case 'function': return Gen.func();
+    case 'any':
+    case undefined: return Gen.any();
+    default: throw new Error(`Unknown generator type: ${type}`);
+  }
+}
+
+const NUMERIC_OPS = ['-', '*', '/', '%', '**', '<', '>', '<=', '>=', '<<', '>>', '>>>', '&', '|', '^'];
+const TYPE_RANK = { any: 0, number: 1, string: 2, object: 3, array: 4, function: 5 };
+
+// Guess param types from how params are used in the body
+function inferParamTypes(fnNode) {
+  const params = fnNode.params || [];
+  const types = params.map(p => (p.type === 'RestElement' ? 'array' : 'any'));
+  const index = new Map();
+  params.forEach((p, i) => { if (p.type === 'Identifier') index.set(p.name, i); });
+
+  const hint = (node, type) => {
+    if (node?.type !== 'Identifier' || !index.has(node.name)) return;
+    const i = index.get(node.name);
+    if (TYPE_RANK[type] > TYPE_RANK[types[i]]) types[i] = type;
+  };
+
+  const visit = node => {
+    if (!node || typeof node !== 'object') return;
+    if (Array.isArray(node)) return node.forEach(visit);
+
+    switch (node.type) {
+      case 'BinaryExpression':
+        if (NUMERIC_OPS.includes(node.operator)) {
+          hint(node.left, 'number');
+          hint(node.right, 'number');
+        } else if (node.operator === '+') {
+          const stringy = [node.left, node.right].some(n => n.type === 'Literal' && typeof n.value === 'string');
+          hint(node.left, stringy ? 'string' : 'number');
+          hint(node.right, stringy ? 'string' : 'number');
+        }
+        break;
+      case 'UnaryExpression':
+        if (['-', '+', '~'].includes(node.operator)) hint(node.argument, 'number');
+        break;
+      case 'MemberExpression':
+        if (node.computed || node.property.name === 'length') hint(node.object, 'array');
+        else hint(node.object, 'object');
+        break;
+      case 'CallExpression':
+        hint(node.callee, 'function');
+        break;
+    }
+
+    for (const key in node) {
+      if (key !== 'type' && node[key] && typeof node[key] === 'object') visit(node[key]);
+    }
+  };
+
+  visit(fnNode.body);
+  return types;
+}
+
+class PropertyTester {
+  constructor(options = {}) {
+    this.hasher = options.hasher || new SimpleSemanticHasher();
+    this.runs = options.runs || DEFAULT_RUNS;
+    this.maxTime = options.maxTime || DEFAULT_MAX_TIME;
+  }
+
+  // Run built-in + user properties against a sandboxed function
+  // sandbox: FunctionSandbox (or anything with call(...args) and arity)
+  run(sandbox, code, options = {}) {
+    const start = performance.now();
+    const seed = (options.seed ?? 1) >>> 0;
+    const runs = options.runs || this.runs;
+    const deadline = start + (options.maxTime || this.maxTime);
+
+    const { fnNode, signature } = this.analyze(code);
+    const argTypes = options.args || (fnNode ? inferParamTypes(fnNode) : []);
+    const arity = argTypes.length || sandbox.arity || 0;
+    const gens = Array.from({ length: arity }, (_, i) => toGen(argTypes[i]));
+
+    const call = (...args) => sandbox.call(...args);
+    const properties = [
+      ...this.builtinProperties(call, gens, signature),
+      ...(options.properties || []).map(p => ({
+        name: p.name || 'user',
+        required: true,
+        gens: p.args ? p.args.map(toGen) : gens,
+        check: args => p.predicate(call, ...args)
+      }))
+    ];
+
+    const results = properties.map((property, i) =>
+      this.checkProperty(property, new Random(seed + i), runs, deadline)
+    );
+
+    // A required property cut short by the deadline proves nothing
+    const failed = results.find(r => r.required && r.status === 'failed');
+    const inconclusive = results.some(r => r.required && r.status === 'inconclusive');
+
+    return {
+      valid: !failed && !inconclusive,
+      status: failed ? 'failed' : inconclusive ? 'inconclusive' : 'valid',
+      type: 'property-test',
+      seed,
+      runs: Math.min(...results.filter(r => r.required).map(r => r.runs)),
+      argTypes: gens.map(g => g.type),
+      properties: results,
+      counterexample: failed ? failed.counterexample : null,
+      exhausted: results.some(r => r.exhausted),
+      timeUsed: performance.now() - start
+    };
+  }
+
+  // Differential testing: search for inputs where two functions disagree
+  differential(sandboxA, codeA, sandboxB, codeB, options = {}) {
+    const start = performance.now();
+    const seed = (options.seed ?? 1) >>> 0;
+    const runs = options.runs || this.runs;
+    const deadline = start + (options.maxTime || this.maxTime);
+
+    const [a, b] = [codeA, codeB].map(code => {
+      const { fnNode } = this.analyze(code);
+      return fnNode ? { types: inferParamTypes(fnNode), plus: plusOperands(fnNode) } : { types: [], plus: new Set() };
+    });
+    const argTypes = options.args || mergeTypes(a.types, b.types);
+    const arity = argTypes.length || Math.max(sandboxA.arity || 0, sandboxB.arity || 0);
+
+    // Inferred types are guesses: where the two disagree or a param feeds a
+    // `+` (numbers or strings), test other types too
+    const gens = Array.from({ length: arity }, (_, i) => {
+      const gen = toGen(argTypes[i]);
+      if (options.args || gen.type === 'any') return gen;
+      const guessed = (a.types[i] || 'any') !== (b.types[i] || 'any') || a.plus.has(i) || b.plus.has(i);
+      return guessed ? Gen.widen(gen) : gen;
+    });
+
+    const outcomes = args => [outcome(sandboxA, args), outcome(sandboxB, args)];
+    const property = {
+      name: 'agreement',
+      required: true,
+      gens,
+      check: args => sameOutcome(...outcomes(args))
+    };
+
+    const result = this.checkProperty(property, new Random(seed), runs, deadline);
+    const witness = result.counterexample
+      ? { args: result.counterexample.args, results: outcomes(result.counterexample.args) }
+      : null;
+
+    return {
+      agreed: !witness,
+      seed,
+      runs: result.runs,
+      argTypes: gens.map(g => g.type),
+      witness,
+      exhausted: Boolean(result.exhausted),
+      timeUsed: performance.now() - start
+    };
+  }
+
+  analyze(code) {
+    try {
+      const ast = acorn.parse(code, { ecmaVersion: 2020, sourceType: 'module' });
+      const fnNode = this.hasher.extractFunctionBody(ast);
+      const signature = fnNode ? this.hasher.extractSignature(this.hasher.normalizeVariables(fnNode)) : null;
+      return { fnNode, signature };
+    } catch (e) {
+      return { fnNode: null, signature: null };
+    }
+  }
+
+  // Determinism + totality always; algebraic laws when the signature suggests them
+  builtinProperties(call, gens, signature) {
+    const properties = [
+      {
+        name: 'determinism',
+        required: true,
+        gens,
+        check: args => sameValue(call(...args), call(...args))
+      },
+      {
+        name: 'totality',
+        required: true,
+        gens,
+        check: args => { call(...args); return true; }
+      }
+    ];
+
+    const ops = signature?.operations || [];
+    const single = ops.length === 1 && ops[0].type === 'binary' ? ops[0].op : null;
+
+    if (gens.length === 2 && single && this.hasher.isCommutative(single)) {
+      properties.push({
+        name: 'commutativity',
+        required: false,
+        gens,
+        check: ([a, b]) => sameValue(call(a, b), call(b, a))
+      });
+    }
+
+    if (gens.length === 2 && single && ['+', '*', '&', '|', '^'].includes(single)) {
+      // Integers only - float addition is not associative
+      const ints = [Gen.integer(), Gen.integer(), Gen.integer()];
+      properties.push({
+        name: 'associativity',
+        required: false,
+        gens: ints,
+        check: ([a, b, c]) => sameValue(call(call(a, b), c), call(a, call(b, c)))
+      });
+    }
+
+    if (gens.length === 1) {
+      properties.push({
+        name: 'idempotence',
+        required: false,
+        gens,
+        check: ([x]) => sameValue(call(call(x)), call(x))
+      });
+    }
+
+    return properties;
+  }
+
+  checkProperty(property, random, runs, deadline) {
+    let run = 0;
+
+    for (; run < runs; run++) {
+      if (performance.now() > deadline) {
+        return { name: property.name, required: property.required, status: 'inconclusive', runs: run, exhausted: true };
+      }
+
+      const size = 1 + (run * 10) / runs;
+      const args = property.gens.map(g => g.generate(random, size));
+      const failure = this.attempt(property, args);
+
+      if (failure) {
+        const shrunk = this.shrink(property, args, failure);
+        return {
+          name: property.name,
+          required: property.required,
+          status: 'failed',
+          runs: run + 1,
+          counterexample: {
+            property: property.name,
+            args: shrunk.args,
+            original: args,
+            shrinks: shrunk.steps,
+            ...shrunk.failure
+          }
+        };
+      }
+    }
+
+    return { name: property.name, required: property.required, status: 'passed', runs: run };
+  }
+
+  // null if the property holds for args, else { error } / { result: false }
+  attempt(property, args) {
+    try {
+      return property.check(args) ? null : { result: false };
+    } catch (e) {
+      return { error: isTimeout(e) ? 'timeout' : `${e.name || 'Error'}: ${e.message}` };
+    }
+  }
+
+  // Greedy shrink: take the first simpler candidate that still fails, repeat
+  shrink(property, args, failure) {
+    let current = args;
+    let currentFailure = failure;
+    let steps = 0;
+
+    outer:
+    while (steps < MAX_SHRINKS) {
+      for (let i = 0; i < current.length; i++) {
+        for (const candidate of property.gens[i].shrink(current[i])) {
+          const next = [...current.slice(0, i), candidate, ...current.slice(i + 1)];
+          const nextFailure = this.attempt(property, next);
+          steps++;
+          if (nextFailure) {
+            current = next;
+            currentFailure = nextFailure;
+            continue outer;
+          }
+          if (steps >= MAX_SHRINKS) break outer;
+        }
+      }
+      break;
+    }
+
+    return { args: current, failure: currentFailure, steps };
+  }
+}
+
+// Structural equality across vm realms (Object.is for primitives, NaN === NaN)
+function sameValue(a, b) {
+  if (Object.is(a, b)) return true;
+  if (typeof a === 'function' && typeof b === 'function') return true;
+  if (typeof a !== 'object' || typeof b !== 'object' || !a || !b) return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  if (keysA.length !== keysB.length) return false;
+  return keysA.every(key => sameValue(a[key], b[key]));
+}
+
+// Indexes of params used directly as an operand of `+`, which adds or
+// concatenates depending on its operands
+function plusOperands(fnNode) {
+  const index = new Map();
+  (fnNode.params || []).forEach((p, i) => { if (p.type === 'Identifier') index.set(p.name, i); });
+
+  const found = new Set();
+  const visit = node => {
+    if (!node || typeof node !== 'object') return;
+    if (Array.isArray(node)) return node.forEach(visit);
+    if (node.type === 'BinaryExpression' && node.operator === '+') {
+      for (const operand of [node.left, node.right]) {
+        if (operand.type === 'Identifier' && index.has(operand.name)) found.add(index.get(operand.name));
+      }
+    }
+    for (const key in node) {
+      if (key !== 'type' && node[key] && typeof node[key] === 'object') visit(node[key]);
+    }
+  };
+  visit(fnNode.body);
+  return found;
+}
+
+// Most specific type per param position
+function mergeTypes(a, b) {
+  return Array.from({ length: Math.max(a.length, b.length) }, (_, i) => {
+    const x = a[i] || 'any';
+    const y = b[i] || 'any';
+    return TYPE_RANK[x] >= TYPE_RANK[y] ? x : y;
+  });
+}
+
+function outcome(sandbox, args) {
+  try {
+    return { value: sandbox.call(...args) };
+  } catch (e) {
+    return { error: isTimeout(e) ? 'timeout' : (e.name || 'Error') };
+  }
+}
+
+function sameOutcome(a, b) {
+  if ('error' in a || 'error' in b) return a.error === b.error;
+  return sameValue(a.value, b.value);
+}
+
+function unique(values) {
+  const seen = [];
+  for (const v of values) {
+    if (!seen.some(s => Object.is(s, v))) seen.push(v);
+  }
+  return seen;
+}
+
+// Export for use
+export { PropertyTester, Random, Gen, toGen, inferParamTypes, sameValue };
\ No newline at end of file
@@ -0,0 +1,243 @@
+#!/usr/bin/env node
+
+// Provenance - Ed25519-signed function entries and a trust store of accepted keys
+// The signature covers the entry's identity (hash, source, wasm, deps, compose, created)
+
+import fs from 'fs';
+import crypto from 'crypto';
+import { blake3Hex } from './blake3.js';
+import { HASHER_VERSION } from './simple-semantic-hash.js';
+
+const SIGNATURE_ALGORITHM = 'ed25519';
+
+// Mutable fields (perf, proofs, ctc, annotations) change after registration
+// and are deliberately left unsigned
+const SIGNED_FIELDS = ['hash', 'source', 'wasm', 'created', 'deps', 'compose'];
+
+// off: skip checks; flag: record and report; reject: drop/refuse anything not trusted
+const POLICIES = ['off', 'flag', 'reject'];
+
+const TOOLCHAIN = {
+  irl: JSON.parse(fs.readFileSync(new URL('./package.json', import.meta.url), 'utf8')).version,
+  hasher: HASHER_VERSION,
+  node: process.version
+};
+
+function provenanceError(code, message, fields = {}) {
+  const error = new Error(message);
+  error.code = code;
+  return Object.assign(error, fields);
+}
+
+// Key-sorted JSON - the same entry always signs the same bytes
+function canonicalJSON(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJSON).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function toPublicKey(key) {
+  let publicKey;
+  try {
+    publicKey = key instanceof crypto.KeyObject
+      ? (key.type === 'public' ? key : crypto.createPublicKey(key))
+      : crypto.createPublicKey(key);
+  } catch (e) {
+    throw provenanceError('ERR_IRL_PROVENANCE_KEY', `Invalid public key: ${e.message}`);
+  }
+  if (publicKey.asymmetricKeyType !== SIGNATURE_ALGORITHM) {
+    throw provenanceError('ERR_IRL_PROVENANCE_KEY', `Expected an ${SIGNATURE_ALGORITHM} key, got ${publicKey.asymmetricKeyType}`);
+  }
+  return publicKey;
+}
+
+function toPrivateKey(key) {
+  let privateKey;
+  try {
+    privateKey = key instanceof crypto.KeyObject ? key : crypto.createPrivateKey(key);
+  } catch (e) {
+    throw provenanceError('ERR_IRL_PROVENANCE_KEY', `Invalid private key: ${e.message}`);
+  }
+  if (privateKey.type !== 'private' || privateKey.asymmetricKeyType !== SIGNATURE_ALGORITHM) {
+    throw provenanceError('ERR_IRL_PROVENANCE_KEY', `Expected an ${SIGNATURE_ALGORITHM} private key`);
+  }
+  return privateKey;
+}
+
+// 'ed25519:' + 16 hex of BLAKE3(raw public key)
+function keyIdFor(key) {
+  const raw = Buffer.from(toPublicKey(key).export({ format: 'jwk' }).x, 'base64url');
+  return `${SIGNATURE_ALGORITHM}:${blake3Hex(raw).slice(0, 16)}`;
+}
+
+// New signing key as PEM strings
+function generateSigningKey() {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync(SIGNATURE_ALGORITHM);
+  return {
+    keyId: keyIdFor(publicKey),
+    publicKey: publicKey.export({ type: 'spki', format: 'pem' }),
+    privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' })
+  };
+}
+
+// Bytes covered by the signature: signed entry fields + provenance without the signature
+function signingPayload(entry, provenance) {
+  const { signature, ...meta } = provenance;
+  const fields = Object.fromEntries(SIGNED_FIELDS.map(field => [field, entry[field]]));
+  return Buffer.from(canonicalJSON({ entry: fields, provenance: meta }));
+}
+
+// Holds a private key; sign(entry) returns the entry's provenance block
+class Signer {
+  constructor(privateKey, options = {}) {
+    this.privateKey = toPrivateKey(privateKey);
+    this.publicKey = crypto.createPublicKey(this.privateKey);
+    this.keyId = keyIdFor(this.publicKey);
+    this.toolchain = { ...TOOLCHAIN, ...options.toolchain };
+  }
+
+  static readFile(file) {
+    try {
+      return new Signer(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+      if (e.code?.startsWith('ERR_IRL')) throw e;
+      throw provenanceError('ERR_IRL_PROVENANCE_KEY', `Cannot read signing key ${file}: ${e.message}`);
+    }
+  }
+
+  sign(entry, options = {}) {
+    const provenance = {
+      keyId: this.keyId,
+      algorithm: SIGNATURE_ALGORITHM,
+      signedAt: options.at || new Date().toISOString(),
+      toolchain: this.toolchain
+    };
+    provenance.signature = crypto.sign(null, signingPayload(entry, provenance), this.privateKey).toString('base64');
+    return provenance;
+  }
+}
+
+// Accepted public keys by key id. File format: { keys: { keyId: { publicKey, name, added } } }
+class TrustStore {
+  constructor(options = {}) {
+    this.keys = new Map();   // keyId -> { publicKey: KeyObject, name, added }
+    this.file = options.file || null;
+    if (this.file && fs.existsSync(this.file)) this.load(TrustStore.readFile(this.file));
+    if (options.keys) this.load(options.keys);
+  }
+
+  static readFile(file) {
+    let doc;
+    try {
+      doc = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+      throw provenanceError('ERR_IRL_PROVENANCE_KEY', `Cannot read trust store ${file}: ${e.message}`);
+    }
+    return doc.keys || doc;
+  }
+
+  load(keys) {
+    for (const [keyId, key] of Object.entries(keys)) {
+      const added = this.add(key.publicKey, { name: key.name, added: key.added });
+      if (added !== keyId) {
+        throw provenanceError('ERR_IRL_PROVENANCE_KEY', `Trust store key ${keyId} does not match its public key (${added})`);
+      }
+    }
+  }
+
+  // Trust a public key (PEM or KeyObject); returns its key id
+  add(publicKey, options = {}) {
+    const key = toPublicKey(publicKey);
+    const keyId = keyIdFor(key);
+    if (!this.keys.has(keyId)) {
+      this.keys.set(keyId, { publicKey: key, name: options.name || null, added: options.added || new Date().toISOString() });
+    }
+    return keyId;
+  }
+
+  remove(keyId) {
+    return this.keys.delete(keyId);
+  }
+
+  has(keyId) {
+    return this.keys.has(keyId);
+  }
+
+  get(keyId) {
+    return this.keys.get(keyId)?.publicKey || null;
+  }
+
+  list() {
+    return [...this.keys].map(([keyId, { name, added }]) => ({ keyId, name, added }));
+  }
+
+  toJSON() {
+    return {
+      keys: Object.fromEntries([...this.keys].map(([keyId, { publicKey, name, added }]) => [keyId, {
+        publicKey: publicKey.export({ type: 'spki', format: 'pem' }),
+        ...(name ? { name } : {}),
+        added
+      }]))
+    };
+  }
+
+  save(file = this.file) {
+    if (!file) throw provenanceError('ERR_IRL_PROVENANCE_KEY', 'No trust store path');
+    fs.writeFileSync(file, JSON.stringify(this.toJSON(), null, 2));
+  }
+}
+
+// { status: 'trusted' | 'unsigned' | 'untrusted' | 'invalid', keyId, reason }.
+// 'invalid' means the signature does not match the content (tampering) or is malformed
+function verifyProvenance(entry, trust) {
+  const provenance = entry?.provenance;
+  if (!provenance) return { status: 'unsigned', keyId: null, reason: 'no provenance block' };
+
+  const { keyId, algorithm, signature } = provenance;
+  if (algorithm !== SIGNATURE_ALGORITHM || typeof signature !== 'string') {
+    return { status: 'invalid', keyId: keyId ?? null, reason: `unsupported signature ${algorithm}` };
+  }
+
+  const publicKey = trust?.get(keyId);
+  if (!publicKey) return { status: 'untrusted', keyId, reason: `key ${keyId} is not in the trust store` };
+
+  let valid = false;
+  try {
+    valid = crypto.verify(null, signingPayload(entry, provenance), publicKey, Buffer.from(signature, 'base64'));
+  } catch (e) {
+    return { status: 'invalid', keyId, reason: e.message };
+  }
+  return valid
+    ? { status: 'trusted', keyId, reason: null }
+    : { status: 'invalid', keyId, reason: 'signature does not match entry content' };
+}
+
+// Export for use
+export {
+  Signer, TrustStore, verifyProvenance, generateSigningKey, keyIdFor, canonicalJSON,
+  SIGNATURE_ALGORITHM, SIGNED_FIELDS, POLICIES, TOOLCHAIN
+};
+
+// CLI interface: node provenance.js [--keygen]
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const key = generateSigningKey();
+  if (process.argv[2] === '--keygen') {
+    console.log(key.privateKey + key.publicKey.trimEnd());
+  } else {
+    const trust = new TrustStore();
+    trust.add(key.publicKey, { name: 'demo' });
+    const signer = new Signer(key.privateKey);
+
+    const entry = { hash: '1e05-717b2e13-717b-3008', source: 'x => x + 1', wasm: '', created: new Date().toISOString() };
+    entry.provenance = signer.sign(entry);
+    console.log('Provenance:', entry.provenance);
+    console.log('\nSigned:', verifyProvenance(entry, trust).status);
+    console.log('Unknown key:', verifyProvenance(entry, new TrustStore()).status);
+    console.log('Tampered:', verifyProvenance({ ...entry, source: 'x => x + 2' }, trust).status);
+    console.log('Unsigned:', verifyProvenance({ ...entry, provenance: undefined }, trust).status);
+  }
+}
\ No newline at end of file
@@ -0,0 +1,185 @@
+#!/usr/bin/env node
+
+// Registry Store - Atomic on-disk persistence for irl-schema.json documents
+// Write to temp file, fsync, rename. Previous good copy kept as .bak for recovery.
+
+import fs from 'fs/promises';
+import path from 'path';
+import { HASH_PATTERN } from './hash-format.js';
+
+const STORE_VERSION = '1.0.0';
+
+class RegistryStore {
+  constructor(filePath, options = {}) {
+    this.path = path.resolve(filePath);
+    this.backupPath = this.path + '.bak';
+    this.fsync = options.fsync !== false;
+    this.keepBackup = options.keepBackup !== false;
+
+    // Serialize writes - concurrent saves must not interleave renames
+    this.writing = Promise.resolve();
+
+    this.stats = {
+      writes: 0,
+      reads: 0,
+      recoveries: 0,
+      lastWriteTime: 0
+    };
+  }
+
+  // Atomically replace the registry file with a new document
+  write(doc) {
+    const run = this.writing.then(() => this._write(doc));
+    // Keep the chain alive even if one write fails
+    this.writing = run.catch(() => {});
+    return run;
+  }
+
+  async _write(doc, backup = this.keepBackup) {
+    const start = Date.now();
+    const dir = path.dirname(this.path);
+    const tmpPath = `${this.path}.${process.pid}.${Date.now()}.tmp`;
+    const data = JSON.stringify(doc, null, 2);
+
+    await fs.mkdir(dir, { recursive: true });
+
+    const handle = await fs.open(tmpPath, 'w');
+    try {
+      await handle.writeFile(data, 'utf8');
+      if (this.fsync) await handle.sync();
+    } finally {
+      await handle.close();
+    }
+
+    try {
+      // Keep last good copy - used if the main file is ever torn
+      if (backup && await exists(this.path)) {
+        await fs.copyFile(this.path, this.backupPath);
+      }
+      await fs.rename(tmpPath, this.path);
+    } catch (e) {
+      await fs.unlink(tmpPath).catch(() => {});
+      throw e;
+    }
+
+    if (this.fsync) await syncDir(dir);
+
+    this.stats.writes++;
+    this.stats.lastWriteTime = Date.now() - start;
+    return this.path;
+  }
+
+  // Read the registry document, falling back to backup / leftover temp files
+  async read() {
+    this.stats.reads++;
+
+    const candidates = [this.path, this.backupPath, ...await this.tempFiles()];
+    const errors = [];
+
+    for (const candidate of candidates) {
+      if (!await exists(candidate)) continue;
+
+      try {
+        const doc = JSON.parse(await fs.readFile(candidate, 'utf8'));
+        if (!doc || typeof doc !== 'object' || Array.isArray(doc)) {
+          throw new Error('Document is not an object');
+        }
+
+        if (candidate !== this.path) {
+          // Recovered from a fallback - restore it as the main file,
+          // without backing up the broken one over the good copy
+          this.stats.recoveries++;
+          await this._write(doc, false);
+        }
+
+        await this.cleanTempFiles();
+        return doc;
+      } catch (e) {
+        errors.push(`${path.basename(candidate)}: ${e.message}`);
+      }
+    }
+
+    if (errors.length > 0) {
+      throw new Error(`Registry file unreadable (${errors.join('; ')})`);
+    }
+
+    return null;
+  }
+
+  // Temp files left behind by a crash mid-write, newest first
+  async tempFiles() {
+    const dir = path.dirname(this.path);
+    const prefix = path.basename(this.path) + '.';
+
+    let names;
+    try {
+      names = await fs.readdir(dir);
+    } catch (e) {
+      return [];
+    }
+
+    return names
+      .filter(name => name.startsWith(prefix) && name.endsWith('.tmp'))
+      .map(name => path.join(dir, name))
+      .sort()
+      .reverse();
+  }
+
+  async cleanTempFiles() {
+    for (const file of await this.tempFiles()) {
+      await fs.unlink(file).catch(() => {});
+    }
+  }
+
+  getStats() {
+    return { ...this.stats, path: this.path };
+  }
+}
+
+async function exists(file) {
+  try {
+    await fs.access(file);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+async function syncDir(dir) {
+  // Not supported on every platform (e.g. Windows) - best effort
+  let handle;
+  try {
+    handle = await fs.open(dir, 'r');
+    await handle.sync();
+  } catch (e) {
+    // ignore
+  } finally {
+    await handle?.close();
+  }
+}
+
+// Export for use
+export { RegistryStore, STORE_VERSION, HASH_PATTERN };
+
+// CLI interface - inspect a registry file
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const file = process.argv[2] || 'registry.json';
+  const store = new RegistryStore(file);
+
+  store.read().then(doc => {
+    if (!doc) {
+      console.log(`No registry at ${store.path}`);
+      return;
+    }
+
+    console.log(`Registry: ${store.path}`);
+    console.log(`  Version: ${doc.version}`);
+    console.log(`  Functions: ${Object.keys(doc.registry || {}).length}`);
+    console.log(`  Sieve: ${doc.index?.sieve?.length || 0}`);
+    console.log(`  Negative: ${doc.index?.negative?.length || 0}`);
+    if (doc.metrics) console.log('  Metrics:', doc.metrics);
+  }).catch(e => {
+    console.error(e.message);
+    process.exit(1);
+  });
+}
\ No newline at end of file
@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+
+// Function Sandbox - Runs registered JS source in its own vm context
+// Every call goes through a vm script so the timeout covers the whole call
+
+import vm from 'vm';
+import * as acorn from 'acorn';
+
+const DEFAULT_CALL_TIMEOUT = 10; // ms per call
+const DEFAULT_SETUP_TIMEOUT = 100; // ms - the first script in a fresh context also boots it
+
+// node:vm is NOT a security boundary: it separates globals, not privileges.
+// Source can reach the host realm (this.constructor.constructor('return process')())
+// and everything Node can do - only run source you trust
+class FunctionSandbox {
+  constructor(code, options = {}) {
+    this.code = code;
+    this.timeout = options.timeout ?? DEFAULT_CALL_TIMEOUT;
+
+    // Deps are exposed as globals under their dependency names
+    this.context = vm.createContext({ ...options.globals });
+
+    const { expression, name } = locateFunction(code);
+    const source = expression
+      ? `__fn = (${code});`
+      : `${code}\n;__fn = ${name};`;
+
+    new vm.Script(source, { filename: options.filename || 'irl-function.js' })
+      .runInContext(this.context, { timeout: options.setupTimeout ?? DEFAULT_SETUP_TIMEOUT });
+
+    if (typeof this.context.__fn !== 'function') {
+      throw new Error('Source does not evaluate to a function');
+    }
+
+    this.fn = this.context.__fn;
+    this.arity = this.fn.length;
+    this.callScript = new vm.Script('__result = __fn.apply(undefined, __args);');
+  }
+
+  // Call with a hard timeout; throws the function's own error or a timeout error
+  call(...args) {
+    this.context.__args = args;
+    try {
+      this.callScript.runInContext(this.context, { timeout: this.timeout });
+      return this.context.__result;
+    } finally {
+      this.context.__args = undefined;
+      this.context.__result = undefined;
+    }
+  }
+}
+
+// Find the function in source: a bare expression, or a named declaration
+function locateFunction(code) {
+  const ast = acorn.parse(code, { ecmaVersion: 2020, sourceType: 'module' });
+  const first = ast.body[0];
+
+  if (!first) throw new Error('Empty source');
+
+  if (first.type === 'ExpressionStatement' && ast.body.length === 1) {
+    return { expression: true };
+  }
+
+  if (first.type === 'FunctionDeclaration' && first.id) {
+    return { expression: false, name: first.id.name };
+  }
+
+  if (first.type === 'VariableDeclaration') {
+    const decl = first.declarations[0];
+    if (decl?.id.type === 'Identifier' && decl.init) {
+      return { expression: false, name: decl.id.name };
+    }
+  }
+
+  throw new Error('No function found in code');
+}
+
+function isTimeout(error) {
+  return error?.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT';
+}
+
+// Export for use
+export { FunctionSandbox, locateFunction, isTimeout, DEFAULT_CALL_TIMEOUT };
\ No newline at end of file
@@ -0,0 +1,361 @@
+#!/usr/bin/env node
+
+// Schema Validator - Minimal JSON Schema draft-07 validator
+// No dependencies, local $refs only, errors reported as JSON pointers
+
+import fs from 'fs';
+
+const IRL_SCHEMA = JSON.parse(
+  fs.readFileSync(new URL('./irl-schema.json', import.meta.url), 'utf8')
+);
+
+const FORMATS = {
+  'date-time': s => /^\d{4}-\d{2}-\d{2}[Tt ]\d{2}:\d{2}:\d{2}(\.\d+)?([Zz]|[+-]\d{2}:\d{2})$/.test(s) &&
+    !isNaN(Date.parse(s)),
+  'date': s => /^\d{4}-\d{2}-\d{2}$/.test(s) && !isNaN(Date.parse(s)),
+  'base64': s => s.length % 4 === 0 && /^[A-Za-z0-9+/]*={0,2}$/.test(s),
+  'uri': s => /^[a-zA-Z][a-zA-Z0-9+.-]*:[^\s]*$/.test(s),
+  'email': s => /^[^\s@]+@[^\s@]+$/.test(s),
+  'regex': s => {
+    try { new RegExp(s); return true; } catch (e) { return false; }
+  }
+};
+
+class SchemaValidationError extends Error {
+  constructor(errors, context = 'value') {
+    const first = errors[0];
+    super(`Invalid ${context}: ${first.path || '/'} ${first.message}` +
+      (errors.length > 1 ? ` (+${errors.length - 1} more)` : ''));
+    this.name = 'SchemaValidationError';
+    this.errors = errors;
+  }
+}
+
+class SchemaValidator {
+  constructor(schema = IRL_SCHEMA, options = {}) {
+    this.root = schema;
+    this.maxErrors = options.maxErrors || 20;
+    this.formats = { ...FORMATS, ...options.formats };
+    this.refCache = new Map();
+    this.patternCache = new Map();
+  }
+
+  // Validate value against the root schema or a $ref like '#/definitions/functionEntry'
+  validate(value, ref = '#') {
+    const schema = this.resolveRef(ref);
+    const errors = [];
+    this.check(value, schema, '', errors);
+    return { valid: errors.length === 0, errors };
+  }
+
+  // Validate and throw SchemaValidationError on failure
+  assert(value, ref = '#', context) {
+    const result = this.validate(value, ref);
+    if (!result.valid) {
+      throw new SchemaValidationError(result.errors, context || ref.split('/').pop());
+    }
+    return value;
+  }
+
+  validateEntry(entry) {
+    return this.validate(entry, '#/definitions/functionEntry');
+  }
+
+  resolveRef(ref) {
+    if (this.refCache.has(ref)) return this.refCache.get(ref);
+    if (!ref.startsWith('#')) {
+      throw new Error(`Unsupported $ref (local only): ${ref}`);
+    }
+
+    let node = this.root;
+    const parts = ref.slice(1).split('/').filter(Boolean);
+    for (const part of parts) {
+      const key = decodeURIComponent(part).replace(/~1/g, '/').replace(/~0/g, '~');
+      if (node === undefined || node === null) break;
+      node = node[key];
+    }
+
+    if (node === undefined) throw new Error(`Unresolvable $ref: ${ref}`);
+    this.refCache.set(ref, node);
+    return node;
+  }
+
+  check(value, schema, path, errors) {
+    if (errors.length >= this.maxErrors) return;
+
+    // Boolean schemas
+    if (schema === true) return;
+    if (schema === false) {
+      this.fail(errors, path, 'false schema', 'is not allowed');
+      return;
+    }
+
+    // draft-07: $ref overrides sibling keywords
+    if (schema.$ref) {
+      this.check(value, this.resolveRef(schema.$ref), path, errors);
+      return;
+    }
+
+    if (schema.type !== undefined && !this.checkType(value, schema.type)) {
+      const types = [].concat(schema.type).join(' | ');
+      this.fail(errors, path, 'type', `must be ${types}, got ${typeOf(value)}`);
+      return;
+    }
+
+    if (schema.const !== undefined && !deepEqual(value, schema.const)) {
+      this.fail(errors, path, 'const', `must equal ${JSON.stringify(schema.const)}`);
+    }
+
+    if (schema.enum && !schema.enum.some(v => deepEqual(v, value))) {
+      this.fail(errors, path, 'enum',
+        `must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}, got ${JSON.stringify(value)}`);
+    }
+
+    if (typeof value === 'number') this.checkNumber(value, schema, path, errors);
+    if (typeof value === 'string') this.checkString(value, schema, path, errors);
+    if (Array.isArray(value)) this.checkArray(value, schema, path, errors);
+    if (typeOf(value) === 'object') this.checkObject(value, schema, path, errors);
+
+    this.checkCombinators(value, schema, path, errors);
+  }
+
+  checkType(value, type) {
+    const actual = typeOf(value);
+    return [].concat(type).some(t =>
+      t === actual ||
+      (t === 'number' && actual === 'integer')
+    );
+  }
+
+  checkNumber(value, schema, path, errors) {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      this.fail(errors, path, 'minimum', `must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      this.fail(errors, path, 'maximum', `must be <= ${schema.maximum}`);
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      this.fail(errors, path, 'exclusiveMinimum', `must be > ${schema.exclusiveMinimum}`);
+    }
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+      this.fail(errors, path, 'exclusiveMaximum', `must be < ${schema.exclusiveMaximum}`);
+    }
+    if (schema.multipleOf !== undefined) {
+      const q = value / schema.multipleOf;
+      if (Math.abs(q - Math.round(q)) > 1e-9) {
+        this.fail(errors, path, 'multipleOf', `must be a multiple of ${schema.multipleOf}`);
+      }
+    }
+  }
+
+  checkString(value, schema, path, errors) {
+    // Length in code points, not UTF-16 units
+    const length = schema.minLength !== undefined || schema.maxLength !== undefined
+      ? [...value].length
+      : 0;
+
+    if (schema.minLength !== undefined && length < schema.minLength) {
+      this.fail(errors, path, 'minLength', `must have at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && length > schema.maxLength) {
+      this.fail(errors, path, 'maxLength', `must have at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern !== undefined && !this.regex(schema.pattern).test(value)) {
+      this.fail(errors, path, 'pattern', `must match ${schema.pattern}`);
+    }
+    if (schema.format !== undefined && this.formats[schema.format] &&
+        !this.formats[schema.format](value)) {
+      this.fail(errors, path, 'format', `must be a valid ${schema.format}`);
+    }
+  }
+
+  checkArray(value, schema, path, errors) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      this.fail(errors, path, 'minItems', `must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      this.fail(errors, path, 'maxItems', `must have at most ${schema.maxItems} items`);
+    }
+    if (schema.uniqueItems) {
+      for (let i = 0; i < value.length; i++) {
+        for (let j = i + 1; j < value.length; j++) {
+          if (deepEqual(value[i], value[j])) {
+            this.fail(errors, `${path}/${j}`, 'uniqueItems', `duplicates item ${i}`);
+          }
+        }
+      }
+    }
+
+    if (Array.isArray(schema.items)) {
+      value.forEach((item, i) => {
+        const itemSchema = i < schema.items.length
+          ? schema.items[i]
+          : schema.additionalItems;
+        if (itemSchema !== undefined) this.check(item, itemSchema, `${path}/${i}`, errors);
+      });
+    } else if (schema.items !== undefined) {
+      value.forEach((item, i) => this.check(item, schema.items, `${path}/${i}`, errors));
+    }
+
+    if (schema.contains !== undefined &&
+        !value.some(item => this.isValid(item, schema.contains))) {
+      this.fail(errors, path, 'contains', 'must contain a matching item');
+    }
+  }
+
+  checkObject(value, schema, path, errors) {
+    const keys = Object.keys(value);
+
+    if (schema.required) {
+      for (const key of schema.required) {
+        if (!(key in value)) {
+          this.fail(errors, `${path}/${escape(key)}`, 'required', 'is required');
+        }
+      }
+    }
+    if (schema.minProperties !== undefined && keys.length < schema.minProperties) {
+      this.fail(errors, path, 'minProperties', `must have at least ${schema.minProperties} properties`);
+    }
+    if (schema.maxProperties !== undefined && keys.length > schema.maxProperties) {
+      this.fail(errors, path, 'maxProperties',
+        `must have at most ${schema.maxProperties} properties, got ${keys.length}`);
+    }
+
+    const properties = schema.properties || {};
+    const patterns = Object.keys(schema.patternProperties || {});
+
+    for (const key of keys) {
+      const childPath = `${path}/${escape(key)}`;
+      let matched = false;
+
+      if (key in properties) {
+        matched = true;
+        this.check(value[key], properties[key], childPath, errors);
+      }
+
+      for (const pattern of patterns) {
+        if (this.regex(pattern).test(key)) {
+          matched = true;
+          this.check(value[key], schema.patternProperties[pattern], childPath, errors);
+        }
+      }
+
+      if (!matched && schema.additionalProperties !== undefined) {
+        if (schema.additionalProperties === false) {
+          this.fail(errors, childPath, 'additionalProperties', 'is not an allowed property');
+        } else {
+          this.check(value[key], schema.additionalProperties, childPath, errors);
+        }
+      }
+
+      if (schema.propertyNames !== undefined && !this.isValid(key, schema.propertyNames)) {
+        this.fail(errors, childPath, 'propertyNames', 'has an invalid property name');
+      }
+    }
+
+    for (const [key, dep] of Object.entries(schema.dependencies || {})) {
+      if (!(key in value)) continue;
+      if (Array.isArray(dep)) {
+        dep.filter(d => !(d in value)).forEach(d =>
+          this.fail(errors, `${path}/${escape(d)}`, 'dependencies', `is required when ${key} is present`));
+      } else {
+        this.check(value, dep, path, errors);
+      }
+    }
+  }
+
+  checkCombinators(value, schema, path, errors) {
+    if (schema.allOf) {
+      schema.allOf.forEach(s => this.check(value, s, path, errors));
+    }
+    if (schema.anyOf && !schema.anyOf.some(s => this.isValid(value, s))) {
+      this.fail(errors, path, 'anyOf', 'must match at least one schema in anyOf');
+    }
+    if (schema.oneOf) {
+      const matches = schema.oneOf.filter(s => this.isValid(value, s)).length;
+      if (matches !== 1) {
+        this.fail(errors, path, 'oneOf', `must match exactly one schema in oneOf, matched ${matches}`);
+      }
+    }
+    if (schema.not !== undefined && this.isValid(value, schema.not)) {
+      this.fail(errors, path, 'not', 'must not match schema in not');
+    }
+    if (schema.if !== undefined) {
+      const branch = this.isValid(value, schema.if) ? schema.then : schema.else;
+      if (branch !== undefined) this.check(value, branch, path, errors);
+    }
+  }
+
+  isValid(value, schema) {
+    const errors = [];
+    this.check(value, schema, '', errors);
+    return errors.length === 0;
+  }
+
+  regex(pattern) {
+    if (!this.patternCache.has(pattern)) {
+      this.patternCache.set(pattern, new RegExp(pattern, 'u'));
+    }
+    return this.patternCache.get(pattern);
+  }
+
+  fail(errors, path, keyword, message) {
+    if (errors.length < this.maxErrors) {
+      errors.push({ path, keyword, message });
+    }
+  }
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+function deepEqual(a, b) {
+  if (a === b) return true;
+  if (typeof a !== typeof b || a === null || b === null || typeof a !== 'object') return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  if (keysA.length !== keysB.length) return false;
+  return keysA.every(key => deepEqual(a[key], b[key]));
+}
+
+// JSON pointer escaping (RFC 6901)
+function escape(key) {
+  return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+// Shared instance for the registry schema - reports stop after 20 errors
+const irlValidator = new SchemaValidator(IRL_SCHEMA);
+
+// Same schema without the cap, for decisions that need every error
+// (which entries of a document to drop on load)
+const irlFullValidator = new SchemaValidator(IRL_SCHEMA, { maxErrors: Infinity });
+
+// Export for use
+export { SchemaValidator, SchemaValidationError, IRL_SCHEMA, irlValidator, irlFullValidator };
+
+// CLI interface - validate a registry file
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const file = process.argv[2];
+
+  if (!file) {
+    console.log('Usage: node schema-validator.js <registry.json>');
+    process.exit(1);
+  }
+
+  const doc = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const result = new SchemaValidator(IRL_SCHEMA, { maxErrors: 100 }).validate(doc);
+
+  if (result.valid) {
+    console.log(`✅ ${file} is valid (${Object.keys(doc.registry || {}).length} functions)`);
+  } else {
+    console.log(`❌ ${file} has ${result.errors.length} error(s):\n`);
+    result.errors.forEach(e => console.log(`  ${e.path || '/'}: ${e.message} [${e.keyword}]`));
+    process.exit(1);
+  }
+}
\ No newline at end of file
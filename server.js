@@ -0,0 +1,288 @@
+#!/usr/bin/env node
+
+// IRL Server - JSON HTTP API for the registry (node:http only)
+// Every request runs under the registry's 'request' budget (stage request:<route>)
+
+import http from 'http';
+import { performance } from 'perf_hooks';
+import { S0FractalIRL, irlError } from './index.js';
+
+const DEFAULT_MAX_BODY = 64 * 1024;   // bytes
+const RUNS_CODE = 'it runs function source in node:vm, which does not isolate it';
+
+// error.code -> HTTP status
+const STATUS_BY_CODE = {
+  ERR_IRL_BAD_REQUEST: 400,
+  ERR_IRL_BAD_JSON: 400,
+  ERR_IRL_PROOF_LEVEL: 400,
+  ERR_IRL_TAG_NAME: 400,
+  ERR_IRL_VETO: 403,
+  ERR_IRL_DISABLED: 403,
+  ERR_IRL_PROVENANCE: 403,
+  ERR_IRL_NOT_FOUND: 404,
+  ERR_IRL_UNKNOWN_HASH: 404,
+  ERR_IRL_UNKNOWN_TAG: 404,
+  ERR_IRL_METHOD: 405,
+  ERR_IRL_AMBIGUOUS_HASH: 409,
+  ERR_IRL_TAG_EXISTS: 409,
+  ERR_IRL_DEPENDENTS: 409,
+  ERR_IRL_REMOVED: 410,
+  ERR_IRL_BODY_TOO_LARGE: 413,
+  ERR_IRL_UNSUPPORTED_MEDIA: 415,
+  ERR_IRL_DEPS: 422,
+  ERR_IRL_B2: 422,
+  ERR_IRL_BUDGET: 504
+};
+
+class IRLServer {
+  constructor(registry = new S0FractalIRL(), options = {}) {
+    this.registry = registry;
+    this.maxBodySize = options.maxBodySize || DEFAULT_MAX_BODY;
+    this.deadlines = { ...options.deadlines };   // route name -> ms, overrides the budget
+    // Routes that run client-supplied source need an explicit opt-in: the
+    // sandbox is node:vm, which does not isolate code from the host. Removing
+    // functions is gated the same way, so an open server can't be emptied
+    this.allowCode = Boolean(options.allowCode);
+    this.server = http.createServer((req, res) => this.handle(req, res));
+
+    this.routes = [
+      { method: 'POST', pattern: /^\/functions$/, name: 'register', handler: this.register, gated: RUNS_CODE },
+      { method: 'GET', pattern: /^\/functions\/([^/]+)$/, name: 'get', handler: this.get },
+      { method: 'DELETE', pattern: /^\/functions\/([^/]+)$/, name: 'unregister', handler: this.unregister, gated: 'it removes functions' },
+      { method: 'POST', pattern: /^\/functions\/([^/]+)\/execute$/, name: 'execute', handler: this.execute },
+      { method: 'GET', pattern: /^\/functions\/([^/]+)\/proofs\/([^/]+)$/, name: 'prove', handler: this.prove, gated: RUNS_CODE },
+      { method: 'GET', pattern: /^\/stats$/, name: 'stats', handler: this.stats },
+      { method: 'GET', pattern: /^\/metrics$/, name: 'metrics', handler: this.metrics }
+    ];
+
+    this.stats_ = {
+      requests: 0,
+      errors: 0,
+      deadlineExceeded: 0
+    };
+  }
+
+  listen(port = 0, host = '127.0.0.1') {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => {
+        this.server.off('error', reject);
+        resolve(this.server.address());
+      });
+    });
+  }
+
+  close() {
+    return new Promise(resolve => this.server.close(() => resolve()));
+  }
+
+  async handle(req, res) {
+    const start = performance.now();
+    this.stats_.requests++;
+
+    try {
+      const url = new URL(req.url, 'http://localhost');
+      const { route, params } = this.match(req.method, url.pathname);
+      if (route.gated && !this.allowCode) {
+        throw irlError('ERR_IRL_DISABLED', `${route.name} is disabled: ${route.gated} (start with --allow-code)`);
+      }
+      const stage = `request:${route.name}`;
+      const deadline = this.deadlines[route.name] ?? this.registry.budget.limit(stage);
+
+      // The deadline covers reading the body, so a slow client can't hold a request open
+      const result = await this.registry.budget.run(stage, async signal => {
+        const body = req.method === 'POST' ? await this.readBody(req) : null;
+        return route.handler.call(this, { params, body, query: url.searchParams, deadline, start, signal });
+      }, { budget: deadline - (performance.now() - start) });
+
+      if (result.text !== undefined) {
+        this.sendText(res, result.status || 200, result.text, result.contentType, start);
+      } else {
+        this.send(res, result.status || 200, result.body, start);
+      }
+    } catch (e) {
+      this.stats_.errors++;
+      if (e.code === 'ERR_IRL_BUDGET') this.stats_.deadlineExceeded++;
+      if (req.readableEnded === false) req.resume();
+
+      const status = e.status || STATUS_BY_CODE[e.code] || (e.name === 'SchemaValidationError' ? 422 : 500);
+      this.send(res, status, {
+        error: {
+          code: e.code || (status === 422 ? 'ERR_IRL_SCHEMA' : 'ERR_IRL_INTERNAL'),
+          message: status === 500 ? 'Internal error' : e.message,
+          ...(e.errors ? { details: e.errors } : {}),
+          ...(e.matches ? { matches: e.matches } : {})
+        }
+      }, start);
+
+      if (status === 500) console.error('Request failed:', e);
+    }
+  }
+
+  match(method, pathname) {
+    let allowed = false;
+    for (const route of this.routes) {
+      const m = pathname.match(route.pattern);
+      if (!m) continue;
+      if (route.method === method) {
+        return { route, params: m.slice(1).map(decodeURIComponent) };
+      }
+      allowed = true;
+    }
+    throw allowed
+      ? irlError('ERR_IRL_METHOD', `Method ${method} not allowed on ${pathname}`)
+      : irlError('ERR_IRL_NOT_FOUND', `No route for ${method} ${pathname}`);
+  }
+
+  // Buffer a JSON body, rejecting anything over maxBodySize
+  readBody(req) {
+    const type = req.headers['content-type'] || 'application/json';
+    if (!/^application\/json\b/.test(type)) {
+      return Promise.reject(irlError('ERR_IRL_UNSUPPORTED_MEDIA', `Expected application/json, got ${type}`));
+    }
+
+    const declared = Number(req.headers['content-length']);
+    if (declared > this.maxBodySize) {
+      return Promise.reject(irlError('ERR_IRL_BODY_TOO_LARGE', `Body exceeds ${this.maxBodySize} bytes`));
+    }
+
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let size = 0;
+
+      req.on('data', chunk => {
+        size += chunk.length;
+        if (size > this.maxBodySize) {
+          req.removeAllListeners('data');
+          req.resume();
+          reject(irlError('ERR_IRL_BODY_TOO_LARGE', `Body exceeds ${this.maxBodySize} bytes`));
+          return;
+        }
+        chunks.push(chunk);
+      });
+      req.on('end', () => {
+        if (size === 0) return resolve({});
+        try {
+          resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+        } catch (e) {
+          reject(irlError('ERR_IRL_BAD_JSON', `Invalid JSON body: ${e.message}`));
+        }
+      });
+      req.on('error', reject);
+    });
+  }
+
+  send(res, status, body, start) {
+    if (res.headersSent) return;
+    const data = JSON.stringify(body);
+    res.writeHead(status, {
+      'Content-Type': 'application/json; charset=utf-8',
+      'Content-Length': Buffer.byteLength(data),
+      'Server-Timing': `total;dur=${(performance.now() - start).toFixed(2)}`
+    });
+    res.end(data);
+  }
+
+  sendText(res, status, text, contentType = 'text/plain; charset=utf-8', start) {
+    if (res.headersSent) return;
+    res.writeHead(status, {
+      'Content-Type': contentType,
+      'Content-Length': Buffer.byteLength(text),
+      'Server-Timing': `total;dur=${(performance.now() - start).toFixed(2)}`
+    });
+    res.end(text);
+  }
+
+  // POST /functions { source, deps? }
+  async register({ body }) {
+    const source = body?.source ?? body?.code;
+    if (typeof source !== 'string' || source.trim() === '') {
+      throw irlError('ERR_IRL_BAD_REQUEST', 'Body must include "source" (string)');
+    }
+
+    const hash = await this.registry.register(source, { deps: body.deps });
+    return { status: 201, body: { hash } };
+  }
+
+  // GET /functions/:hash (full hash, tag, alias or unique prefix)
+  async get({ params: [ref] }) {
+    const hash = this.registry.findHash(ref);
+    const entry = await this.registry.lookup.get(hash);
+    if (!entry) throw irlError('ERR_IRL_UNKNOWN_HASH', `Unknown hash: ${ref}`);
+    return { body: entry };
+  }
+
+  // DELETE /functions/:hash?reason=... - 409 while other entries depend on it
+  async unregister({ params: [ref], query }) {
+    const tombstone = this.registry.unregister(ref, { reason: query.get('reason') || undefined });
+    return { body: tombstone };
+  }
+
+  // POST /functions/:hash/execute { inputs: [] }
+  async execute({ params: [ref], body, signal }) {
+    const inputs = body?.inputs ?? [];
+    if (!Array.isArray(inputs)) {
+      throw irlError('ERR_IRL_BAD_REQUEST', '"inputs" must be an array');
+    }
+
+    const hash = this.registry.findHash(ref);
+    // Compositions run their parts' source in node:vm, like proofs
+    if (!this.allowCode && (await this.registry.lookup.get(hash))?.compose) {
+      throw irlError('ERR_IRL_DISABLED', 'Executing compositions is disabled: it runs function source in node:vm (start with --allow-code)');
+    }
+    const result = await this.registry.execute(hash, inputs, { signal });
+    return { body: { hash, result } };
+  }
+
+  // GET /functions/:hash/proofs/:level - proof budget is what is left of the deadline
+  async prove({ params: [ref, level], deadline, start, signal }) {
+    const hash = this.registry.findHash(ref);
+    const remaining = Math.max(1, deadline - (performance.now() - start) - 1);
+    const proof = await this.registry.prove(hash, level, { maxTime: remaining, timeout: remaining, signal });
+    return { body: { hash, level, proof } };
+  }
+
+  // GET /stats
+  async stats() {
+    return { body: { ...this.registry.getStats(), server: { ...this.stats_ } } };
+  }
+
+  // GET /metrics - Prometheus text exposition
+  async metrics() {
+    const text = this.registry.prometheus({
+      extra: [
+        { name: 'http_requests_total', type: 'counter', help: 'HTTP requests.', value: this.stats_.requests },
+        { name: 'http_errors_total', type: 'counter', help: 'HTTP error responses.', value: this.stats_.errors },
+        { name: 'http_deadline_exceeded_total', type: 'counter', help: 'Requests over their deadline.', value: this.stats_.deadlineExceeded }
+      ]
+    });
+    return { text, contentType: 'text/plain; version=0.0.4; charset=utf-8' };
+  }
+}
+
+// Export for use
+export { IRLServer, STATUS_BY_CODE };
+
+// CLI interface: node server.js [port] [registry.json] [--allow-code]
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const args = process.argv.slice(2).filter(arg => arg !== '--allow-code');
+  const allowCode = process.argv.includes('--allow-code') || process.env.IRL_ALLOW_CODE === '1';
+  const port = Number(args[0] || process.env.PORT || 7030);
+  const file = args[1] || process.env.IRL_REGISTRY;
+
+  const registry = file ? await S0FractalIRL.open(file) : new S0FractalIRL();
+  const server = new IRLServer(registry, { allowCode });
+  const address = await server.listen(port, process.env.HOST || '127.0.0.1');
+
+  console.log(`s0fractal-IRL API listening on http://${address.address}:${address.port}`);
+  if (file) console.log(`Registry: ${file}`);
+  if (allowCode) console.warn('Warning: register/prove/unregister enabled - any client can run code on this host and remove functions');
+
+  const shutdown = async () => {
+    await server.close();
+    await registry.flush();
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
\ No newline at end of file
@@ -0,0 +1,264 @@
+#!/usr/bin/env node
+
+// Similarity Index - graded structural similarity + inverted index
+// Candidates come from the exact semantic bucket + rare feature postings, then get an exact score
+
+import { performance } from 'perf_hooks';
+
+// Category weights for the graded score (sum to 1)
+const WEIGHTS = {
+  operations: 0.5,
+  literals: 0.15,
+  structure: 0.1,
+  arity: 0.25
+};
+
+const OPERATOR_CLASS = {
+  '+': 'arith', '-': 'arith', '*': 'arith', '/': 'arith', '%': 'arith', '**': 'arith',
+  '==': 'compare', '!=': 'compare', '===': 'compare', '!==': 'compare',
+  '<': 'compare', '<=': 'compare', '>': 'compare', '>=': 'compare',
+  '&': 'bitwise', '|': 'bitwise', '^': 'bitwise', '<<': 'bitwise', '>>': 'bitwise', '>>>': 'bitwise',
+  '&&': 'logical', '||': 'logical', '??': 'logical', '!': 'logical',
+  'in': 'object', 'instanceof': 'object', 'typeof': 'object', 'void': 'object', 'delete': 'object'
+};
+
+// Node types already covered by operations/literals, or too common to matter
+const IGNORED_NODES = new Set([
+  'Identifier', 'Literal', 'BinaryExpression', 'UnaryExpression', 'ExpressionStatement'
+]);
+
+// Feature multisets for a SimpleSemanticHasher result
+function signatureFeatures(semantic) {
+  const features = {
+    arity: 0,
+    operations: new Map(),
+    literals: new Map(),
+    structure: new Map()
+  };
+
+  const sig = semantic?.signature;
+  if (!sig) return features;
+
+  features.arity = sig.arity;
+
+  for (const op of sig.operations) {
+    count(features.operations, `op:${op.op}`);
+    count(features.operations, `class:${OPERATOR_CLASS[op.op] || 'other'}`);
+    if (op.type === 'binary') {
+      count(features.operations, `shape:${op.op}(${operandKind(op.left)},${operandKind(op.right)})`);
+    }
+  }
+
+  for (const value of sig.literals) {
+    count(features.literals, `lit:${typeof value}:${String(value)}`);
+  }
+
+  for (const item of sig.structure) count(features.structure, `st:${item}`);
+  if (semantic.normalized) collectStructure(semantic.normalized.body, features.structure);
+
+  return features;
+}
+
+// $1 / lit:3 / op:+ -> param / lit / op (values are scored by the literal category)
+function operandKind(operand) {
+  if (/^\$\d+$/.test(operand)) return 'param';
+  if (operand.startsWith('lit:')) return 'lit';
+  if (operand.startsWith('op:')) return 'op';
+  return operand;
+}
+
+function collectStructure(node, structure) {
+  if (!node || typeof node !== 'object') return;
+  if (Array.isArray(node)) {
+    node.forEach(child => collectStructure(child, structure));
+    return;
+  }
+  if (!node.type) return;
+
+  if (!IGNORED_NODES.has(node.type)) count(structure, `node:${node.type}`);
+  if (node.type === 'CallExpression') count(structure, `call:${calleeName(node.callee)}`);
+
+  for (const key in node) {
+    if (key !== 'type' && node[key] && typeof node[key] === 'object') {
+      collectStructure(node[key], structure);
+    }
+  }
+}
+
+function calleeName(callee) {
+  if (callee.type === 'Identifier') return callee.name;
+  if (callee.type === 'MemberExpression' && !callee.computed) {
+    return `${calleeName(callee.object)}.${callee.property.name}`;
+  }
+  return callee.type;
+}
+
+function count(map, key) {
+  map.set(key, (map.get(key) || 0) + 1);
+}
+
+// Weighted Jaccard over multisets; two empty sets agree
+function multisetJaccard(a, b) {
+  if (a.size === 0 && b.size === 0) return 1;
+
+  let intersection = 0, union = 0;
+  for (const [key, n] of a) {
+    const m = b.get(key) || 0;
+    intersection += Math.min(n, m);
+    union += Math.max(n, m);
+  }
+  for (const [key, m] of b) {
+    if (!a.has(key)) union += m;
+  }
+  return union > 0 ? intersection / union : 0;
+}
+
+function arityScore(a, b) {
+  if (a === b) return 1;
+  return 1 - Math.abs(a - b) / Math.max(a, b);
+}
+
+// Graded similarity in [0, 1] with a per-category breakdown
+function scoreFeatures(a, b) {
+  const scores = {
+    operations: multisetJaccard(a.operations, b.operations),
+    literals: multisetJaccard(a.literals, b.literals),
+    structure: multisetJaccard(a.structure, b.structure),
+    arity: arityScore(a.arity, b.arity)
+  };
+
+  let score = 0;
+  for (const [category, weight] of Object.entries(WEIGHTS)) score += weight * scores[category];
+
+  return { score: Math.round(score * 1e6) / 1e6, scores };
+}
+
+class SimilarityIndex {
+  constructor(options = {}) {
+    this.hasher = options.hasher;
+    this.maxPostings = options.maxPostings || 2000;   // stop adding postings past this many candidates
+
+    this.features = new Map();   // hash -> features
+    this.postings = new Map();   // token -> Set(hash)
+    this.semantic = new Map();   // hash -> semantic hash
+    this.buckets = new Map();    // semantic hash -> Set(hash)
+
+    this.stats = {
+      queries: 0,
+      candidatesScored: 0,
+      totalTime: 0
+    };
+  }
+
+  get size() {
+    return this.features.size;
+  }
+
+  has(hash) {
+    return this.features.has(hash);
+  }
+
+  // Index an entry from its source (or a precomputed semantic hash result)
+  add(hash, source, semantic = this.hasher.hash(source)) {
+    this.remove(hash);
+    const features = signatureFeatures(semantic);
+    this.features.set(hash, features);
+
+    for (const token of tokens(features)) {
+      if (!this.postings.has(token)) this.postings.set(token, new Set());
+      this.postings.get(token).add(hash);
+    }
+
+    this.semantic.set(hash, semantic.hash);
+    if (!this.buckets.has(semantic.hash)) this.buckets.set(semantic.hash, new Set());
+    this.buckets.get(semantic.hash).add(hash);
+  }
+
+  remove(hash) {
+    const features = this.features.get(hash);
+    if (!features) return;
+
+    for (const token of tokens(features)) {
+      const list = this.postings.get(token);
+      list?.delete(hash);
+      if (list?.size === 0) this.postings.delete(token);
+    }
+
+    const bucket = this.buckets.get(this.semantic.get(hash));
+    bucket?.delete(hash);
+    if (bucket?.size === 0) this.buckets.delete(this.semantic.get(hash));
+
+    this.semantic.delete(hash);
+    this.features.delete(hash);
+  }
+
+  // Ranked [{ hash, score, scores }] for source code or a semantic hash result
+  query(sourceOrSemantic, options = {}) {
+    const start = performance.now();
+    const limit = options.limit ?? 10;
+    const minScore = options.minScore ?? 0.5;
+    const exclude = options.exclude || (() => false);
+
+    const semantic = typeof sourceOrSemantic === 'string'
+      ? this.hasher.hash(sourceOrSemantic)
+      : sourceOrSemantic;
+    const target = signatureFeatures(semantic);
+
+    const results = [];
+    for (const hash of this.candidates(target, semantic.hash, exclude)) {
+      const { score, scores } = scoreFeatures(target, this.features.get(hash));
+      if (score >= minScore) results.push({ hash, score, scores });
+    }
+
+    results.sort((a, b) => b.score - a.score || (a.hash < b.hash ? -1 : 1));
+
+    this.stats.queries++;
+    this.stats.totalTime += performance.now() - start;
+    return results.slice(0, limit);
+  }
+
+  // Entries with the target's semantic hash, then every entry on the rarest
+  // tokens' postings (fewest entries first, each list in full)
+  candidates(target, semanticHash, exclude = () => false) {
+    const exact = [...this.buckets.get(semanticHash) || []].filter(hash => !exclude(hash));
+
+    const lists = [...tokens(target)]
+      .map(token => this.postings.get(token))
+      .filter(Boolean)
+      .sort((a, b) => a.size - b.size);
+
+    const found = new Set();
+    for (const list of lists) {
+      // Common tokens only add noise once rarer ones found candidates
+      if (found.size > 0 && found.size + list.size > this.maxPostings) break;
+      for (const hash of list) {
+        if (!exclude(hash)) found.add(hash);
+      }
+    }
+
+    for (const hash of exact) found.add(hash);
+    this.stats.candidatesScored += found.size;
+    return found;
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      size: this.features.size,
+      tokens: this.postings.size,
+      avgQueryTime: this.stats.queries > 0 ? this.stats.totalTime / this.stats.queries : 0
+    };
+  }
+}
+
+// Index keys: every operation/literal/structure token plus arity
+function tokens(features) {
+  const result = new Set([`arity:${features.arity}`]);
+  for (const category of ['operations', 'literals', 'structure']) {
+    for (const key of features[category].keys()) result.add(key);
+  }
+  return result;
+}
+
+// Export for use
+export { SimilarityIndex, signatureFeatures, scoreFeatures, WEIGHTS };
\ No newline at end of file
@@ -0,0 +1,587 @@
+#!/usr/bin/env node
+
+// Symbolic Verifier - Bounded symbolic execution for L1 proofs
+// acorn AST -> path constraints -> finite-domain search over bounded integers
+// Optional SMT-LIB output so an external solver can take over
+
+import { performance } from 'perf_hooks';
+import * as acorn from 'acorn';
+import { SimpleSemanticHasher } from './simple-semantic-hash.js';
+
+const DEFAULT_DOMAIN = { min: -16, max: 16 };
+const DEFAULT_MAX_STEPS = 200000;   // assignments tried before giving up
+const DEFAULT_MAX_PATHS = 256;
+const DEFAULT_TIMEOUT = 100;        // ms
+
+const MATH_BUILTINS = ['abs', 'min', 'max', 'floor', 'ceil', 'round', 'trunc', 'sign', 'sqrt', 'pow'];
+
+class BudgetExceeded extends Error {
+  constructor(reason) {
+    super(`Budget exhausted: ${reason}`);
+    this.name = 'BudgetExceeded';
+  }
+}
+
+class Unsupported extends Error {
+  constructor(node, detail) {
+    super(`Unsupported ${detail || node.type}`);
+    this.name = 'Unsupported';
+  }
+}
+
+// Term constructors
+const T = {
+  v: name => ({ k: 'var', name }),
+  c: value => ({ k: 'const', value }),
+  bin: (op, l, r) => ({ k: 'bin', op, l, r }),
+  un: (op, a) => ({ k: 'un', op, a }),
+  call: (fn, args) => ({ k: 'call', fn, args })
+};
+
+class SymbolicExecutor {
+  constructor(options = {}) {
+    this.maxPaths = options.maxPaths || DEFAULT_MAX_PATHS;
+  }
+
+  // Function node -> [{ conds: [{ term, truthy }], term }]
+  paths(fnNode, env) {
+    if (fnNode.body.type !== 'BlockStatement') {
+      return this.expr(fnNode.body, env);
+    }
+    const out = [];
+    this.block(flatten(fnNode.body.body), 0, env, [], out);
+    return out;
+  }
+
+  block(stmts, i, env, conds, out) {
+    this.checkPaths(out.length);
+
+    if (i === stmts.length) {
+      out.push({ conds, term: T.c(undefined) });
+      return;
+    }
+
+    const s = stmts[i];
+    switch (s.type) {
+      case 'ReturnStatement':
+        for (const p of s.argument ? this.expr(s.argument, env) : [{ conds: [], term: T.c(undefined) }]) {
+          out.push({ conds: [...conds, ...p.conds], term: p.term });
+        }
+        return;
+
+      case 'VariableDeclaration': {
+        const decl = s.declarations[0];
+        if (s.kind === 'var' || decl.id.type !== 'Identifier' || !decl.init) {
+          throw new Unsupported(s, `${s.kind} declaration`);
+        }
+        for (const p of this.expr(decl.init, env)) {
+          this.block(stmts, i + 1, { ...env, [decl.id.name]: p.term }, [...conds, ...p.conds], out);
+        }
+        return;
+      }
+
+      case 'IfStatement': {
+        const rest = stmts.slice(i + 1);
+        for (const p of this.expr(s.test, env)) {
+          const base = [...conds, ...p.conds];
+          this.block([...flatten([s.consequent]), ...rest], 0, env,
+            [...base, { term: p.term, truthy: true }], out);
+          this.block([...(s.alternate ? flatten([s.alternate]) : []), ...rest], 0, env,
+            [...base, { term: p.term, truthy: false }], out);
+        }
+        return;
+      }
+
+      case 'EmptyStatement':
+        this.block(stmts, i + 1, env, conds, out);
+        return;
+
+      default:
+        throw new Unsupported(s);
+    }
+  }
+
+  // Expression -> list of { conds, term } (forks on ?:, &&, ||)
+  expr(node, env) {
+    switch (node.type) {
+      case 'Literal':
+        if (node.regex || typeof node.value === 'bigint') throw new Unsupported(node, 'regex/bigint literal');
+        return [{ conds: [], term: T.c(node.value) }];
+
+      case 'Identifier':
+        if (node.name in env) return [{ conds: [], term: env[node.name] }];
+        if (node.name === 'undefined') return [{ conds: [], term: T.c(undefined) }];
+        if (node.name === 'NaN') return [{ conds: [], term: T.c(NaN) }];
+        if (node.name === 'Infinity') return [{ conds: [], term: T.c(Infinity) }];
+        throw new Unsupported(node, `free identifier ${node.name}`);
+
+      case 'BinaryExpression':
+        return this.cross([node.left, node.right], env, ([l, r]) => T.bin(node.operator, l, r));
+
+      case 'UnaryExpression':
+        if (!['!', '-', '+', '~'].includes(node.operator)) {
+          throw new Unsupported(node, `unary ${node.operator}`);
+        }
+        return this.expr(node.argument, env).map(p => ({ conds: p.conds, term: T.un(node.operator, p.term) }));
+
+      case 'LogicalExpression': {
+        const out = [];
+        for (const l of this.expr(node.left, env)) {
+          // a && b: b if a truthy else a;  a || b: a if truthy else b;  a ?? b: b if nullish
+          if (node.operator === '??') {
+            const nullish = T.bin('==', l.term, T.c(null));
+            out.push({ conds: [...l.conds, { term: nullish, truthy: false }], term: l.term });
+            for (const r of this.expr(node.right, env)) {
+              out.push({ conds: [...l.conds, { term: nullish, truthy: true }, ...r.conds], term: r.term });
+            }
+            continue;
+          }
+          const shortCircuit = node.operator === '||';
+          out.push({ conds: [...l.conds, { term: l.term, truthy: shortCircuit }], term: l.term });
+          for (const r of this.expr(node.right, env)) {
+            out.push({ conds: [...l.conds, { term: l.term, truthy: !shortCircuit }, ...r.conds], term: r.term });
+          }
+        }
+        this.checkPaths(out.length);
+        return out;
+      }
+
+      case 'ConditionalExpression': {
+        const out = [];
+        for (const t of this.expr(node.test, env)) {
+          for (const p of this.expr(node.consequent, env)) {
+            out.push({ conds: [...t.conds, { term: t.term, truthy: true }, ...p.conds], term: p.term });
+          }
+          for (const p of this.expr(node.alternate, env)) {
+            out.push({ conds: [...t.conds, { term: t.term, truthy: false }, ...p.conds], term: p.term });
+          }
+        }
+        this.checkPaths(out.length);
+        return out;
+      }
+
+      case 'CallExpression': {
+        const callee = node.callee;
+        const isMath = callee.type === 'MemberExpression' && !callee.computed &&
+          callee.object.type === 'Identifier' && callee.object.name === 'Math' &&
+          MATH_BUILTINS.includes(callee.property.name);
+        if (!isMath) throw new Unsupported(node, 'call (only Math builtins)');
+        return this.cross(node.arguments, env, args => T.call(callee.property.name, args));
+      }
+
+      default:
+        throw new Unsupported(node);
+    }
+  }
+
+  cross(nodes, env, build) {
+    let combos = [{ conds: [], terms: [] }];
+    for (const n of nodes) {
+      const next = [];
+      for (const c of combos) {
+        for (const p of this.expr(n, env)) {
+          next.push({ conds: [...c.conds, ...p.conds], terms: [...c.terms, p.term] });
+        }
+      }
+      this.checkPaths(next.length);
+      combos = next;
+    }
+    return combos.map(c => ({ conds: c.conds, term: build(c.terms) }));
+  }
+
+  checkPaths(count) {
+    if (count > this.maxPaths) throw new BudgetExceeded(`more than ${this.maxPaths} paths`);
+  }
+}
+
+function flatten(stmts) {
+  const out = [];
+  for (const s of stmts) {
+    if (s.type === 'BlockStatement') out.push(...flatten(s.body));
+    else if (s.type === 'VariableDeclaration' && s.declarations.length > 1) {
+      s.declarations.forEach(d => out.push({ ...s, declarations: [d] }));
+    } else out.push(s);
+  }
+  return out;
+}
+
+// Concrete evaluation with real JS semantics
+function evaluate(term, env) {
+  switch (term.k) {
+    case 'const': return term.value;
+    case 'var': return env[term.name];
+    case 'un': {
+      const a = evaluate(term.a, env);
+      switch (term.op) {
+        case '!': return !a;
+        case '-': return -a;
+        case '+': return +a;
+        case '~': return ~a;
+      }
+      break;
+    }
+    case 'bin': {
+      const l = evaluate(term.l, env);
+      const r = evaluate(term.r, env);
+      switch (term.op) {
+        case '+': return l + r;
+        case '-': return l - r;
+        case '*': return l * r;
+        case '/': return l / r;
+        case '%': return l % r;
+        case '**': return l ** r;
+        case '<': return l < r;
+        case '>': return l > r;
+        case '<=': return l <= r;
+        case '>=': return l >= r;
+        // Loose equality on purpose: the term mirrors the source operator
+        case '==': return l == r;
+        case '!=': return l != r;
+        case '===': return l === r;
+        case '!==': return l !== r;
+        case '&': return l & r;
+        case '|': return l | r;
+        case '^': return l ^ r;
+        case '<<': return l << r;
+        case '>>': return l >> r;
+        case '>>>': return l >>> r;
+      }
+      throw new Error(`Unsupported operator ${term.op}`);
+    }
+    case 'call': return Math[term.fn](...term.args.map(a => evaluate(a, env)));
+  }
+  throw new Error(`Bad term ${term.k}`);
+}
+
+function varsOf(term, out = new Set()) {
+  if (term.k === 'var') out.add(term.name);
+  if (term.l) varsOf(term.l, out);
+  if (term.r) varsOf(term.r, out);
+  if (term.a) varsOf(term.a, out);
+  if (term.args) term.args.forEach(a => varsOf(a, out));
+  return out;
+}
+
+// SMT-LIB v2 - JS numbers approximated as Reals over Int-bounded inputs
+function toSMT(term) {
+  switch (term.k) {
+    case 'var': return `(to_real ${term.name})`;
+    case 'const':
+      if (typeof term.value === 'boolean') return String(term.value);
+      if (typeof term.value === 'number' && Number.isFinite(term.value)) {
+        const s = Number.isInteger(term.value) ? `${Math.abs(term.value)}.0` : String(Math.abs(term.value));
+        return term.value < 0 ? `(- ${s})` : s;
+      }
+      throw new Error(`constant ${String(term.value)} has no SMT encoding`);
+    case 'un':
+      if (term.op === '!') return `(not ${toSMTBool(term.a)})`;
+      if (term.op === '-') return `(- ${toSMT(term.a)})`;
+      if (term.op === '+') return toSMT(term.a);
+      break;
+    case 'bin': {
+      const ops = { '+': '+', '-': '-', '*': '*', '/': '/', '<': '<', '>': '>', '<=': '<=', '>=': '>=' };
+      if (ops[term.op]) return `(${ops[term.op]} ${toSMT(term.l)} ${toSMT(term.r)})`;
+      if (['==', '==='].includes(term.op)) return `(= ${toSMT(term.l)} ${toSMT(term.r)})`;
+      if (['!=', '!=='].includes(term.op)) return `(not (= ${toSMT(term.l)} ${toSMT(term.r)}))`;
+      break;
+    }
+    case 'call':
+      if (term.fn === 'abs') {
+        const a = toSMT(term.args[0]);
+        return `(ite (< ${a} 0.0) (- ${a}) ${a})`;
+      }
+      if ((term.fn === 'min' || term.fn === 'max') && term.args.length === 2) {
+        const [a, b] = term.args.map(toSMT);
+        return `(ite (${term.fn === 'min' ? '<=' : '>='} ${a} ${b}) ${a} ${b})`;
+      }
+      break;
+  }
+  throw new Error(`${term.op || term.fn || term.k} has no SMT encoding`);
+}
+
+function smtInt(n) {
+  return n < 0 ? `(- ${-n})` : String(n);
+}
+
+function toSMTBool(term) {
+  const s = toSMT(term);
+  const boolOps = ['<', '>', '<=', '>=', '==', '===', '!=', '!=='];
+  if ((term.k === 'bin' && boolOps.includes(term.op)) || (term.k === 'un' && term.op === '!') ||
+      (term.k === 'const' && typeof term.value === 'boolean')) {
+    return s;
+  }
+  return `(not (= ${s} 0.0))`;
+}
+
+class SymbolicVerifier {
+  constructor(options = {}) {
+    this.hasher = options.hasher || new SimpleSemanticHasher();
+    this.domain = options.domain || DEFAULT_DOMAIN;
+    this.maxSteps = options.maxSteps || DEFAULT_MAX_STEPS;
+    this.timeout = options.timeout || DEFAULT_TIMEOUT;
+    this.maxPaths = options.maxPaths || DEFAULT_MAX_PATHS;
+  }
+
+  // options.post: '(a, b, result) => ...' source or (a, b, result) => bool
+  // options.equivalentTo: source of another function to compare against
+  // Default property: result is never NaN / Infinity
+  verify(code, options = {}) {
+    const start = performance.now();
+    const deadline = start + (options.timeout || this.timeout);
+    const domain = { ...this.domain, ...options.domain };
+    const executor = new SymbolicExecutor({ maxPaths: options.maxPaths || this.maxPaths });
+
+    const base = { type: 'bounded-symbolic', domain: { min: domain.min, max: domain.max, extras: domain.extras } };
+    const done = (status, extra = {}) => ({
+      valid: status === 'valid',
+      status,
+      ...base,
+      ...extra,
+      timeUsed: performance.now() - start
+    });
+
+    let fn, params, paths, goals, property;
+    try {
+      fn = this.parse(code);
+      params = this.paramNames(fn);
+      const env = Object.fromEntries(params.map(p => [p, T.v(p)]));
+      paths = executor.paths(fn, env);
+      ({ goals, property } = this.buildGoals(paths, params, executor, options));
+    } catch (e) {
+      if (e instanceof Unsupported || e instanceof BudgetExceeded) {
+        return done('unknown', { reason: e.message });
+      }
+      throw e;
+    }
+
+    const smtlib = options.smtlib ? this.emitSMTLIB(params, domain, goals) : undefined;
+    const search = { steps: 0, deadline, maxSteps: options.maxSteps || this.maxSteps };
+
+    try {
+      for (const goal of goals) {
+        const model = this.solve(params, domain, goal, search);
+        if (model) {
+          return done('counterexample', {
+            property,
+            paths: paths.length,
+            checked: search.steps,
+            counterexample: model,
+            smtlib
+          });
+        }
+      }
+    } catch (e) {
+      if (e instanceof BudgetExceeded) {
+        return done('unknown', { property, reason: e.message, paths: paths.length, checked: search.steps, smtlib });
+      }
+      throw e;
+    }
+
+    return done('valid', { property, paths: paths.length, checked: search.steps, smtlib });
+  }
+
+  // External solver hook: solver(smtlib) -> 'unsat' | 'sat' | 'unknown'
+  async verifyWithSolver(code, options = {}) {
+    const result = this.verify(code, { ...options, smtlib: options.smtlib || Boolean(options.solver) });
+    if (result.status !== 'unknown' || !options.solver || !result.smtlib) return result;
+
+    const answers = [];
+    for (const text of result.smtlib) answers.push(String(await options.solver(text)).trim());
+
+    if (answers.every(a => a === 'unsat')) return { ...result, valid: true, status: 'valid', solver: 'external' };
+    if (answers.some(a => a === 'sat')) return { ...result, status: 'counterexample', solver: 'external' };
+    return { ...result, solver: 'external' };
+  }
+
+  parse(code) {
+    const ast = acorn.parse(code, { ecmaVersion: 2020, sourceType: 'module' });
+    const fn = this.hasher.extractFunctionBody(ast);
+    if (!fn) throw new Unsupported({ type: 'Program' }, 'source (no function found)');
+    return fn;
+  }
+
+  paramNames(fn) {
+    return fn.params.map(p => {
+      if (p.type !== 'Identifier') throw new Unsupported(p, `${p.type} parameter`);
+      return p.name;
+    });
+  }
+
+  // Goal = path conditions + "property violated"
+  buildGoals(paths, params, executor, options) {
+    if (options.equivalentTo) {
+      const other = this.parse(options.equivalentTo);
+      const otherParams = this.paramNames(other);
+      if (otherParams.length !== params.length) {
+        throw new Unsupported({ type: 'arity' }, `equivalence across arities ${params.length}/${otherParams.length}`);
+      }
+      const env = Object.fromEntries(otherParams.map((p, i) => [p, T.v(params[i])]));
+      const otherPaths = executor.paths(other, env);
+      const goals = [];
+      for (const p of paths) {
+        for (const q of otherPaths) {
+          executor.checkPaths(goals.length);
+          goals.push({
+            conds: [...p.conds, ...q.conds],
+            terms: [p.term, q.term],
+            smt: () => `(not (= ${toSMT(p.term)} ${toSMT(q.term)}))`,
+            violated: env2 => !Object.is(evaluate(p.term, env2), evaluate(q.term, env2))
+          });
+        }
+      }
+      return { goals, property: 'equivalence' };
+    }
+
+    if (typeof options.post === 'function') {
+      return {
+        goals: paths.map(p => ({
+          conds: p.conds,
+          terms: [p.term],
+          violated: env => !options.post(...params.map(n => env[n]), evaluate(p.term, env))
+        })),
+        property: 'postcondition'
+      };
+    }
+
+    if (typeof options.post === 'string') {
+      const post = this.parse(options.post);
+      const names = this.paramNames(post);
+      if (names.length !== params.length + 1) {
+        throw new Unsupported({ type: 'postcondition' }, `postcondition arity (expected ${params.length + 1} params: args..., result)`);
+      }
+      const goals = [];
+      for (const p of paths) {
+        const env = Object.fromEntries(names.slice(0, -1).map((n, i) => [n, T.v(params[i])]));
+        env[names[names.length - 1]] = p.term;
+        for (const q of executor.paths(post, env)) {
+          executor.checkPaths(goals.length);
+          goals.push({
+            conds: [...p.conds, ...q.conds],
+            terms: [p.term],
+            smt: () => `(not ${toSMTBool(q.term)})`,
+            violated: env2 => !evaluate(q.term, env2)
+          });
+        }
+      }
+      return { goals, property: 'postcondition' };
+    }
+
+    return {
+      goals: paths.map(p => ({
+        conds: p.conds,
+        terms: [p.term],
+        violated: env => {
+          const value = evaluate(p.term, env);
+          return typeof value === 'number' && !Number.isFinite(value);
+        }
+      })),
+      property: 'finite'
+    };
+  }
+
+  // Backtracking search; each condition is checked as soon as its vars are bound
+  solve(params, domain, goal, search) {
+    const order = params;
+    const position = new Map(order.map((p, i) => [p, i]));
+    const checksAt = order.map(() => []);
+    const ready = [];
+
+    for (const cond of goal.conds) {
+      const vars = [...varsOf(cond.term)];
+      const at = vars.length ? Math.max(...vars.map(v => position.get(v))) : -1;
+      const check = env => Boolean(evaluate(cond.term, env)) === cond.truthy;
+      if (at < 0) ready.push(check);
+      else checksAt[at].push(check);
+    }
+
+    // Conditions without vars (constants) decide the path up front
+    const none = {};
+    if (!ready.every(check => check(none))) return null;
+
+    // Bounded integers plus optional extra values (e.g. null, undefined)
+    const values = [];
+    for (let v = domain.min; v <= domain.max; v++) values.push(v);
+    values.push(...(domain.extras || []));
+
+    const env = {};
+    const assign = i => {
+      if (i === order.length) {
+        return goal.violated(env) ? { ...env } : null;
+      }
+
+      for (const value of values) {
+        if (++search.steps > search.maxSteps) throw new BudgetExceeded(`${search.maxSteps} steps`);
+        if ((search.steps & 1023) === 0 && performance.now() > search.deadline) {
+          throw new BudgetExceeded('timeout');
+        }
+
+        env[order[i]] = value;
+        if (!checksAt[i].every(check => check(env))) continue;
+
+        const found = assign(i + 1);
+        if (found) return found;
+      }
+      delete env[order[i]];
+      return null;
+    };
+
+    const model = assign(0);
+    if (!model) return null;
+
+    return {
+      args: order.map(p => model[p]),
+      inputs: model,
+      results: goal.terms.map(t => evaluate(t, model))
+    };
+  }
+
+  // One SMT-LIB script per goal: sat means counterexample
+  emitSMTLIB(params, domain, goals) {
+    try {
+      return goals.map(goal => {
+        if (!goal.smt) throw new Error('default/opaque properties have no SMT encoding');
+
+        const lines = ['(set-logic QF_NIRA)'];
+        for (const p of params) {
+          lines.push(`(declare-fun ${p} () Int)`);
+          lines.push(`(assert (and (>= ${p} ${smtInt(domain.min)}) (<= ${p} ${smtInt(domain.max)})))`);
+        }
+        for (const cond of goal.conds) {
+          const c = toSMTBool(cond.term);
+          lines.push(`(assert ${cond.truthy ? c : `(not ${c})`})`);
+        }
+        lines.push(`(assert ${goal.smt()})`);
+        lines.push('(check-sat)', '(get-model)');
+        return lines.join('\n');
+      });
+    } catch (e) {
+      return null;
+    }
+  }
+}
+
+// Export for use
+export { SymbolicVerifier, SymbolicExecutor, evaluate };
+
+// CLI interface
+if (import.meta.url === `file://${process.argv[1]}`) {
+  console.log('Symbolic Verifier - Bounded L1 proofs\n');
+
+  const verifier = new SymbolicVerifier();
+  const cases = [
+    { name: 'add commutes', code: '(a, b) => a + b', options: { equivalentTo: '(x, y) => y + x' } },
+    { name: 'abs >= 0', code: 'x => x < 0 ? -x : x', options: { post: '(x, r) => r >= 0' } },
+    { name: 'max via ternary', code: '(a, b) => a > b ? a : b', options: { equivalentTo: '(a, b) => Math.max(a, b)' } },
+    { name: 'division finite', code: '(a, b) => a / b', options: {} },
+    { name: 'off by one', code: 'n => n + 1', options: { post: '(n, r) => r > n && r < 10' } },
+    { name: 'unsupported', code: 'const f = n => n <= 1 ? 1 : n * f(n - 1)', options: {} }
+  ];
+
+  for (const test of cases) {
+    const result = verifier.verify(test.code, test.options);
+    console.log(`${test.name}: ${result.status}`);
+    if (result.counterexample) console.log(`  counterexample: ${JSON.stringify(result.counterexample.inputs)}`);
+    if (result.reason) console.log(`  reason: ${result.reason}`);
+    console.log(`  time: ${result.timeUsed.toFixed(2)}ms`);
+  }
+}
\ No newline at end of file
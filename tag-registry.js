@@ -0,0 +1,144 @@
+#!/usr/bin/env node
+
+// Tag Registry - human-readable names pointing at immutable hashes
+// Every create/move/delete is kept as an audit record
+
+// lodash/isNil, lodash/isNil@stable, math.add@v1.2
+const TAG_PATTERN = /^[A-Za-z0-9][\w.-]*(\/[\w.-]+)*(@[\w.-]+)?$/;
+
+// Names that could be read as a hash or hash prefix are refused
+const HEX_LIKE = /^[a-f0-9-]+$/;
+
+function tagError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+class TagRegistry {
+  constructor() {
+    this.tags = new Map();   // name -> { hash, created, updated, history: [] }
+  }
+
+  get size() {
+    let size = 0;
+    for (const tag of this.tags.values()) if (tag.hash) size++;
+    return size;
+  }
+
+  has(name) {
+    return Boolean(this.tags.get(name)?.hash);
+  }
+
+  // Hash a name points at (undefined for unknown or deleted names)
+  get(name) {
+    return this.tags.get(name)?.hash || undefined;
+  }
+
+  validateName(name) {
+    if (typeof name !== 'string' || !TAG_PATTERN.test(name) || HEX_LIKE.test(name)) {
+      throw tagError('ERR_IRL_TAG_NAME',
+        `Invalid tag name ${JSON.stringify(name)} - use e.g. lodash/isNil or lodash/isNil@stable`);
+    }
+  }
+
+  // Point a name at a hash. Moving an existing tag needs options.move
+  set(name, hash, options = {}) {
+    this.validateName(name);
+
+    const at = options.at || new Date().toISOString();
+    const record = { action: 'create', hash, at };
+    if (options.reason) record.reason = options.reason;
+    if (options.actor) record.actor = options.actor;
+
+    let tag = this.tags.get(name);
+    if (tag?.hash === hash) return tag;
+
+    if (tag?.hash) {
+      if (!options.move) {
+        throw tagError('ERR_IRL_TAG_EXISTS',
+          `Tag ${name} already points at ${tag.hash} - pass { move: true } to move it`);
+      }
+      record.action = 'move';
+      record.from = tag.hash;
+    }
+
+    if (!tag) {
+      tag = { hash: null, created: at, updated: at, history: [] };
+      this.tags.set(name, tag);
+    }
+
+    tag.hash = hash;
+    tag.updated = at;
+    tag.history.push(record);
+    return tag;
+  }
+
+  // Remove a name; its history is kept for audit
+  delete(name, options = {}) {
+    const tag = this.tags.get(name);
+    if (!tag?.hash) return false;
+
+    const at = options.at || new Date().toISOString();
+    const record = { action: 'delete', hash: null, from: tag.hash, at };
+    if (options.reason) record.reason = options.reason;
+    if (options.actor) record.actor = options.actor;
+
+    tag.hash = null;
+    tag.updated = at;
+    tag.history.push(record);
+    return true;
+  }
+
+  history(name) {
+    return [...(this.tags.get(name)?.history || [])];
+  }
+
+  // Live names, optionally only those pointing at one hash
+  names(hash) {
+    const result = [];
+    for (const [name, tag] of this.tags) {
+      if (tag.hash && (hash === undefined || tag.hash === hash)) result.push(name);
+    }
+    return result.sort();
+  }
+
+  toJSON() {
+    return Object.fromEntries(
+      [...this.tags].map(([name, tag]) => [name, { ...tag, history: [...tag.history] }])
+    );
+  }
+
+  // Restore from a document; names whose hash fails isKnown() are skipped
+  load(tags = {}, isKnown = () => true) {
+    const skipped = [];
+    for (const [name, tag] of Object.entries(tags)) {
+      if (!TAG_PATTERN.test(name) || HEX_LIKE.test(name) || (tag.hash && !isKnown(tag.hash))) {
+        skipped.push(name);
+        continue;
+      }
+      this.tags.set(name, {
+        hash: tag.hash || null,
+        created: tag.created,
+        updated: tag.updated,
+        history: [...(tag.history || [])]
+      });
+    }
+    return skipped;
+  }
+
+  getStats() {
+    let moves = 0;
+    for (const tag of this.tags.values()) {
+      moves += tag.history.filter(record => record.action === 'move').length;
+    }
+    return {
+      tags: this.size,
+      deleted: this.tags.size - this.size,
+      moves
+    };
+  }
+}
+
+// Export for use
+export { TagRegistry, TAG_PATTERN };
\ No newline at end of file
@@ -0,0 +1,153 @@
+#!/usr/bin/env node
+
+// Bundle tests - generated ES/CommonJS modules run, deps first, .d.ts inference
+// Run: node test-bundle.js (part of npm test)
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createRequire } from 'module';
+import { pathToFileURL } from 'url';
+import { S0FractalIRL } from './index.js';
+import { inferSignature } from './bundle.js';
+
+const require = createRequire(import.meta.url);
+
+// Write a bundle's code to a temp file, load it as ESM or CommonJS, then clean up
+async function loadBundle(bundle) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'irl-bundle-'));
+  const file = path.join(dir, bundle.format === 'esm' ? 'bundle.mjs' : 'bundle.cjs');
+  try {
+    fs.writeFileSync(file, bundle.code);
+    return bundle.format === 'esm' ? await import(pathToFileURL(file).href) : require(file);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+// inc, dbl, sumSq (sq as a dep), incDouble = compose(inc, dbl) and greet, all tagged
+async function demoRegistry() {
+  const registry = new S0FractalIRL();
+  const inc = await registry.register('x => x + 1');
+  const dbl = await registry.register('function double(n) { return n * 2 }');
+  const sq = await registry.register('x => x * x');
+  const sumSq = await registry.register('(a, b) => sq(a) + sq(b)', { deps: { sq } });
+  const incDouble = await registry.compose(inc, dbl);
+  const greet = await registry.register('(name, greeting = "Hello") => `${greeting}, ${name}!`');
+
+  registry.tag('math/inc', inc);
+  registry.tag('math/sumSq@stable', sumSq);
+  registry.tag('math/incDouble', incDouble);
+  registry.tag('text/greet', greet);
+  return { registry, inc, dbl, sq, sumSq, incDouble, greet };
+}
+
+const REFS = ['math/inc', 'math/sumSq@stable', 'math/incDouble', 'text/greet'];
+
+for (const format of ['esm', 'cjs']) {
+  test(`the ${format} bundle loads and its exports run`, async () => {
+    const { registry } = await demoRegistry();
+    const bundle = await registry.exportBundle(REFS, { format });
+    const lib = await loadBundle(bundle);
+
+    assert.deepEqual(Object.keys(lib).filter(name => name !== 'default').sort(), ['greet', 'inc', 'incDouble', 'sumSq']);
+    assert.equal(lib.inc(1), 2);
+    assert.equal(lib.sumSq(3, 4), 25);
+    assert.equal(lib.incDouble(3), 7);
+    assert.equal(lib.greet('Ada'), 'Hello, Ada!');
+    assert.equal(lib.greet('Ada', 'Hi'), 'Hi, Ada!');
+  });
+}
+
+test('deps are defined before the functions that use them', async () => {
+  const { registry, inc, dbl, sq, sumSq, incDouble } = await demoRegistry();
+  const bundle = await registry.exportBundle(['math/incDouble', 'math/sumSq@stable']);
+
+  assert.deepEqual(bundle.functions, [inc, dbl, incDouble, sq, sumSq]);
+  const at = hash => bundle.code.indexOf(`// ${hash}`);
+  assert.ok(at(inc) < at(incDouble) && at(dbl) < at(incDouble));
+  assert.ok(at(sq) < at(sumSq));
+  assert.deepEqual(bundle.exports, { incDouble, sumSq });
+
+  const lib = await loadBundle(bundle);
+  assert.equal(lib.incDouble(0), 1);
+});
+
+test('export names come from tags, explicit names or the semantic hash', async () => {
+  const { registry, inc, sq } = await demoRegistry();
+
+  const tagged = await registry.exportBundle([inc, sq]);
+  assert.deepEqual(Object.keys(tagged.exports), ['inc', `fn_${sq.split('-')[1]}`]);
+
+  const named = await registry.exportBundle({ plusOne: inc, default: sq }, { format: 'cjs' });
+  const lib = await loadBundle(named);
+  assert.equal(lib.plusOne(1), 2);
+  assert.equal(lib.default(3), 9);
+  assert.match(named.types, /declare function _default\(x: number\): number;\nexport default _default;/);
+});
+
+test('one export name for two functions is an error', async () => {
+  const { registry, inc, sq } = await demoRegistry();
+  registry.tag('other/inc', sq);
+
+  await assert.rejects(registry.exportBundle(['math/inc', 'other/inc']),
+    { code: 'ERR_IRL_BUNDLE', name: 'inc', hashes: [inc, sq] });
+  await assert.rejects(registry.exportBundle({ 'not-valid': inc }), { code: 'ERR_IRL_BUNDLE' });
+  await assert.rejects(registry.exportBundle([]), { code: 'ERR_IRL_BUNDLE' });
+  await assert.rejects(registry.exportBundle(['math/inc'], { format: 'umd' }), { code: 'ERR_IRL_BAD_OPTION' });
+
+  // The same hash under the same name is fine
+  assert.deepEqual((await registry.exportBundle(['math/inc', inc])).exports, { inc });
+});
+
+test('a dependency cycle in stored entries is reported, not looped on', async () => {
+  const { registry, inc, dbl } = await demoRegistry();
+  // register() refuses cycles; a hand-edited document can still contain one
+  registry.lookup.index.get(inc).deps = { dbl };
+  registry.lookup.index.get(dbl).deps = { inc };
+
+  await assert.rejects(registry.exportBundle(['math/inc']),
+    { code: 'ERR_IRL_BUNDLE', message: `Dependency cycle: ${inc} -> ${dbl} -> ${inc}` });
+});
+
+test('.d.ts declarations use inferred param and return types', async () => {
+  const { registry } = await demoRegistry();
+  const { types } = await registry.exportBundle(REFS);
+
+  assert.match(types, /export declare function inc\(x: number\): number;/);
+  assert.match(types, /export declare function sumSq\(a: any, b: any\): number;/);
+  // Compositions take g's params and return f's result
+  assert.match(types, /export declare function incDouble\(n: number\): number;/);
+  assert.match(types, /export declare function greet\(name: any, greeting\?: string\): string;/);
+});
+
+test('signature inference covers the documented cases', async () => {
+  const { prover } = new S0FractalIRL();
+  const sig = (source, calls) => {
+    const { params, returns } = inferSignature(prover, source, calls);
+    return `(${params.join(', ')}): ${returns}`;
+  };
+
+  assert.equal(sig('(s, n) => s.length > n'), '(s: any[], n: number): boolean');
+  assert.equal(sig('x => x ? "yes" : 0'), '(x: any): string | number');
+  assert.equal(sig('(a, ...rest) => rest'), '(a: any, ...rest: any[]): any');
+  assert.equal(sig('x => { if (x > 0) return; }'), '(x: number): undefined');
+  assert.equal(sig('x => { console.log(x); }'), '(x: any): void');
+  assert.equal(sig('async x => x * 2'), '(x: number): Promise<number>');
+  assert.equal(sig('x => f(x) + 1', { f: 'number' }), '(x: any): number');
+  assert.equal(sig('x => f(x)'), '(x: any): any');
+});
+
+test('recursive functions get the return type of their base cases', async () => {
+  const { prover } = new S0FractalIRL();
+  const returns = source => inferSignature(prover, source).returns;
+
+  assert.equal(returns('function g(x) { return x <= 0 ? 0 : g(x - 1) + 1 }'), 'number');
+  assert.equal(returns('const fact = n => n <= 1 ? 1 : n * fact(n - 1)'), 'number');
+  assert.equal(returns('function fib(n) { if (n < 2) return n; return fib(n - 1) + fib(n - 2); }'), 'number');
+  assert.equal(returns('const pad = n => n <= 0 ? "" : pad(n - 1) + " "'), 'string');
+  assert.equal(returns('const f = n => n > 0 ? f(n - 1) : n === 0 ? "zero" : n'), 'string | number');
+  assert.equal(returns('const forever = x => forever(x)'), 'never');
+});
\ No newline at end of file
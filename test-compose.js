@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+
+// Composition tests - compose() and pipe() entries, hashes and B2
+// Run: node test-compose.js (part of npm test)
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { S0FractalIRL } from './index.js';
+
+async function setup() {
+  const registry = new S0FractalIRL();
+  const inc = await registry.register('x => x + 1');
+  const dbl = await registry.register('x => x * 2');
+  const sq = await registry.register('x => x * x');
+  return { registry, inc, dbl, sq };
+}
+
+test('compose registers f(g(x)) with f and g as deps', async () => {
+  const { registry, inc, dbl } = await setup();
+  const incDbl = await registry.compose(inc, dbl);
+  const entry = registry.lookup.index.get(incDbl);
+
+  assert.equal(entry.source, '(...args) => f(g(...args))');
+  assert.deepEqual(entry.deps, { f: inc, g: dbl });
+  assert.deepEqual(entry.compose, [inc, dbl]);
+  assert.deepEqual(registry.dependencies(incDbl), [inc, dbl]);
+
+  const fn = await registry.loadFunction(incDbl);
+  assert.equal(fn.call(3), 7);
+});
+
+test('composition hashes depend only on the inputs and their order', async () => {
+  const { registry, inc, dbl } = await setup();
+  const incDbl = await registry.compose(inc, dbl);
+  const registered = registry.stats.registered;
+
+  assert.equal(await registry.compose(inc, dbl), incDbl);
+  assert.equal(registry.stats.registered, registered);
+  assert.notEqual(await registry.compose(dbl, inc), incDbl);
+
+  const other = await setup();
+  assert.equal(await other.registry.compose(other.inc, other.dbl), incDbl);
+});
+
+test('pipe nests compositions left to right', async () => {
+  const { registry, inc, dbl, sq } = await setup();
+  const chain = await registry.pipe(inc, dbl, sq);
+
+  assert.deepEqual(registry.lookup.index.get(chain).compose, [sq, await registry.compose(dbl, inc)]);
+  assert.equal((await registry.loadFunction(chain)).call(2), 36);
+  assert.equal(await registry.pipe(inc), inc);
+
+  await assert.rejects(registry.pipe(), error => error.code === 'ERR_IRL_DEPS');
+  await assert.rejects(registry.pipe('ffffffff-ffff-ffff', inc), error => error.code === 'ERR_IRL_UNKNOWN_HASH');
+  await assert.rejects(registry.compose(inc, 'ffffffff-ffff-ffff'), /Unknown dependency/);
+});
\ No newline at end of file
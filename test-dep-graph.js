@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+
+// Dependency tests - B2 rule, cycle detection and dependents queries
+// Run: node test-dep-graph.js (part of npm test)
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { DependencyGraph } from './dep-graph.js';
+import { S0FractalIRL } from './index.js';
+
+test('DependencyGraph walks dependencies and dependents, nearest first', () => {
+  const graph = new DependencyGraph();
+  graph.set('c', { a: 'a', b: 'b' });
+  graph.set('d', { c: 'c' });
+  graph.set('e', { c: 'c', a: 'a' });
+
+  assert.deepEqual(graph.dependencies('d'), ['c']);
+  assert.deepEqual(graph.dependencies('d', { transitive: true }), ['c', 'a', 'b']);
+  assert.deepEqual(graph.dependents('a'), ['c', 'e']);
+  assert.deepEqual(graph.dependents('a', { transitive: true }), ['c', 'e', 'd']);
+  assert.deepEqual(graph.getStats(), { nodes: 3, edges: 5, referenced: 3 });
+
+  graph.delete('e');
+  assert.deepEqual(graph.dependents('a'), ['c']);
+});
+
+test('DependencyGraph enforces B2 and finds cycles', () => {
+  const graph = new DependencyGraph();
+  assert.throws(() => graph.checkB2({ a: 'a', b: 'b', c: 'c' }), /B2 rule violated: 3 dependencies/);
+
+  graph.set('b', { a: 'a' });
+  graph.set('c', { b: 'b' });
+  assert.deepEqual(graph.findCycleVia('a', { c: 'c' }), ['a', 'c', 'b', 'a']);
+  assert.deepEqual(graph.findCycleVia('a', { self: 'a' }), ['a', 'a']);
+  assert.equal(graph.findCycleVia('d', { c: 'c' }), null);
+
+  graph.set('a', { c: 'c' });
+  assert.deepEqual(graph.findCycles(), [['b', 'a', 'c', 'b']]);
+});
+
+test('register binds deps into the hash and the graph', async () => {
+  const registry = new S0FractalIRL();
+  const inc = await registry.register('x => x + 1');
+  const dbl = await registry.register('x => x * 2');
+
+  const both = await registry.register('x => inc(dbl(x))', { deps: { inc, dbl } });
+  const swapped = await registry.register('x => inc(dbl(x))', { deps: { inc: dbl, dbl: inc } });
+  assert.notEqual(both, swapped);
+  assert.deepEqual(registry.lookup.index.get(both).deps, { inc, dbl });
+
+  assert.deepEqual(registry.dependencies(both), [inc, dbl]);
+  assert.deepEqual(registry.dependents(inc).sort(), [both, swapped].sort());
+
+  const outer = await registry.register('x => both(x) + 1', { deps: { both } });
+  assert.deepEqual(registry.dependents(inc, { transitive: true }).slice(-1), [outer]);
+});
+
+test('register rejects unknown deps and more than two of them', async () => {
+  const registry = new S0FractalIRL();
+  const inc = await registry.register('x => x + 1');
+  const dbl = await registry.register('x => x * 2');
+  const neg = await registry.register('x => -x');
+
+  await assert.rejects(registry.register('x => f(x)', { deps: { f: 'deadbeef-0000-0000' } }), /Unknown dependency f/);
+  await assert.rejects(registry.register('x => a(b(c(x)))', { deps: { a: inc, b: dbl, c: neg } }), /B2 rule/);
+  await assert.rejects(registry.register('x => x', { deps: [inc] }), /deps must be an object/);
+});
+
+test('fromDocument restores the dependency graph', async () => {
+  const source = new S0FractalIRL();
+  const inc = await source.register('x => x + 1');
+  const twice = await source.register('x => inc(inc(x))', { deps: { inc } });
+
+  const registry = new S0FractalIRL();
+  registry.fromDocument(source.toDocument());
+  assert.deepEqual(registry.dependencies(twice), [inc]);
+  assert.deepEqual(registry.dependents(inc), [twice]);
+});
\ No newline at end of file
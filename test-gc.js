@@ -0,0 +1,142 @@
+#!/usr/bin/env node
+
+// GC tests - unregister, tombstones and mark-and-sweep from tag/keep roots
+// Run: node test-gc.js (part of npm test)
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { S0FractalIRL } from './index.js';
+
+// Silence the registry's load warnings inside fn
+async function quietly(fn) {
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.warn = warn;
+  }
+}
+
+// inc, dbl and both = inc(dbl(x)) with inc/dbl as deps
+async function registryWithDeps() {
+  const registry = new S0FractalIRL();
+  const inc = await registry.register('x => x + 1');
+  const dbl = await registry.register('x => x * 2');
+  const both = await registry.register('x => inc(dbl(x))', { deps: { inc, dbl } });
+  return { registry, inc, dbl, both };
+}
+
+test('unregister() leaves a tombstone that lookups report', async () => {
+  const registry = new S0FractalIRL();
+  const hash = await registry.register('x => x + 1');
+
+  const tombstone = registry.unregister(hash, { reason: 'typo', actor: 'alice' });
+  assert.equal(tombstone.hash, hash);
+  assert.equal(tombstone.reason, 'typo');
+  assert.equal(tombstone.actor, 'alice');
+  assert.ok(tombstone.removedAt);
+  assert.equal(registry.stats.unregistered, 1);
+
+  assert.equal(registry.lookup.has(hash), false);
+  assert.throws(() => registry.findHash(hash), { code: 'ERR_IRL_REMOVED' });
+  await assert.rejects(registry.lookup.get(hash), { code: 'ERR_IRL_REMOVED', tombstone: registry.lookup.removed(hash) });
+  await assert.rejects(registry.execute(hash, [1]), { code: 'ERR_IRL_REMOVED' });
+});
+
+test('unregister() refuses while other entries depend on the function', async () => {
+  const { registry, inc, dbl, both } = await registryWithDeps();
+
+  assert.throws(() => registry.unregister(dbl), { code: 'ERR_IRL_DEPENDENTS', hash: dbl, dependents: [both] });
+  assert.ok(registry.lookup.has(dbl));
+
+  registry.unregister(both);
+  registry.unregister(dbl);
+  assert.deepEqual(registry.dependents(inc), []);
+});
+
+test('unregister() deletes tags pointing at the function, with the reason in their history', async () => {
+  const registry = new S0FractalIRL();
+  const hash = await registry.register('x => x + 1');
+  registry.tag('math/inc', hash);
+
+  registry.unregister('math/inc', { reason: 'typo', actor: 'alice' });
+  assert.equal(registry.tags.has('math/inc'), false);
+  const last = registry.tags.history('math/inc').at(-1);
+  assert.equal(last.action, 'delete');
+  assert.equal(last.from, hash);
+  assert.equal(last.reason, `typo: ${hash}`);
+  assert.equal(last.actor, 'alice');
+});
+
+test('tombstones are saved, skip the entry on load, and registering again clears them', async () => {
+  const registry = new S0FractalIRL();
+  const keep = await registry.register('x => x * 2');
+  const hash = await registry.register('x => x + 1');
+  const doc = registry.toDocument();
+  registry.unregister(hash);
+
+  const saved = registry.toDocument();
+  assert.deepEqual(Object.keys(saved.tombstones), [hash]);
+
+  // An older document that still has the entry does not bring it back
+  const restored = new S0FractalIRL();
+  await quietly(() => restored.fromDocument({ ...doc, tombstones: saved.tombstones }));
+  assert.equal(restored.lookup.has(hash), false);
+  assert.ok(restored.lookup.has(keep));
+  assert.throws(() => restored.findHash(hash), { code: 'ERR_IRL_REMOVED' });
+
+  assert.equal(await restored.register('x => x + 1'), hash);
+  assert.equal(restored.lookup.removed(hash), null);
+  assert.equal(restored.toDocument().tombstones, undefined);
+});
+
+test('gc() keeps what tags and keep roots reach through deps', async () => {
+  const { registry, inc, dbl, both } = await registryWithDeps();
+  const orphan = await registry.register('x => x - 1');
+  const extra = await registry.register('x => x % 2');
+  registry.tag('math/both', both);
+
+  const report = registry.gc({ keep: [extra], actor: 'cron' });
+  assert.equal(report.roots, 2);
+  assert.deepEqual(report.removed, [orphan]);
+  assert.equal(report.kept, 4);
+  assert.equal(report.warning, undefined);
+  assert.equal(typeof report.bloom.after, 'number');
+  assert.equal(registry.stats.collected, 1);
+
+  for (const hash of [inc, dbl, both, extra]) assert.ok(registry.lookup.has(hash));
+  assert.equal(registry.lookup.removed(orphan).reason, 'garbage collected');
+  assert.equal(registry.lookup.removed(orphan).actor, 'cron');
+  assert.equal(registry.lookup.bloom.mightContain(orphan), false);
+});
+
+test('gc({ dryRun }) only reports', async () => {
+  const { registry, both } = await registryWithDeps();
+  const orphan = await registry.register('x => x - 1');
+  registry.tag('math/both', both);
+
+  const report = registry.gc({ dryRun: true });
+  assert.equal(report.dryRun, true);
+  assert.deepEqual(report.removed, [orphan]);
+  assert.equal(report.bloom.after, null);
+  assert.ok(registry.lookup.has(orphan));
+  assert.equal(registry.stats.collected, 0);
+});
+
+test('gc() with no roots returns a warning instead of logging it', async () => {
+  const registry = new S0FractalIRL();
+  const hash = await registry.register('x => x + 1');
+  const warn = console.warn;
+  const logged = [];
+  console.warn = message => logged.push(message);
+  try {
+    const report = registry.gc();
+    assert.equal(report.warning, 'gc: no tags or keep roots - nothing collected');
+    assert.deepEqual(report.removed, []);
+  } finally {
+    console.warn = warn;
+  }
+  assert.deepEqual(logged, []);
+  assert.ok(registry.lookup.has(hash));
+});
\ No newline at end of file
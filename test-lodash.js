@@ -3,6 +3,7 @@
 // Test s0fractal-IRL with real lodash-like functions
 
 import { S0FractalIRL } from './index.js';
+import { parseHash } from './hash-format.js';
 
 console.log('🧪 Testing s0fractal-IRL with lodash-like functions\n');
 console.log('=' .repeat(50));
@@ -30,6 +31,7 @@ const functions = [
   // Different operations
   { name: 'subtract', code: '(a, b) => a - b' },
   { name: 'multiply', code: '(a, b) => a * b' },
+  { name: 'multiplyReversed', code: '(a, b) => b * a' },
   { name: 'divide', code: '(a, b) => a / b' },
 
   // Increment/decrement
@@ -68,39 +70,23 @@ for (const func of functions) {
 
 console.log('\n🔍 Finding semantic duplicates:\n');
 
-// Group by semantic hash (first part)
-const groups = {};
-for (const func of registered) {
-  const semanticHash = func.hash.split('-')[0];
-  if (!groups[semanticHash]) {
-    groups[semanticHash] = [];
-  }
-  groups[semanticHash].push(func.name);
-}
+const report = registry.duplicates();
+const names = new Map(registered.map(f => [f.hash, f.name]));
 
-// Show groups with more than one function
-let duplicatesFound = false;
-for (const [hash, names] of Object.entries(groups)) {
-  if (names.length > 1) {
-    duplicatesFound = true;
-    console.log(`  Hash ${hash}: ${names.join(', ')}`);
-  }
+for (const cluster of report.clusters) {
+  console.log(`  Hash ${parseHash(cluster.canonical).semantic}: ${cluster.members.map(m => names.get(m.hash)).join(', ')}`);
 }
 
-if (!duplicatesFound) {
+if (report.clusters.length === 0) {
   console.log('  No semantic duplicates found');
 }
 
 console.log('\n📊 Analysis:\n');
 
-// Count unique semantic hashes
-const uniqueSemantic = new Set(registered.map(f => f.hash.split('-')[0]));
-const uniqueFull = new Set(registered.map(f => f.hash));
-
-console.log(`  Total functions: ${functions.length}`);
-console.log(`  Unique semantic hashes: ${uniqueSemantic.size}`);
-console.log(`  Unique full hashes: ${uniqueFull.size}`);
-console.log(`  Deduplication ratio: ${((1 - uniqueSemantic.size / functions.length) * 100).toFixed(1)}%`);
+console.log(`  Total functions: ${report.total}`);
+console.log(`  Unique semantic functions: ${report.unique}`);
+console.log(`  Unique full hashes: ${new Set(registered.map(f => f.hash)).size}`);
+console.log(`  Deduplication ratio: ${(report.dedupRatio * 100).toFixed(1)}%`);
 
 // Test specific cases
 console.log('\n✅ Validation Tests:\n');
@@ -109,26 +95,33 @@ const add1Hash = registered.find(f => f.name === 'add1').hash;
 const add2Hash = registered.find(f => f.name === 'add2').hash;
 const addRevHash = registered.find(f => f.name === 'addReversed').hash;
 const subHash = registered.find(f => f.name === 'subtract').hash;
+const mulHash = registered.find(f => f.name === 'multiply').hash;
+const mulRevHash = registered.find(f => f.name === 'multiplyReversed').hash;
 const inc1Hash = registered.find(f => f.name === 'inc1').hash;
 const inc2Hash = registered.find(f => f.name === 'inc2').hash;
 
-// Semantic parts (first segment)
-const add1Semantic = add1Hash.split('-')[0];
-const add2Semantic = add2Hash.split('-')[0];
-const addRevSemantic = addRevHash.split('-')[0];
-const subSemantic = subHash.split('-')[0];
-const inc1Semantic = inc1Hash.split('-')[0];
-const inc2Semantic = inc2Hash.split('-')[0];
+// Semantic parts (first segment after the prefix)
+const add1Semantic = parseHash(add1Hash).semantic;
+const add2Semantic = parseHash(add2Hash).semantic;
+const addRevSemantic = parseHash(addRevHash).semantic;
+const subSemantic = parseHash(subHash).semantic;
+const mulSemantic = parseHash(mulHash).semantic;
+const mulRevSemantic = parseHash(mulRevHash).semantic;
+const inc1Semantic = parseHash(inc1Hash).semantic;
+const inc2Semantic = parseHash(inc2Hash).semantic;
 
 console.log(`  add(a,b) == add(x,y): ${add1Semantic === add2Semantic ? '✅' : '❌'}`);
-console.log(`  add(a,b) == add(b,a): ${add1Semantic === addRevSemantic ? '✅' : '❌'}`);
+console.log(`  mul(a,b) == mul(b,a): ${mulSemantic === mulRevSemantic ? '✅' : '❌'}`);
 console.log(`  add != subtract: ${add1Semantic !== subSemantic ? '✅' : '❌'}`);
-console.log(`  x+1 == 1+x: ${inc1Semantic === inc2Semantic ? '✅' : '❌'}`);
+
+// + concatenates strings, so operand order matters unless both are numbers
+console.log(`  add(a,b) != add(b,a): ${add1Semantic !== addRevSemantic ? '✅' : '❌'}`);
+console.log(`  x+1 != 1+x: ${inc1Semantic !== inc2Semantic ? '✅' : '❌'}`);
 
 // Performance stats
 console.log('\n⚡ Performance:\n');
 const stats = registry.getStats();
-console.log(`  Average hash time: ${stats.avgHashTime}`);
+console.log(`  Average hash time: ${stats.avgHashTime.toFixed(2)}ms`);
 console.log(`  Functions registered: ${stats.registered}`);
 
 console.log('\n' + '=' .repeat(50));
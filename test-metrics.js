@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+
+// Metrics tests - histogram precision, registry stats and Prometheus output
+// Run: node test-metrics.js (part of npm test)
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { LatencyHistogram, Metrics, PROMETHEUS_BUCKETS } from './metrics.js';
+import { S0FractalIRL } from './index.js';
+
+const close = (actual, expected, tolerance = 0.01) =>
+  assert.ok(Math.abs(actual - expected) <= expected * tolerance, `${actual} not within ${tolerance * 100}% of ${expected}`);
+
+test('histogram percentiles stay within 1% without storing samples', () => {
+  const h = new LatencyHistogram();
+  for (let i = 1; i <= 10000; i++) h.record(i / 10);   // 0.1ms .. 1000ms
+
+  const snapshot = h.snapshot();
+  assert.equal(snapshot.count, 10000);
+  assert.equal(snapshot.min, 0.1);
+  assert.equal(snapshot.max, 1000);
+  close(snapshot.mean, 500.05, 1e-9);
+  close(snapshot.p50, 500);
+  close(snapshot.p90, 900);
+  close(snapshot.p99, 990);
+  assert.equal(h.percentile(100), 1000);
+
+  h.record(-1);
+  h.record(NaN);
+  assert.equal(h.count, 10000);
+});
+
+test('empty histograms report zeros and merge into others', () => {
+  const empty = new LatencyHistogram();
+  assert.deepEqual(empty.snapshot(), { count: 0, min: 0, max: 0, mean: 0, p50: 0, p90: 0, p99: 0 });
+
+  const a = new LatencyHistogram();
+  const b = new LatencyHistogram();
+  a.record(1);
+  b.record(3);
+  a.merge(b).merge(empty);
+  assert.deepEqual([a.count, a.min, a.max, a.sum], [2, 1, 3, 4]);
+  assert.equal(a.countAtOrBelow(2), 1);
+});
+
+test('toPrometheus writes cumulative buckets, quantiles and extra metrics', () => {
+  const metrics = new Metrics(['execute']);
+  metrics.record('execute', 0.002);
+  metrics.record('execute', 20);
+  const lines = metrics.toPrometheus({ extra: [{ name: 'functions', help: 'Registered functions.', value: 3 }] }).split('\n');
+
+  const bucket = le => Number(lines.find(l => l.startsWith(`irl_operation_duration_seconds_bucket{operation="execute",le="${le}"}`)).split(' ').pop());
+  assert.equal(bucket(PROMETHEUS_BUCKETS[0]), 1);
+  assert.equal(bucket(0.01), 1);
+  assert.equal(bucket(0.03), 2);
+  assert.equal(bucket('+Inf'), 2);
+  assert.ok(lines.includes('irl_operation_duration_seconds_count{operation="execute"} 2'));
+  assert.ok(lines.includes('irl_operation_duration_quantile_seconds{operation="execute",quantile="1"} 0.02'));
+  assert.ok(lines.includes('# TYPE irl_functions gauge'));
+  assert.ok(lines.includes('irl_functions 3'));
+});
+
+test('registry stats are numbers and feed the metrics block', async () => {
+  const registry = new S0FractalIRL();
+  const hash = await registry.register('x => x + 1');
+  await registry.prove(hash, 'L0');
+
+  const stats = registry.getStats();
+  assert.equal(typeof stats.avgHashTime, 'number');
+  assert.equal(typeof stats.avgExecTime, 'number');
+  for (const op of ['hash', 'prove', 'ctc']) assert.ok(stats.latency[op].count >= 1, op);
+
+  const metrics = registry.getMetrics();
+  assert.equal(metrics.totalFunctions, 1);
+  assert.ok(metrics.p99Latency >= metrics.medianLatency);
+  assert.deepEqual(registry.toDocument().metrics, { ...metrics, latency: registry.toDocument().metrics.latency });
+
+  const text = registry.prometheus();
+  assert.match(text, /^irl_functions 1$/m);
+  assert.match(text, /^irl_registered_total 1$/m);
+});
\ No newline at end of file
@@ -0,0 +1,159 @@
+#!/usr/bin/env node
+
+// Module ingest tests - ES/CommonJS exports, helpers as deps, failure reasons
+// Run: node test-module-ingest.js (part of npm test)
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { S0FractalIRL } from './index.js';
+import { extractFunctions } from './module-ingest.js';
+
+// Write { relativePath: code } under a temp dir, run fn(dir), then clean up
+async function withModules(files, fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'irl-ingest-'));
+  try {
+    for (const [file, code] of Object.entries(files)) {
+      fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+      fs.writeFileSync(path.join(dir, file), code);
+    }
+    return await fn(dir);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+const ESM = `
+import { readFile } from 'fs';
+
+const square = x => x * x;
+function clamp(x, lo, hi) { return Math.min(hi, Math.max(lo, x)); }
+
+export const sumSquares = (a, b) => square(a) + square(b);
+export function norm(a, b) { return Math.sqrt(sumSquares(a, b)); }
+export default function (x) { return clamp(x, 0, 1); }
+export const fact = n => n <= 1 ? 1 : n * fact(n - 1);
+
+export const load = file => readFile(file);
+export const now = () => Date.now() + offset;
+export const isEven = n => n === 0 || isOdd(n - 1);
+const isOdd = n => n !== 0 && isEven(n - 1);
+export class Point {}
+export const LIMIT = 10;
+export { helper } from './other.js';
+`;
+
+const CJS = `
+'use strict';
+exports.replaced = () => 0;
+const path = require('path');
+
+function inc(x) { return x + 1; }
+const twice = f => x => f(f(x));
+
+module.exports = {
+  addTwo: x => inc(inc(x)),
+  twice,
+  sq(x) { return x * x; },
+  base: p => path.basename(p)
+};
+`;
+
+test('ES module exports are registered with their helpers as deps', async () => {
+  const registry = new S0FractalIRL();
+  await withModules({ 'math.mjs': ESM }, async dir => {
+    const manifest = await registry.ingest(path.join(dir, 'math.mjs'));
+    const exports = manifest.exports['math.mjs'];
+
+    assert.deepEqual(Object.keys(exports).sort(), ['default', 'fact', 'norm', 'sumSquares']);
+    assert.deepEqual(Object.keys(manifest.helpers['math.mjs']).sort(), ['clamp', 'square']);
+    assert.equal(manifest.registered, 6);
+
+    const { square, clamp } = manifest.helpers['math.mjs'];
+    assert.deepEqual(registry.lookup.index.get(exports.sumSquares).deps, { square });
+    assert.deepEqual(registry.lookup.index.get(exports.norm).deps, { sumSquares: exports.sumSquares });
+    assert.deepEqual(registry.lookup.index.get(exports.default).deps, { clamp });
+    assert.equal(registry.lookup.index.get(exports.fact).deps, undefined);
+
+    assert.equal((await registry.loadFunction(exports.norm)).call(3, 4), 5);
+    assert.equal((await registry.loadFunction(exports.default)).call(7), 1);
+    assert.equal((await registry.loadFunction(exports.fact)).call(5), 120);
+  });
+});
+
+test('every ES export that cannot be registered says why', async () => {
+  const registry = new S0FractalIRL();
+  await withModules({ 'math.mjs': ESM }, async dir => {
+    const manifest = await registry.ingest(path.join(dir, 'math.mjs'));
+    const reasons = Object.fromEntries(manifest.failed.map(f => [f.name, f.reason]));
+
+    assert.deepEqual(reasons, {
+      load: 'uses readFile, imported from fs',
+      now: 'uses global offset',
+      isEven: 'mutual recursion: isEven -> isOdd -> isEven',
+      Point: 'exports class Point',
+      LIMIT: 'exports LIMIT, which is not a function',
+      helper: 're-exported from ./other.js'
+    });
+    assert.ok(manifest.failed.every(f => f.file === 'math.mjs' && Number.isInteger(f.line)));
+  });
+});
+
+test('CommonJS exports are registered, requires are reported', async () => {
+  const registry = new S0FractalIRL();
+  await withModules({ 'lib.cjs': CJS }, async dir => {
+    const manifest = await registry.ingest(path.join(dir, 'lib.cjs'));
+    const exports = manifest.exports['lib.cjs'];
+
+    // module.exports = {...} drops the exports.x assigned before it
+    assert.deepEqual(Object.keys(exports).sort(), ['addTwo', 'sq', 'twice']);
+    assert.deepEqual(registry.lookup.index.get(exports.addTwo).deps, { inc: manifest.helpers['lib.cjs'].inc });
+    assert.equal((await registry.loadFunction(exports.addTwo)).call(1), 3);
+    assert.equal((await registry.loadFunction(exports.sq)).call(4), 16);
+
+    assert.deepEqual(manifest.failed.map(f => [f.name, f.reason]), [['base', 'uses path, imported from path']]);
+  });
+});
+
+test('a directory is ingested file by file, skipping node_modules', async () => {
+  const registry = new S0FractalIRL();
+  await withModules({
+    'a.js': 'export const inc = x => x + 1;',
+    'sub/b.cjs': 'module.exports = x => x * 2;',
+    'node_modules/dep/index.js': 'export const skipped = () => 0;',
+    'broken.js': 'export const = ;'
+  }, async dir => {
+    const manifest = await registry.ingest(dir);
+
+    assert.equal(manifest.files, 3);
+    assert.deepEqual(Object.keys(manifest.exports).sort(), ['a.js', 'sub/b.cjs']);
+    assert.ok(manifest.exports['sub/b.cjs'].default);
+    assert.equal(manifest.failed.length, 1);
+    assert.equal(manifest.failed[0].file, 'broken.js');
+    assert.match(manifest.failed[0].reason, /^Cannot parse broken\.js/);
+  });
+});
+
+test('the ingest budget and signal stop registration', async () => {
+  const registry = new S0FractalIRL();
+  await withModules({ 'a.js': 'const inc = x => x + 1;\nexport const add2 = x => inc(inc(x));' }, async dir => {
+    const late = await registry.ingest(dir, { budget: 0.001 });
+    assert.equal(late.registered, 0);
+    assert.deepEqual(late.failed.map(f => f.reason), ['ingest budget of 0.001ms exceeded']);
+
+    const controller = new AbortController();
+    controller.abort();
+    const cancelled = await registry.ingest(dir, { signal: controller.signal });
+    assert.deepEqual(cancelled.failed.map(f => f.reason), ['cancelled']);
+  });
+
+  await assert.rejects(registry.ingest('/nonexistent/irl-ingest'), { code: 'ERR_IRL_INGEST' });
+});
+
+test('extractFunctions() names self-recursive and anonymous functions', () => {
+  const { functions } = extractFunctions('export const fact = n => n <= 1 ? 1 : n * fact(n - 1);\nexport default function (x) { return x; }');
+  assert.equal(functions.get('fact').source, 'const fact = n => n <= 1 ? 1 : n * fact(n - 1)');
+  assert.equal(functions.get('_default').source, 'const _default = function (x) { return x; }');
+});
\ No newline at end of file
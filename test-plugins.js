@@ -0,0 +1,104 @@
+#!/usr/bin/env node
+
+// Plugin tests - hook order, vetoes, replacements, annotations and isolation
+// Run: node test-plugins.js (part of npm test)
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { PluginManager } from './plugins.js';
+import { S0FractalIRL } from './index.js';
+
+test('beforeRegister can veto, and hooks annotate the entry in order', async () => {
+  const calls = [];
+  const registry = new S0FractalIRL({
+    plugins: [
+      {
+        name: 'audit',
+        order: 2,
+        afterRegister: ({ hash, entry }) => {
+          calls.push('audit');
+          assert.ok(Object.isFrozen(entry));
+          assert.equal(entry.hash, hash);
+        }
+      },
+      {
+        name: 'banned-api',
+        order: 1,
+        beforeRegister(ctx) {
+          calls.push('banned-api');
+          if (/\beval\b/.test(ctx.source)) ctx.veto('eval is banned');
+          ctx.annotate({ scanned: true });
+        }
+      }
+    ]
+  });
+
+  await assert.rejects(registry.register('x => eval(x)'), error => {
+    assert.equal(error.code, 'ERR_IRL_VETO');
+    assert.equal(error.plugin, 'banned-api');
+    return true;
+  });
+  assert.equal(registry.lookup.index.size, 0);
+
+  const hash = await registry.register('x => x + 1');
+  assert.deepEqual(registry.lookup.index.get(hash).annotations, { 'banned-api': { scanned: true } });
+  assert.deepEqual(calls, ['banned-api', 'banned-api', 'audit']);
+  assert.deepEqual(registry.plugins.list().map(p => p.name), ['banned-api', 'audit']);
+});
+
+test('onProof can replace a fresh proof before it is cached', async () => {
+  const registry = new S0FractalIRL();
+  registry.use({ name: 'stamp', onProof: ({ proof }) => ({ proof: { ...proof, stamped: true } }) });
+  const hash = await registry.register('x => x + 1');
+
+  const proof = await registry.prove(hash, 'L0');
+  assert.equal(proof.stamped, true);
+  assert.equal((await registry.prove(hash, 'L0')).stamped, true);
+  assert.equal(registry.plugins.getStats().byPlugin.stamp.calls, 1);
+});
+
+test('hooks replace only their own fields', async () => {
+  const plugins = new PluginManager();
+  plugins.use({ name: 'double', beforeExecute: ({ inputs }) => ({ inputs: inputs.map(x => x * 2), result: 'ignored' }) });
+  plugins.use({ name: 'round', afterExecute: ({ result }) => ({ result: Math.round(result) }) });
+
+  const before = await plugins.run('beforeExecute', { hash: 'h', inputs: [1, 2] });
+  assert.deepEqual(before.inputs, [2, 4]);
+  assert.equal('result' in before, false);
+  assert.equal((await plugins.run('afterExecute', { hash: 'h', result: 1.6 })).result, 2);
+
+  plugins.use({ name: 'broken', beforeExecute: () => ({ inputs: 'nope' }) });
+  assert.deepEqual((await plugins.run('beforeExecute', { hash: 'h', inputs: [1] })).inputs, [2]);
+});
+
+test('failing or slow plugins are skipped and reported unless critical', async () => {
+  const plugins = new PluginManager();
+  const errors = [];
+  plugins.on('plugin-error', event => errors.push(event));
+
+  plugins.use({ name: 'throws', beforeRegister: ctx => { ctx.annotate({ lost: true }); throw new Error('boom'); } });
+  plugins.use({ name: 'slow', budget: 1, beforeRegister: () => new Promise(resolve => setTimeout(resolve, 50)) });
+  plugins.use({ name: 'fine', beforeRegister: ctx => ctx.annotate({ ok: true }) });
+
+  const { annotations } = await plugins.run('beforeRegister', { source: 'x => x' });
+  assert.deepEqual(annotations, { fine: { ok: true } });
+  assert.deepEqual(errors.map(e => e.plugin), ['throws', 'slow']);
+  assert.equal(plugins.getStats().byPlugin.slow.timeouts, 1);
+
+  plugins.use({ name: 'strict', critical: true, beforeRegister: () => { throw new Error('no'); } });
+  await assert.rejects(plugins.run('beforeRegister', { source: 'x => x' }), error => {
+    assert.equal(error.code, 'ERR_IRL_PLUGIN');
+    assert.match(error.message, /Critical plugin strict failed in beforeRegister: no/);
+    return true;
+  });
+});
+
+test('use() rejects unnamed, duplicate and hookless plugins', () => {
+  const plugins = new PluginManager();
+  plugins.use({ name: 'a', afterRegister() {} });
+  for (const plugin of [null, { afterRegister() {} }, { name: 'a', afterRegister() {} }, { name: 'b' }]) {
+    assert.throws(() => plugins.use(plugin), error => error.code === 'ERR_IRL_PLUGIN');
+  }
+  assert.equal(plugins.remove('a'), true);
+  assert.equal(plugins.remove('a'), false);
+});
\ No newline at end of file
@@ -0,0 +1,100 @@
+#!/usr/bin/env node
+
+// Property testing tests - vm sandbox, seeded generators, shrinking and L0 proofs
+// Run: node test-property-test.js (part of npm test)
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import * as acorn from 'acorn';
+import { FunctionSandbox, isTimeout } from './sandbox.js';
+import { PropertyTester, Random, inferParamTypes } from './property-test.js';
+import { S0FractalIRL } from './index.js';
+
+const parse = code => acorn.parse(code, { ecmaVersion: 2020 }).body[0].expression;
+
+test('FunctionSandbox runs expressions and declarations with deps as globals', () => {
+  assert.equal(new FunctionSandbox('(a, b) => a + b').call(2, 3), 5);
+  assert.equal(new FunctionSandbox('function sq(n) { return n * n }').call(4), 16);
+  assert.equal(new FunctionSandbox('const neg = x => -x').call(1), -1);
+
+  const inc = new FunctionSandbox('x => x + 1');
+  const twice = new FunctionSandbox('x => inc(inc(x))', { globals: { inc: inc.fn } });
+  assert.equal(twice.call(1), 3);
+  assert.equal(twice.arity, 1);
+
+  assert.throws(() => new FunctionSandbox('42'), /does not evaluate to a function/);
+  assert.throws(() => new FunctionSandbox(''), /Empty source/);
+});
+
+test('FunctionSandbox calls time out', () => {
+  const loop = new FunctionSandbox('x => { while (true) {} }');
+  assert.throws(() => loop.call(1), error => isTimeout(error));
+  assert.throws(() => new FunctionSandbox('x => { throw new RangeError("no") }').call(1), /no/);
+});
+
+test('inferParamTypes reads types from how params are used', () => {
+  assert.deepEqual(inferParamTypes(parse('(a, b) => a * b')), ['number', 'number']);
+  assert.deepEqual(inferParamTypes(parse('(s, n) => s + "!"')), ['string', 'any']);
+  assert.deepEqual(inferParamTypes(parse('(xs, f, o, ...rest) => f(xs[0], o.k)')), ['array', 'function', 'object', 'array']);
+});
+
+test('Random is reproducible per seed', () => {
+  const draw = seed => { const r = new Random(seed); return [r.next(), r.int(0, 100), r.pick(['a', 'b', 'c'])]; };
+  assert.deepEqual(draw(7), draw(7));
+  assert.notDeepEqual(draw(7), draw(8));
+});
+
+test('run checks determinism, totality and algebraic laws reproducibly', () => {
+  const tester = new PropertyTester();
+  const code = '(a, b) => a + b';
+  const result = tester.run(new FunctionSandbox(code), code, { seed: 42 });
+
+  assert.equal(result.valid, true);
+  assert.equal(result.counterexample, null);
+  assert.deepEqual(result.argTypes, ['number', 'number']);
+  assert.deepEqual(result.properties.map(p => p.name), ['determinism', 'totality', 'commutativity', 'associativity']);
+  assert.deepEqual(result.properties.map(p => p.status), ['passed', 'passed', 'passed', 'passed']);
+
+  const again = tester.run(new FunctionSandbox(code), code, { seed: 42 });
+  assert.deepEqual(again.properties.map(p => p.runs), result.properties.map(p => p.runs));
+});
+
+test('failures are shrunk to a counterexample', () => {
+  const tester = new PropertyTester();
+  const partial = 'x => { if (x > 500) throw new Error("too big"); return x }';
+  const result = tester.run(new FunctionSandbox(partial), partial, { seed: 1, args: ['integer'] });
+
+  assert.equal(result.valid, false);
+  assert.match(result.counterexample.error, /too big/);
+  assert.ok(result.counterexample.args[0] > 500);
+  assert.ok(result.counterexample.args[0] <= result.counterexample.original[0]);
+
+  const add = '(a, b) => a + b';
+  const bounded = tester.run(new FunctionSandbox(add), add, {
+    seed: 42,
+    properties: [{ name: 'bounded', args: ['integer', 'integer'], predicate: (f, a, b) => f(a, b) < 100 }]
+  });
+  const { property, args, result: value } = bounded.counterexample;
+  assert.equal(property, 'bounded');
+  assert.equal(value, false);
+  assert.ok(args[0] + args[1] >= 100);
+});
+
+test('registry L0 proofs run the source and are seeded by the hash', async () => {
+  const registry = new S0FractalIRL();
+  const hash = await registry.register('x => x + 1');
+
+  const proof = await registry.prove(hash, 'L0');
+  assert.equal(proof.valid, true);
+  assert.equal(proof.type, 'property-test');
+  assert.equal(registry.lookup.index.get(hash).proofs.L0, true);
+
+  const again = await registry.prove(hash, 'L0', { runs: proof.runs });
+  assert.equal(again.seed, proof.seed);
+
+  const bad = await registry.register('x => { if (x === 3) throw new Error("three"); return x }');
+  const failed = await registry.prove(bad, 'L0', { args: [{ type: 'integer', min: 0, max: 5 }] });
+  assert.equal(failed.valid, false);
+  assert.deepEqual(failed.counterexample.args, [3]);
+  assert.equal(registry.lookup.index.get(bad).proofs.L0, false);
+});
\ No newline at end of file
@@ -0,0 +1,126 @@
+#!/usr/bin/env node
+
+// Provenance tests - Ed25519 signatures, trust store and load policies
+// Run: node test-provenance.js (part of npm test)
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { Signer, TrustStore, verifyProvenance, generateSigningKey, keyIdFor, canonicalJSON } from './provenance.js';
+import { S0FractalIRL } from './index.js';
+
+// Silence the registry's load warnings inside fn
+async function quietly(fn) {
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.warn = warn;
+  }
+}
+
+const entry = { hash: 'h', source: 'x => x + 1', wasm: '', created: '2026-01-01T00:00:00.000Z' };
+
+test('signatures cover the entry identity, not its mutable fields', () => {
+  const key = generateSigningKey();
+  const signer = new Signer(key.privateKey);
+  assert.equal(signer.keyId, key.keyId);
+  assert.match(key.keyId, /^ed25519:[0-9a-f]{16}$/);
+  assert.equal(keyIdFor(key.publicKey), key.keyId);
+
+  const signed = { ...entry, provenance: signer.sign(entry) };
+  const trust = new TrustStore();
+  trust.add(key.publicKey, { name: 'team-a' });
+
+  assert.equal(verifyProvenance(signed, trust).status, 'trusted');
+  assert.equal(verifyProvenance({ ...signed, perf: { hashTime: 1 }, proofs: { L0: true } }, trust).status, 'trusted');
+  assert.equal(verifyProvenance({ ...signed, source: 'x => x + 2' }, trust).status, 'invalid');
+  assert.equal(verifyProvenance({ ...signed, deps: { f: 'h2' } }, trust).status, 'invalid');
+  assert.equal(verifyProvenance(signed, new TrustStore()).status, 'untrusted');
+  assert.equal(verifyProvenance(entry, trust).status, 'unsigned');
+});
+
+test('only Ed25519 keys are accepted', () => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  assert.throws(() => new Signer(privateKey), error => error.code === 'ERR_IRL_PROVENANCE_KEY');
+  assert.throws(() => new TrustStore().add(publicKey), error => error.code === 'ERR_IRL_PROVENANCE_KEY');
+  assert.throws(() => new Signer('not a key'), error => error.code === 'ERR_IRL_PROVENANCE_KEY');
+});
+
+test('canonicalJSON is key-order independent', () => {
+  assert.equal(canonicalJSON({ b: 1, a: [{ d: 2, c: undefined }] }), '{"a":[{"d":2}],"b":1}');
+  assert.equal(canonicalJSON({ a: 1, b: 2 }), canonicalJSON({ b: 2, a: 1 }));
+});
+
+test('the trust store saves and reloads, and refuses mismatched key ids', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'irl-trust-'));
+  try {
+    const file = path.join(dir, 'trust.json');
+    const a = generateSigningKey();
+    const b = generateSigningKey();
+
+    const trust = new TrustStore({ file });
+    trust.add(a.publicKey, { name: 'team-a' });
+    trust.save();
+
+    const reloaded = new TrustStore({ file });
+    assert.deepEqual(reloaded.list().map(k => [k.keyId, k.name]), [[a.keyId, 'team-a']]);
+    assert.equal(reloaded.remove(a.keyId), true);
+    assert.equal(reloaded.has(a.keyId), false);
+
+    const doc = JSON.parse(fs.readFileSync(file, 'utf8'));
+    doc.keys[a.keyId].publicKey = b.publicKey;
+    fs.writeFileSync(file, JSON.stringify(doc));
+    assert.throws(() => new TrustStore({ file }), /does not match its public key/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('registries sign new entries and check loaded ones by policy', async () => {
+  const teamA = generateSigningKey();
+  const teamB = generateSigningKey();
+
+  const a = new S0FractalIRL({ signer: teamA.privateKey });
+  const signed = await a.register('x => x + 1');
+  const tampered = await a.register('x => x * 2');
+  assert.equal(a.lookup.index.get(signed).provenance.keyId, teamA.keyId);
+
+  const b = new S0FractalIRL({ signer: teamB.privateKey });
+  const untrusted = await b.register('x => -x');
+  const plain = new S0FractalIRL();
+  const unsigned = await plain.register('x => x - 1');
+
+  const doc = a.toDocument();
+  doc.registry[tampered].source = 'x => x * 3';
+  Object.assign(doc.registry, b.toDocument().registry, plain.toDocument().registry);
+
+  const trust = new TrustStore();
+  trust.add(teamA.publicKey);
+  const load = async policy => {
+    const registry = new S0FractalIRL({ trust, provenance: policy });
+    const events = [];
+    registry.on('provenance', event => events.push(`${event.status} ${event.hash}`));
+    await quietly(() => registry.fromDocument(structuredClone(doc)));
+    return { registry, events };
+  };
+
+  const flagged = await load('flag');
+  assert.equal(flagged.registry.lookup.index.size, 4);
+  assert.deepEqual(flagged.events.sort(), [`invalid ${tampered}`, `unsigned ${unsigned}`, `untrusted ${untrusted}`].sort());
+  assert.deepEqual(flagged.registry.provenanceReport().counts, { trusted: 1, unsigned: 1, untrusted: 1, invalid: 1 });
+  assert.equal(flagged.registry.provenanceFlags.get(untrusted).status, 'untrusted');
+
+  const rejected = await load('reject');
+  assert.deepEqual([...rejected.registry.lookup.index.keys()], [signed]);
+
+  const off = await load('off');
+  assert.equal(off.registry.lookup.index.size, 4);
+  assert.deepEqual(off.events, []);
+
+  assert.throws(() => new S0FractalIRL({ provenance: 'maybe' }), error => error.code === 'ERR_IRL_BAD_OPTION');
+});
\ No newline at end of file
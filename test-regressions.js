@@ -0,0 +1,201 @@
+#!/usr/bin/env node
+
+// Regression tests - behavior found in review that must not come back
+// Run: node test-regressions.js (part of npm test)
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { FastLookup } from './fast-lookup.js';
+import { S0FractalIRL } from './index.js';
+import { formatPrefix, parseHash } from './hash-format.js';
+import { IRLServer } from './server.js';
+import { COMMAND_BUDGETS } from './irl.js';
+import { PERF_BUDGET } from './budget.js';
+
+test('importIndex merges the stored bloom into a non-empty filter', async () => {
+  const lookup = new FastLookup({ validate: false });
+  await lookup.add('1e05-aaaaaaaa-aaaa-aaaa', { hash: '1e05-aaaaaaaa-aaaa-aaaa' });
+
+  const other = new FastLookup({ validate: false });
+  await other.add('1e05-bbbbbbbb-bbbb-bbbb', { hash: '1e05-bbbbbbbb-bbbb-bbbb' });
+  lookup.importIndex({ '1e05-bbbbbbbb-bbbb-bbbb': { hash: '1e05-bbbbbbbb-bbbb-bbbb' } }, other.exportIndex());
+
+  assert.ok(lookup.bloom.mightContain('1e05-aaaaaaaa-aaaa-aaaa'));
+  assert.ok(lookup.bloom.mightContain('1e05-bbbbbbbb-bbbb-bbbb'));
+  assert.equal(lookup.bloom.itemCount, 2);
+});
+
+// Silence the registry's load warnings inside fn
+async function quietly(fn) {
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.warn = warn;
+  }
+}
+
+test('fromDocument rejects every invalid entry, not just the first 20 errors', async () => {
+  const source = new S0FractalIRL();
+  for (let i = 0; i < 30; i++) await source.register(`x => x + ${i}`);
+  const doc = source.toDocument();
+  for (const entry of Object.values(doc.registry)) entry.ctc = { type: 'bogus' };
+
+  const registry = new S0FractalIRL();
+  await quietly(() => registry.fromDocument(doc));
+  assert.equal(registry.lookup.index.size, 0);
+});
+
+test('an L0 proof that runs out of time is inconclusive, not valid', async () => {
+  const registry = new S0FractalIRL();
+  const hash = await registry.register('x => x + 1');
+  const proof = await registry.prove(hash, 'L0', { maxTime: 1e-6 });
+
+  assert.equal(proof.valid, false);
+  assert.equal(proof.status, 'inconclusive');
+  assert.equal(proof.exhausted, true);
+  assert.equal(registry.lookup.index.get(hash).proofs?.L0, undefined);
+
+  const full = await registry.prove(hash, 'L0');
+  assert.equal(full.valid, true);
+  assert.equal(full.status, 'valid');
+});
+
+test('equivalent() tests other types for + operands and never merges on bounded evidence', async () => {
+  const registry = new S0FractalIRL();
+  const check = async (a, b) => registry.equivalent(await registry.register(a), await registry.register(b), { merge: true });
+
+  assert.equal((await check('(a, b) => a + b', '(a, b) => b + a')).status, 'different');
+  assert.equal((await check('x => x * 1', 'x => x')).status, 'different');
+
+  const bounded = await check('x => x === null || x === undefined', 'x => x == null');
+  assert.equal(bounded.status, 'equivalent-bounded');
+  assert.equal(bounded.canonical, undefined);
+  assert.equal(registry.aliases.size, 0);
+});
+
+test('verifyEntry checks full hashes and refuses hasher versions it cannot recompute', async () => {
+  const registry = new S0FractalIRL();
+  const entry = registry.lookup.index.get(await registry.register('x => x + 1'));
+  assert.equal(registry.verifyEntry(entry), true);
+  assert.equal(registry.verifyEntry({ ...entry, source: 'x => x + 2' }), false);
+
+  // Same hasher version, other algorithm: recomputed in full
+  const sha = new S0FractalIRL({ hashAlgorithm: 'sha2-256' });
+  const shaEntry = sha.lookup.index.get(await sha.register('x => x + 1'));
+  assert.equal(registry.verifyEntry(shaEntry), true);
+  assert.equal(registry.verifyEntry({ ...shaEntry, source: 'x => x - 1' }), false);
+
+  // Older hasher version: the 16-bit exact segment would match, but that proves nothing
+  const older = formatPrefix('blake3', registry.hashFormat.version - 1) + entry.hash.slice(4);
+  assert.equal(registry.verifyEntry({ ...entry, hash: older }), false);
+});
+
+test('the HTTP API refuses to register or prove code unless the operator allows it', async () => {
+  const registry = new S0FractalIRL();
+  const hash = await registry.register('x => x + 1');
+
+  for (const [options, expected] of [[{}, [403, 403]], [{ allowCode: true }, [201, 200]]]) {
+    const server = new IRLServer(registry, { ...options, deadlines: { register: 1000, prove: 1000 } });
+    const { port } = await server.listen(0);
+    try {
+      const url = `http://127.0.0.1:${port}/functions`;
+      const registered = await fetch(url, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({ source: "x => this.constructor.constructor('return process')().pid" })
+      });
+      const proved = await fetch(`${url}/${hash}/proofs/L0`);
+      assert.deepEqual([registered.status, proved.status], expected);
+      if (expected[0] === 403) assert.equal((await registered.json()).error.code, 'ERR_IRL_DISABLED');
+    } finally {
+      await server.close();
+    }
+  }
+});
+
+test('irl prove runs under the same PROOF budget as registry.prove()', () => {
+  const registry = new S0FractalIRL();
+  assert.equal(COMMAND_BUDGETS.prove, 'PROOF');
+  assert.equal(registry.budget.limit(COMMAND_BUDGETS.prove), registry.budget.limit('prove'));
+});
+
+test('compositions execute their parts, not the mock executor', async () => {
+  const registry = new S0FractalIRL();
+  const inc = await registry.register('x => x + 1');
+  const dbl = await registry.register('x => x * 2');
+  const sq = await registry.register('x => x * x');
+
+  assert.equal(await registry.execute(await registry.compose(inc, dbl), [3]), 7);
+  assert.equal(await registry.execute(await registry.pipe(inc, dbl, sq), [1]), 16);
+});
+
+test('a cold run gets the cold budget, not the execute budget', async () => {
+  const registry = new S0FractalIRL({ budgets: { execute: 0.001, cold: 1000 } });
+  const events = [];
+  registry.on('budget-exceeded', event => events.push(event));
+
+  const hash = await registry.register('x => x + 1');
+  assert.equal(await registry.execute(hash, [1]), 42);
+  assert.deepEqual(events, []);
+  assert.equal(registry.budget.report().stages['cold:execute'].runs, 1);
+});
+
+test('a hanging cold compile is aborted under the cold budget', async () => {
+  const registry = new S0FractalIRL({ budgets: { cold: 20 } });
+  const events = [];
+  registry.on('budget-exceeded', event => events.push(event));
+  registry.executor._compile = () => new Promise(() => {});
+
+  const hash = await registry.register('x => x + 1');
+  await assert.rejects(registry.execute(hash, [1]), { code: 'ERR_IRL_BUDGET' });
+  assert.ok(events.some(e => e.stage === 'cold:compile' && e.aborted));
+  assert.ok(events.some(e => e.stage === 'cold:execute' && e.aborted));
+  assert.equal(registry.executor.aotCache.has(hash), false);
+  assert.equal(registry.executor.compiling.has(hash), false);
+});
+
+test('a hanging cold sandbox run is aborted under the cold budget', async () => {
+  const registry = new S0FractalIRL({ budgets: { cold: 20 } });
+  const inc = await registry.register('x => x + 1');
+  const composed = await registry.compose(inc, inc);
+  registry.loadFunction = () => new Promise(() => {});
+
+  await assert.rejects(registry.execute(composed, [1]), { code: 'ERR_IRL_BUDGET', stage: 'cold:execute' });
+});
+
+test('gc() without any roots collects nothing', async () => {
+  const registry = new S0FractalIRL();
+  const hash = await registry.register('x => x + 1');
+
+  const report = registry.gc();
+  assert.deepEqual(report.removed, []);
+  assert.ok(report.warning);
+  assert.ok(registry.lookup.has(hash));
+
+  const other = await registry.register('x => x * 2');
+  registry.tag('math/inc', hash);
+  assert.deepEqual(registry.gc().removed, [other]);
+});
+
+test('+ operands are sorted only when both are numeric', async () => {
+  const registry = new S0FractalIRL();
+  const semantic = async code => parseHash(await registry.register(code)).semantic;
+
+  assert.notEqual(await semantic('x => "a" + x'), await semantic('x => x + "a"'));
+  assert.notEqual(await semantic('(a, b) => a + b'), await semantic('(a, b) => b + a'));
+  assert.equal(registry.duplicates().clusters.length, 0);
+
+  assert.equal(await semantic('(a, b) => a * b'), await semantic('(a, b) => b * a'));
+  assert.equal(await semantic('x => x * 2 + 1'), await semantic('x => 1 + x * 2'));
+});
+
+test('the schema lists every PERF_BUDGET key with its default', () => {
+  const schema = JSON.parse(fs.readFileSync(new URL('./irl-schema.json', import.meta.url), 'utf8'));
+  const properties = schema.definitions.performanceBudget.properties;
+
+  assert.deepEqual(Object.keys(properties).sort(), Object.keys(PERF_BUDGET).sort());
+  for (const [key, ms] of Object.entries(PERF_BUDGET)) assert.equal(properties[key].default, ms, key);
+});
\ No newline at end of file
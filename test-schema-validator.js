@@ -0,0 +1,97 @@
+#!/usr/bin/env node
+
+// Schema validator tests - draft-07 keywords, entry checks and registry loading
+// Run: node test-schema-validator.js (part of npm test)
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { SchemaValidator, SchemaValidationError, irlValidator } from './schema-validator.js';
+import { FastLookup } from './fast-lookup.js';
+import { S0FractalIRL } from './index.js';
+
+// Silence the registry's load warnings inside fn
+async function quietly(fn) {
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.warn = warn;
+  }
+}
+
+test('validate reports every failing keyword with a JSON-pointer path', () => {
+  const validator = new SchemaValidator({
+    definitions: { id: { type: 'string', pattern: '^[a-z]+$' } },
+    type: 'object',
+    required: ['id', 'kind'],
+    properties: {
+      id: { $ref: '#/definitions/id' },
+      kind: { enum: ['a', 'b'] },
+      tags: { type: 'array', items: { type: 'string' }, maxItems: 2 }
+    },
+    additionalProperties: false
+  });
+
+  assert.deepEqual(validator.validate({ id: 'abc', kind: 'a', tags: ['x'] }), { valid: true, errors: [] });
+
+  const { valid, errors } = validator.validate({ id: 'ABC', kind: 'c', tags: ['x', 1, 'z'], extra: 1 });
+  assert.equal(valid, false);
+  assert.deepEqual(errors.map(e => `${e.path} ${e.keyword}`), [
+    '/id pattern', '/kind enum', '/tags maxItems', '/tags/1 type', '/extra additionalProperties'
+  ]);
+  assert.deepEqual(validator.validate({ id: 'abc' }).errors.map(e => `${e.path} ${e.keyword}`), ['/kind required']);
+});
+
+test('assert throws SchemaValidationError carrying the errors', () => {
+  const validator = new SchemaValidator({ type: 'object', required: ['a'] });
+  assert.deepEqual(validator.assert({ a: 1 }), { a: 1 });
+  assert.throws(() => validator.assert({}, '#', 'thing'), error => {
+    assert.ok(error instanceof SchemaValidationError);
+    assert.match(error.message, /^Invalid thing: \/a is required/);
+    assert.equal(error.errors.length, 1);
+    return true;
+  });
+});
+
+test('registered entries match the functionEntry schema', async () => {
+  const registry = new S0FractalIRL();
+  const hash = await registry.register('x => x + 1');
+  assert.deepEqual(irlValidator.validateEntry(registry.lookup.index.get(hash)).errors, []);
+});
+
+test('FastLookup.add rejects invalid entries and entries stored under another key', async () => {
+  const registry = new S0FractalIRL();
+  const hash = await registry.register('x => x + 1');
+  const entry = registry.lookup.index.get(hash);
+  const lookup = new FastLookup();
+
+  await assert.rejects(lookup.add(hash, { hash, source: 'x => x', ctc: { type: 'weird' } }), error => {
+    const failed = error.errors.map(e => `${e.path} ${e.keyword}`);
+    assert.ok(failed.includes('/wasm required'));
+    assert.ok(failed.includes('/ctc/type enum'));
+    return true;
+  });
+  await assert.rejects(lookup.add(hash.replace(/^./, c => c === 'a' ? 'b' : 'a'), entry), /must equal key/);
+  assert.equal(lookup.index.size, 0);
+
+  await lookup.add(hash, entry);
+  assert.equal(lookup.index.size, 1);
+});
+
+test('fromDocument drops invalid entries, or throws in strict mode', async () => {
+  const source = new S0FractalIRL();
+  const good = await source.register('x => x + 1');
+  const bad = await source.register('x => x * 2');
+  const doc = source.toDocument();
+  delete doc.registry[bad].wasm;
+
+  const registry = new S0FractalIRL();
+  await quietly(() => registry.fromDocument(doc));
+  assert.ok(registry.lookup.index.has(good));
+  assert.ok(!registry.lookup.index.has(bad));
+  assert.equal(registry.stats.rejected, 1);
+
+  assert.throws(() => new S0FractalIRL().fromDocument(doc, { strict: true }), SchemaValidationError);
+  assert.throws(() => new S0FractalIRL().fromDocument({ ...doc, registry: [] }), SchemaValidationError);
+});
\ No newline at end of file
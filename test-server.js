@@ -0,0 +1,155 @@
+#!/usr/bin/env node
+
+// HTTP API tests - routes, JSON errors and per-request deadlines
+// Run: node test-server.js (part of npm test)
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { S0FractalIRL } from './index.js';
+import { IRLServer } from './server.js';
+
+// Generous deadlines and budgets - these tests are about routing, not timing
+const DEADLINES = { register: 1000, get: 1000, unregister: 1000, execute: 1000, prove: 1000, stats: 1000, metrics: 1000 };
+const BUDGETS = { cold: 1000, execute: 1000 };
+
+async function withServer(options, fn) {
+  const registry = new S0FractalIRL({ budgets: BUDGETS });
+  const server = new IRLServer(registry, { deadlines: DEADLINES, allowCode: true, ...options });
+  const { port } = await server.listen(0);
+  const request = async (method, path, body, headers = {}) => {
+    const res = await fetch(`http://127.0.0.1:${port}${path}`, {
+      method,
+      headers: { 'content-type': 'application/json', ...headers },
+      body: body === undefined ? undefined : typeof body === 'string' ? body : JSON.stringify(body)
+    });
+    const type = res.headers.get('content-type');
+    return { status: res.status, type, body: type.startsWith('application/json') ? await res.json() : await res.text() };
+  };
+  try {
+    return await fn(request, registry, server, port);
+  } finally {
+    await server.close();
+  }
+}
+
+test('register, get, execute, prove and stats', () => withServer({}, async request => {
+  const created = await request('POST', '/functions', { source: 'x => x + 1' });
+  assert.equal(created.status, 201);
+  const { hash } = created.body;
+
+  const byPrefix = await request('GET', `/functions/${hash.slice(0, 8)}`);
+  assert.equal(byPrefix.status, 200);
+  assert.equal(byPrefix.body.hash, hash);
+  assert.equal(byPrefix.body.source, 'x => x + 1');
+
+  const executed = await request('POST', `/functions/${hash}/execute`, { inputs: [1] });
+  assert.equal(executed.status, 200);
+  assert.equal(executed.body.hash, hash);
+
+  const proved = await request('GET', `/functions/${hash}/proofs/L0`);
+  assert.equal(proved.status, 200);
+  assert.equal(proved.body.proof.valid, true);
+
+  const stats = await request('GET', '/stats');
+  assert.equal(stats.body.registered, 1);
+  assert.equal(stats.body.server.requests, 5);
+}));
+
+test('GET /metrics serves Prometheus text with HTTP counters', () => withServer({}, async request => {
+  await request('POST', '/functions', { source: 'x => x + 1' });
+  await request('GET', '/nope');
+
+  const res = await request('GET', '/metrics');
+  assert.equal(res.status, 200);
+  assert.match(res.type, /^text\/plain; version=0\.0\.4/);
+  assert.match(res.body, /^irl_functions 1$/m);
+  assert.match(res.body, /^irl_http_requests_total 3$/m);
+  assert.match(res.body, /^irl_http_errors_total 1$/m);
+}));
+
+test('errors are JSON with a code and an HTTP status', () => withServer({ maxBodySize: 1024 }, async request => {
+  const inc = (await request('POST', '/functions', { source: 'x => x + 1' })).body.hash;
+  const dbl = (await request('POST', '/functions', { source: 'x => x * 2' })).body.hash;
+  const neg = (await request('POST', '/functions', { source: 'x => -x' })).body.hash;
+
+  const cases = [
+    [await request('GET', '/nope'), 404, 'ERR_IRL_NOT_FOUND'],
+    [await request('DELETE', '/stats'), 405, 'ERR_IRL_METHOD'],
+    [await request('POST', '/functions', '{ nope'), 400, 'ERR_IRL_BAD_JSON'],
+    [await request('POST', '/functions', {}), 400, 'ERR_IRL_BAD_REQUEST'],
+    [await request('POST', '/functions', 'x', { 'content-type': 'text/plain' }), 415, 'ERR_IRL_UNSUPPORTED_MEDIA'],
+    [await request('POST', '/functions', { source: 'x'.repeat(2048) }), 413, 'ERR_IRL_BODY_TOO_LARGE'],
+    [await request('POST', `/functions/${inc}/execute`, { inputs: 1 }), 400, 'ERR_IRL_BAD_REQUEST'],
+    [await request('GET', `/functions/${inc}/proofs/L9`), 400, 'ERR_IRL_PROOF_LEVEL'],
+    [await request('GET', '/functions/ffffffff-ffff-ffff'), 404, 'ERR_IRL_UNKNOWN_HASH'],
+    [await request('POST', '/functions', { source: 'x => f(x)', deps: { f: 'ffffffff-ffff-ffff' } }), 422, 'ERR_IRL_DEPS'],
+    [await request('POST', '/functions', { source: 'x => a(b(c(x)))', deps: { a: inc, b: dbl, c: neg } }), 422, 'ERR_IRL_B2']
+  ];
+  for (const [res, status, code] of cases) {
+    assert.equal(res.status, status, code);
+    assert.equal(res.body.error.code, code);
+    assert.equal(typeof res.body.error.message, 'string');
+  }
+}));
+
+test('a route over its deadline answers 504', () => withServer({ deadlines: { ...DEADLINES, execute: 5 } }, async (request, registry, server) => {
+  const hash = (await request('POST', '/functions', { source: 'x => x + 1' })).body.hash;
+  registry.execute = () => new Promise(resolve => setTimeout(() => resolve(2), 100));
+
+  const slow = await request('POST', `/functions/${hash}/execute`, { inputs: [1] });
+  assert.equal(slow.status, 504);
+  assert.equal(slow.body.error.code, 'ERR_IRL_BUDGET');
+  assert.equal(server.stats_.deadlineExceeded, 1);
+}));
+
+test('DELETE /functions/:hash leaves a tombstone, and needs allowCode', async () => {
+  await withServer({ allowCode: false }, async (request, registry) => {
+    const hash = await registry.register('x => x + 1');
+
+    const refused = await request('DELETE', `/functions/${hash}`);
+    assert.equal(refused.status, 403);
+    assert.equal(refused.body.error.code, 'ERR_IRL_DISABLED');
+    assert.ok(registry.lookup.has(hash));
+  });
+
+  await withServer({}, async (request, registry) => {
+    const inc = await registry.register('x => x + 1');
+    const both = await registry.register('x => inc(x) + 1', { deps: { inc } });
+
+    const blocked = await request('DELETE', `/functions/${inc}`);
+    assert.equal(blocked.status, 409);
+    assert.equal(blocked.body.error.code, 'ERR_IRL_DEPENDENTS');
+
+    const removed = await request('DELETE', `/functions/${both}?reason=typo`);
+    assert.equal(removed.status, 200);
+    assert.equal(removed.body.hash, both);
+    assert.equal(removed.body.reason, 'typo');
+
+    const gone = await request('GET', `/functions/${both}`);
+    assert.equal(gone.status, 410);
+    assert.equal(gone.body.error.code, 'ERR_IRL_REMOVED');
+  });
+});
+
+test('the deadline covers reading the request body', () => withServer({ deadlines: { ...DEADLINES, register: 50 } }, async (request, registry, server, port) => {
+  // Headers and half a body, then nothing - the server must not wait for the rest
+  const res = await new Promise((resolve, reject) => {
+    const req = http.request({ port, method: 'POST', path: '/functions', headers: { 'content-type': 'application/json' } });
+    req.on('response', res => {
+      let text = '';
+      res.on('data', chunk => { text += chunk; });
+      res.on('end', () => {
+        req.destroy();
+        resolve({ status: res.statusCode, body: JSON.parse(text) });
+      });
+    });
+    req.on('error', reject);
+    req.write('{"source": "x =>');
+  });
+
+  assert.equal(res.status, 504);
+  assert.equal(res.body.error.code, 'ERR_IRL_BUDGET');
+  assert.equal(server.stats_.deadlineExceeded, 1);
+  assert.equal(registry.stats.registered, 0);
+}));
\ No newline at end of file
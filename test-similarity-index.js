@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+
+// Similarity tests - graded scores, candidate recall past maxPostings, duplicates()
+// Run: node test-similarity-index.js (part of npm test)
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { SimilarityIndex } from './similarity-index.js';
+import { SimpleSemanticHasher } from './simple-semantic-hash.js';
+import { S0FractalIRL } from './index.js';
+
+const hasher = new SimpleSemanticHasher();
+
+// `count` entries that share every token of (a, b) => a * b except a literal
+function fillerIndex(count, options = {}) {
+  const index = new SimilarityIndex({ hasher, maxPostings: 50, ...options });
+  for (let i = 0; i < count; i++) index.add(`f${i}`, `(a, b) => a * b + ${i}`);
+  return index;
+}
+
+test('an exact semantic duplicate is found past maxPostings entries', () => {
+  const index = fillerIndex(120);
+  index.add('dup', '(x, y) => y * x');
+
+  const [best] = index.query('(a, b) => a * b');
+  assert.equal(best.hash, 'dup');
+  assert.equal(best.score, 1);
+});
+
+test('a near duplicate on common tokens only is scored, not cut by insertion order', () => {
+  const index = fillerIndex(120);
+  index.add('near', '(a, b) => a * b * a');
+
+  const [best] = index.query('(a, b) => a * b', { minScore: 0.6 });
+  assert.equal(best.hash, 'near');
+  assert.ok(best.score > 0.6);
+});
+
+test('tokens only excluded entries share do not stop the scan', () => {
+  const index = fillerIndex(120);
+  index.add('mul', '(x, y) => y * x');
+  index.add('near', '(a, b) => a * b * a');
+
+  const [best] = index.query('(a, b) => a * b * a', { minScore: 0.7, exclude: hash => hash === 'near' });
+  assert.equal(best.hash, 'mul');
+  assert.equal(best.score, 0.75);
+});
+
+test('rare tokens bound the candidates once they found some', () => {
+  const index = fillerIndex(120);
+  const before = index.getStats().candidatesScored;
+
+  const [best] = index.query('(a, b) => a * b + 7');
+  assert.equal(best.hash, 'f7');
+  assert.equal(best.score, 1);
+  assert.ok(index.getStats().candidatesScored - before < 50);
+});
+
+test('remove() drops an entry from its postings and semantic bucket', () => {
+  const index = fillerIndex(10);
+  index.add('dup', '(x, y) => y * x');
+  index.remove('dup');
+
+  assert.equal(index.has('dup'), false);
+  assert.ok(index.query('(a, b) => a * b', { minScore: 0 }).every(match => match.hash !== 'dup'));
+  assert.equal(index.query('(a, b) => a * b + 3')[0].hash, 'f3');
+});
+
+test('scores are graded by category', () => {
+  const index = new SimilarityIndex({ hasher });
+  index.add('mul', '(a, b) => a * b');
+  index.add('sub', '(a, b) => a - b');
+  index.add('unary', '(x) => -x');
+
+  const [mul, sub] = index.query('(a, b) => b * a', { minScore: 0 });
+  assert.equal(mul.hash, 'mul');
+  assert.equal(mul.score, 1);
+  assert.equal(sub.hash, 'sub');
+  assert.equal(sub.scores.arity, 1);
+  assert.ok(sub.score < mul.score);
+});
+
+test('registry duplicates() joins near duplicates past maxPostings entries', async () => {
+  const registry = new S0FractalIRL({ similarity: { maxPostings: 50 } });
+  for (let i = 0; i < 120; i++) await registry.register(`(a, b) => a * b + ${i}`);
+  const mul = await registry.register('(a, b) => a * b');
+  const near = await registry.register('(a, b) => a * b * a');
+
+  const exact = registry.duplicates();
+  assert.equal(exact.duplicates, 0);
+
+  const report = registry.duplicates({ threshold: 0.75 });
+  const cluster = report.clusters.find(c => c.members.some(m => m.hash === mul));
+  assert.ok(cluster, 'the near duplicate was never a candidate');
+  assert.deepEqual(cluster.members.map(m => m.hash).sort(), [mul, near].sort());
+});
+
+test('registering an existing hash returns it without resetting the entry', async () => {
+  const registry = new S0FractalIRL();
+  const hash = await registry.register('x => x + 1');
+  const entry = registry.lookup.index.get(hash);
+  entry.annotations = { owner: 'alice' };
+  const { created } = entry;
+  const registered = registry.stats.registered;
+
+  await new Promise(resolve => setTimeout(resolve, 5));
+  assert.equal(await registry.register('x => x + 1'), hash);
+
+  assert.equal(registry.lookup.index.get(hash), entry);
+  assert.equal(entry.created, created);
+  assert.deepEqual(entry.annotations, { owner: 'alice' });
+  assert.equal(registry.stats.registered, registered);
+});
\ No newline at end of file
@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+
+// Symbolic verifier tests - proofs, counterexamples, budgets and SMT-LIB output
+// Run: node test-symbolic-verifier.js (part of npm test)
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { SymbolicVerifier } from './symbolic-verifier.js';
+
+const verifier = new SymbolicVerifier();
+
+test('a postcondition that holds on every path is proven', () => {
+  const result = verifier.verify('(a, b) => a > b ? a : b', { post: '(a, b, r) => r >= a && r >= b' });
+
+  assert.equal(result.status, 'valid');
+  assert.equal(result.valid, true);
+  assert.equal(result.property, 'postcondition');
+  assert.equal(result.paths, 2);
+  assert.deepEqual(result.domain, { min: -16, max: 16, extras: undefined });
+});
+
+test('a violated postcondition yields a concrete counterexample', () => {
+  const result = verifier.verify('(a, b) => a + b', { post: '(a, b, r) => r > a' });
+
+  assert.equal(result.status, 'counterexample');
+  assert.equal(result.valid, false);
+  const { args, inputs, results } = result.counterexample;
+  assert.ok(args[1] <= 0);
+  assert.deepEqual(inputs, { a: args[0], b: args[1] });
+  assert.deepEqual(results, [args[0] + args[1]]);
+});
+
+test('equivalence is checked across both functions\' paths', () => {
+  const same = verifier.verify('x => x < 0 ? -x : x', { equivalentTo: 'y => Math.abs(y)' });
+  assert.equal(same.status, 'valid');
+  assert.equal(same.property, 'equivalence');
+
+  const differs = verifier.verify('x => x * 2', { equivalentTo: 'x => x + 2' });
+  assert.equal(differs.status, 'counterexample');
+  assert.notEqual(differs.counterexample.args[0], 2);
+});
+
+test('loose equality keeps its source meaning for extra domain values', () => {
+  const result = verifier.verify('x => x == null', {
+    equivalentTo: 'x => x === null || x === undefined',
+    domain: { extras: [null, undefined] }
+  });
+  assert.equal(result.status, 'valid');
+});
+
+test('the default property finds division by zero', () => {
+  const result = verifier.verify('(a, b) => a / b');
+
+  assert.equal(result.property, 'finite');
+  assert.equal(result.status, 'counterexample');
+  assert.equal(result.counterexample.inputs.b, 0);
+});
+
+test('a search space past maxSteps is unknown, not valid', () => {
+  const result = verifier.verify('(a, b, c) => a + b + c', {
+    post: '(a, b, c, r) => r === c + b + a',
+    domain: { min: -100, max: 100 },
+    maxSteps: 1000
+  });
+
+  assert.equal(result.status, 'unknown');
+  assert.equal(result.valid, false);
+  assert.match(result.reason, /1000 steps/);
+});
+
+test('unsupported constructs are unknown with a reason', () => {
+  const result = verifier.verify('x => { while (x) x--; return x; }');
+  assert.equal(result.status, 'unknown');
+  assert.ok(result.reason);
+});
+
+test('smtlib: true emits one script per goal', () => {
+  const result = verifier.verify('(a, b) => a > b ? a : b', { post: '(a, b, r) => r >= a', smtlib: true });
+
+  assert.equal(result.smtlib.length, 2);
+  const [script] = result.smtlib;
+  assert.match(script, /^\(set-logic QF_NIRA\)/);
+  assert.match(script, /\(declare-fun a \(\) Int\)/);
+  assert.match(script, /\(assert \(and \(>= a \(- 16\)\) \(<= a 16\)\)\)/);
+  assert.match(script, /\(assert \(not /);
+  assert.match(script, /\(check-sat\)\n\(get-model\)$/);
+
+  // The default property has no SMT encoding
+  assert.equal(verifier.verify('x => x + 1', { smtlib: true }).smtlib, null);
+});
+
+test('an external solver settles unknown results', async () => {
+  const options = {
+    post: '(a, b, c, r) => r === c + b + a',
+    domain: { min: -100, max: 100 },
+    maxSteps: 1000
+  };
+  const scripts = [];
+  const proven = await verifier.verifyWithSolver('(a, b, c) => a + b + c', {
+    ...options,
+    solver: async text => { scripts.push(text); return 'unsat'; }
+  });
+  assert.equal(proven.status, 'valid');
+  assert.equal(proven.solver, 'external');
+  assert.equal(scripts.length, 1);
+
+  const refuted = await verifier.verifyWithSolver('(a, b, c) => a + b + c', { ...options, solver: async () => 'sat' });
+  assert.equal(refuted.status, 'counterexample');
+});
\ No newline at end of file
@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+
+// Tag tests - names pointing at hashes, explicit moves and audit history
+// Run: node test-tag-registry.js (part of npm test)
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { TagRegistry } from './tag-registry.js';
+import { S0FractalIRL } from './index.js';
+
+// Silence the registry's load warnings inside fn
+async function quietly(fn) {
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.warn = warn;
+  }
+}
+
+test('moving a tag must be explicit and every change is audited', () => {
+  const tags = new TagRegistry();
+  tags.set('math/add', 'h1', { at: 't1' });
+  tags.set('math/add', 'h1', { at: 't2' });
+  assert.throws(() => tags.set('math/add', 'h2'), error => error.code === 'ERR_IRL_TAG_EXISTS');
+
+  tags.set('math/add', 'h2', { move: true, reason: 'fix overflow', actor: 'ci', at: 't3' });
+  assert.equal(tags.delete('math/add', { at: 't4' }), true);
+  assert.equal(tags.delete('math/add'), false);
+  assert.equal(tags.get('math/add'), undefined);
+
+  assert.deepEqual(tags.history('math/add'), [
+    { action: 'create', hash: 'h1', at: 't1' },
+    { action: 'move', hash: 'h2', from: 'h1', at: 't3', reason: 'fix overflow', actor: 'ci' },
+    { action: 'delete', hash: null, from: 'h2', at: 't4' }
+  ]);
+  assert.deepEqual(tags.getStats(), { tags: 0, deleted: 1, moves: 1 });
+});
+
+test('tag names are scoped and never look like hashes', () => {
+  const tags = new TagRegistry();
+  for (const name of ['lodash/isNil', 'lodash/isNil@stable', 'math.add@v1.2']) tags.set(name, 'h1');
+  assert.deepEqual(tags.names('h1'), ['lodash/isNil', 'lodash/isNil@stable', 'math.add@v1.2']);
+
+  for (const name of ['cafe', 'deadbeef-0000', '/abs', 'a b', '', 42]) {
+    assert.throws(() => tags.set(name, 'h1'), error => error.code === 'ERR_IRL_TAG_NAME', String(name));
+  }
+});
+
+test('anything that takes a hash also takes a tag', async () => {
+  const registry = new S0FractalIRL();
+  const inc = await registry.register('x => x + 1');
+  const dbl = await registry.register('x => x * 2');
+
+  assert.equal(registry.tag('math/inc', inc.slice(0, 8)), inc);
+  assert.equal(registry.resolve('math/inc'), inc);
+  assert.equal(registry.findHash('math/inc'), inc);
+  assert.deepEqual(registry.tagsFor(inc), ['math/inc']);
+  assert.equal((await registry.prove('math/inc', 'L0')).valid, true);
+
+  registry.tag('math/inc', dbl, { move: true, reason: 'oops' });
+  assert.equal(registry.resolve('math/inc'), dbl);
+  assert.deepEqual(registry.tagHistory('math/inc').map(r => r.action), ['create', 'move']);
+
+  assert.equal(registry.untag('math/inc'), true);
+  assert.throws(() => registry.resolve('math/inc'), error => error.code === 'ERR_IRL_UNKNOWN_TAG');
+});
+
+test('tags and their history survive a document round trip', async () => {
+  const source = new S0FractalIRL();
+  const inc = await source.register('x => x + 1');
+  const dbl = await source.register('x => x * 2');
+  source.tag('math/inc', inc);
+  source.tag('math/dbl', dbl);
+  source.tag('math/dbl', inc, { move: true });
+
+  const doc = source.toDocument();
+  const registry = new S0FractalIRL();
+  await quietly(() => registry.fromDocument(doc));
+  assert.equal(registry.resolve('math/dbl'), inc);
+  assert.deepEqual(registry.tagHistory('math/dbl'), source.tagHistory('math/dbl'));
+
+  // Tags pointing at entries that were not loaded are skipped
+  delete doc.registry[inc];
+  const partial = new S0FractalIRL();
+  await quietly(() => partial.fromDocument(doc));
+  assert.equal(partial.tags.has('math/inc'), false);
+});
\ No newline at end of file
@@ -6,15 +6,12 @@
 import { performance } from 'perf_hooks';
 import { Worker } from 'worker_threads';
 import crypto from 'crypto';
-
-const PERF_BUDGET = {
-  COMPILE: 5,      // ms - WASM compilation
-  EXECUTE: 10,     // ms - single execution
-  TOTAL: 30        // ms - hard ceiling
-};
+import { BudgetManager, PERF_BUDGET } from './budget.js';
 
 class WASMExecutor {
-  constructor() {
+  constructor(options = {}) {
+    this.metrics = options.metrics || null;   // compile latency histogram
+    this.budget = options.budget || new BudgetManager();   // compile/run stages
     this.aotCache = new Map();  // Pre-compiled functions
     this.compiling = new Map();  // Prevent double compilation
     this.stats = {
@@ -44,7 +41,7 @@ class WASMExecutor {
     console.log(`Pre-compiled ${this.aotCache.size} functions`);
   }
 
-  async compile(hash) {
+  async compile(hash, options = {}) {
     // Already compiled
     if (this.aotCache.has(hash)) {
       return this.aotCache.get(hash);
@@ -55,16 +52,19 @@ class WASMExecutor {
       return this.compiling.get(hash);
     }
 
-    // Start compilation with timeout
-    const compilePromise = this.withTimeout(
-      this._compile(hash),
-      PERF_BUDGET.COMPILE
-    );
+    // Compiles only happen on a cold start, so they run under the larger
+    // cold budget (COLD_START); an overrun rejects with ERR_IRL_BUDGET
+    const start = performance.now();
+    const compilePromise = this.budget.run('cold:compile', () => this._compile(hash), {
+      hash,
+      signal: options.signal
+    });
 
     this.compiling.set(hash, compilePromise);
 
     try {
       const module = await compilePromise;
+      this.metrics?.record('compile', performance.now() - start);
       this.aotCache.set(hash, module);
       return module;
     } finally {
@@ -128,32 +128,26 @@ class WASMExecutor {
     ]);
   }
 
-  async execute(hash, inputs = []) {
-    const start = performance.now();
-
+  async execute(hash, inputs = [], options = {}) {
     try {
       // Get or compile module
       const instance = this.aotCache.has(hash)
         ? this.aotCache.get(hash)
-        : await this.compile(hash);
+        : await this.compile(hash, options);
 
       this.stats.hits++;
 
-      // Execute with timeout
-      const result = await this.withTimeout(
-        this._execute(instance, inputs),
-        PERF_BUDGET.EXECUTE
-      );
-
-      const elapsed = performance.now() - start;
-      if (elapsed > PERF_BUDGET.TOTAL) {
-        console.warn(`Execution exceeded budget: ${elapsed.toFixed(1)}ms`);
-      }
-
-      return result;
+      // Overruns are reported through budget-exceeded events
+      return await this.budget.run('run', () => this._execute(instance, inputs), {
+        hash,
+        signal: options.signal
+      });
 
     } catch (e) {
-      this.stats.timeouts++;
+      if (e.code === 'ERR_IRL_BUDGET') {
+        this.stats.timeouts++;
+        throw e;
+      }
       throw new Error(`WASM execution failed: ${e.message}`);
     }
   }
@@ -166,15 +160,6 @@ class WASMExecutor {
     throw new Error('No main export found');
   }
 
-  withTimeout(promise, ms) {
-    return Promise.race([
-      promise,
-      new Promise((_, reject) =>
-        setTimeout(() => reject(new Error(`Timeout after ${ms}ms`)), ms)
-      )
-    ]);
-  }
-
   getStats() {
     const total = this.stats.hits + this.stats.misses;
     return {
@@ -276,6 +261,7 @@ if (import.meta.url === `file://${process.argv[1]}`) {
     console.log(`  Median: ${median.toFixed(2)}ms`);
     console.log(`  P99: ${p99.toFixed(2)}ms`);
     console.log(`  Cache stats:`, executor.getStats());
+    console.log(`  Budget compliance:`, executor.budget.report().overall);
     console.log(`\n✅ ${median < 30 ? 'PASS' : 'FAIL'} - Target <30ms`);
   })();
 }
\ No newline at end of file